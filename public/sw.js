@@ -0,0 +1,71 @@
+// Service worker for offline mode.
+// - App shell (same-origin GETs): network first, cached copy when offline.
+//   Install only caches index.html; "Download this area" adds the bundle.
+// - Map tiles and photos: served from the media cache that the
+//   "Download this area" action fills, falling back to the network.
+// - Supabase API calls pass straight through; the app reads IndexedDB.
+
+const SHELL_CACHE = "nomad-shell-v1";
+const MEDIA_CACHE = "nomad-offline-media-v1";
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches
+            .open(SHELL_CACHE)
+            .then((cache) => cache.addAll(["./", "./index.html"]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches
+            .keys()
+            .then((keys) =>
+                Promise.all(
+                    keys
+                        .filter((k) => k !== SHELL_CACHE && k !== MEDIA_CACHE)
+                        .map((k) => caches.delete(k))
+                )
+            )
+            .then(() => self.clients.claim())
+    );
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const res = await fetch(request);
+        if (res.ok) cache.put(request, res.clone());
+        return res;
+    } catch (err) {
+        const cached =
+            (await cache.match(request)) ||
+            (request.mode === "navigate" && (await cache.match("./")));
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+async function mediaCacheFirst(request) {
+    const cache = await caches.open(MEDIA_CACHE);
+    const cached = await cache.match(request.url);
+    if (cached) return cached;
+    return fetch(request);
+}
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    if (request.method !== "GET") return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    if (request.destination === "image") {
+        event.respondWith(mediaCacheFirst(request));
+    }
+});
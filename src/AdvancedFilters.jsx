@@ -0,0 +1,183 @@
+import { formatNoiseLevel } from "./spotFormat";
+import {
+    DEFAULT_ADVANCED_FILTERS,
+    NOISE_LEVELS,
+    noiseLevelsUpTo,
+} from "./spotFilters";
+
+const RATING_OPTIONS = [0, 3, 3.5, 4, 4.5];
+const DISTANCE_OPTIONS = [10, 25, 50, 100, 250];
+const RECENCY_OPTIONS = [1, 3, 6, 12, 24];
+
+function parseOptional(value) {
+    return value === "" ? null : Number(value);
+}
+
+// Expanded "More filters" panel; the parent owns the filter state
+function AdvancedFilters({ filters, onChange, hasLocation }) {
+    function set(key, value) {
+        onChange({ ...filters, [key]: value });
+    }
+
+    function toggleNoise(level) {
+        const next = filters.noiseLevels.includes(level)
+            ? filters.noiseLevels.filter((l) => l !== level)
+            : [...filters.noiseLevels, level];
+        set("noiseLevels", next);
+    }
+
+    return (
+        <div className="advanced-filters">
+            <div className="form-group inline">
+                <div>
+                    <label>
+                        Cell signal ≥ {filters.minCell || "any"}
+                    </label>
+                    <input
+                        type="range"
+                        min={0}
+                        max={5}
+                        value={filters.minCell}
+                        onChange={(e) =>
+                            set("minCell", Number(e.target.value))
+                        }
+                    />
+                </div>
+                <div>
+                    <label>
+                        Safety ≥ {filters.minSafety || "any"}
+                    </label>
+                    <input
+                        type="range"
+                        min={0}
+                        max={5}
+                        value={filters.minSafety}
+                        onChange={(e) =>
+                            set("minSafety", Number(e.target.value))
+                        }
+                    />
+                </div>
+            </div>
+
+            <div className="form-group">
+                <label>Noise</label>
+                <div className="advanced-filters-checks">
+                    {NOISE_LEVELS.map((level) => (
+                        <label key={level} className="filters-toggle">
+                            <input
+                                type="checkbox"
+                                checked={filters.noiseLevels.includes(level)}
+                                onChange={() => toggleNoise(level)}
+                            />{" "}
+                            {formatNoiseLevel(level)}
+                        </label>
+                    ))}
+                    <button
+                        type="button"
+                        className="filter-chip chip-pill"
+                        onClick={() =>
+                            set("noiseLevels", noiseLevelsUpTo("quiet"))
+                        }
+                    >
+                        Quiet or better
+                    </button>
+                </div>
+            </div>
+
+            <div className="form-group inline">
+                <div>
+                    <label>Min. average rating</label>
+                    <select
+                        value={filters.minRating}
+                        onChange={(e) =>
+                            set("minRating", Number(e.target.value))
+                        }
+                    >
+                        {RATING_OPTIONS.map((value) => (
+                            <option key={value} value={value}>
+                                {value === 0 ? "Any" : `★ ${value}+`}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label>Max distance</label>
+                    <select
+                        value={filters.maxDistanceKm ?? ""}
+                        onChange={(e) =>
+                            set("maxDistanceKm", parseOptional(e.target.value))
+                        }
+                    >
+                        <option value="">Any</option>
+                        {DISTANCE_OPTIONS.map((km) => (
+                            <option key={km} value={km}>
+                                {km} km
+                            </option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+            {filters.maxDistanceKm != null && !hasLocation && (
+                <p className="tiny-text">
+                    Distance applies once we know your location.
+                </p>
+            )}
+
+            <div className="form-group inline">
+                <div>
+                    <label>Reviewed within</label>
+                    <select
+                        value={filters.reviewedWithinMonths ?? ""}
+                        onChange={(e) =>
+                            set(
+                                "reviewedWithinMonths",
+                                parseOptional(e.target.value)
+                            )
+                        }
+                    >
+                        <option value="">Any time</option>
+                        {RECENCY_OPTIONS.map((months) => (
+                            <option key={months} value={months}>
+                                Last {months} month{months > 1 ? "s" : ""}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+                <div className="form-row">
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={filters.bathroomOnly}
+                            onChange={(e) =>
+                                set("bathroomOnly", e.target.checked)
+                            }
+                        />{" "}
+                        Bathrooms only
+                    </label>
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={filters.showClosed}
+                            onChange={(e) =>
+                                set("showClosed", e.target.checked)
+                            }
+                        />{" "}
+                        Show closed & out-of-season
+                    </label>
+                </div>
+            </div>
+
+            <div className="form-actions">
+                <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => onChange(DEFAULT_ADVANCED_FILTERS)}
+                >
+                    Reset filters
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default AdvancedFilters;
@@ -1,9 +1,13 @@
-﻿import { useEffect, useMemo, useRef, useState } from "react";
+﻿import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
+    CircleMarker,
     MapContainer,
     TileLayer,
     Marker,
+    Polygon,
+    Polyline,
     Popup,
+    useMap,
     useMapEvents,
 } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
@@ -13,7 +17,105 @@ import markerIcon2x from "leaflet/dist/images/marker-icon-2x.png";
 import markerIcon from "leaflet/dist/images/marker-icon.png";
 import markerShadow from "leaflet/dist/images/marker-shadow.png";
 
+import ModeratorQueue from "./ModeratorQueue";
+import ReportForm from "./ReportForm";
+import { corridorPolygon } from "./routeCorridor";
+import RoutePlanner from "./RoutePlanner";
+import SearchBox from "./SearchBox";
+import SpotHistory from "./SpotHistory";
+import SpotMergeTool from "./SpotMergeTool";
+import SpotStatusFields from "./SpotStatusFields";
+import SpotTransfer from "./SpotTransfer";
+import TripPlanner from "./TripPlanner";
 import { supabase } from "./supabaseClient";
+import AdvancedFilters from "./AdvancedFilters";
+import { canEditSpot, fetchIsModerator } from "./auth";
+import { clusterSpots } from "./clusterSpots";
+import { findSimilarSpots } from "./spotDuplicates";
+import { haversineDistanceKm } from "./geo";
+import {
+    activeFilterChips,
+    clearFilter,
+    loadSavedFilters,
+    matchesAdvancedFilters,
+    NOISE_LEVELS,
+    saveFilters,
+} from "./spotFilters";
+import {
+    formatNoiseLevel,
+    formatTimeAgo,
+    getSpotTypeIcon,
+} from "./spotFormat";
+import {
+    aggregateSpotAttributes,
+    formatIncident,
+    INCIDENT_TYPES,
+    reviewDetails,
+} from "./spotAttributes";
+import { spotTrust } from "./spotTrust";
+import { formatSpotStatus, isClosedNow } from "./spotStatus";
+import { downloadArea, loadOfflineSnapshot } from "./offlineArea";
+import { getMeta } from "./offlineStore";
+import {
+    MAX_PHOTOS,
+    MAX_REVIEW_PHOTOS,
+    validatePhotoFiles,
+} from "./photoProcessing";
+import PhotoManager from "./PhotoManager";
+import PhotoGallery from "./PhotoGallery";
+import CheckInPanel from "./CheckInPanel";
+import TravelLog from "./TravelLog";
+import { saveCheckin } from "./checkins";
+import {
+    reviewGalleryPhotos,
+    showFullImageOnError,
+    sortPhotosByDate,
+    spotGalleryPhotos,
+} from "./galleryPhotos";
+import {
+    enqueue,
+    isNetworkError,
+    listOutbox,
+    removeOutboxEntry,
+    replayOutbox,
+    retryOutboxEntry,
+} from "./outbox";
+import {
+    buildReviewPayload,
+    buildSpotPayload,
+    fetchSpotById,
+    fetchSpotsInBounds,
+    mergeById,
+    normalizePhotoUrls,
+    saveReview,
+    saveSpot,
+    todayDateString,
+} from "./spotData";
+import { subscribeToSpotChanges } from "./realtime";
+import { photoFieldsAfterReport } from "./reports";
+import {
+    countsAfterVote,
+    MIN_REPUTATION_VOTES,
+    REVIEW_SORTS,
+    reputationWeight,
+    sortReviews,
+} from "./reviewVotes";
+import { appendStop, createTrip } from "./trips";
+import { buildUrlSearch, readUrlState, urlWithSearch } from "./urlState";
+import { useCheckins } from "./useCheckins";
+import { useReviewVotes } from "./useReviewVotes";
+import { useFavorites } from "./useFavorites";
+import {
+    photoFields,
+    queuedPhotos,
+    usePhotoUploads,
+} from "./usePhotoUploads";
+import { useTrips } from "./useTrips";
+import {
+    boundsFromLeaflet,
+    createRegionCache,
+    padBounds,
+} from "./regionCache";
 
 // Fix default marker icon paths
 delete L.Icon.Default.prototype._getIconUrl;
@@ -23,6 +125,12 @@ L.Icon.Default.mergeOptions({
     shadowUrl: markerShadow,
 });
 
+// Closed (or out-of-season) spots get a greyed-out pin
+const openSpotIcon = new L.Icon.Default();
+const closedSpotIcon = new L.Icon.Default({
+    className: "spot-marker--closed",
+});
+
 function AddSpotOnClick({ active, onMapClick }) {
     useMapEvents({
         click(e) {
@@ -33,72 +141,109 @@ function AddSpotOnClick({ active, onMapClick }) {
     return null;
 }
 
-function clamp(num, min, max) {
-    if (Number.isNaN(num)) return min;
-    return Math.min(Math.max(num, min), max);
-}
-
-// Haversine distance in km (for "Spots nearby" list)
-function haversineDistanceKm(a, b) {
-    if (!a || !b) return null;
-    const R = 6371;
-    const dLat = ((b.lat - a.lat) * Math.PI) / 180;
-    const dLng = ((b.lng - a.lng) * Math.PI) / 180;
-    const lat1 = (a.lat * Math.PI) / 180;
-    const lat2 = (b.lat * Math.PI) / 180;
-
-    const sinDLat = Math.sin(dLat / 2);
-    const sinDLng = Math.sin(dLng / 2);
+// Reports the visible bounds once on mount and again after pan / zoom
+// settles, so we only query Supabase once per gesture.
+function MapViewportWatcher({ onViewportChange, delayMs = 400 }) {
+    const timerRef = useRef(null);
+    const map = useMapEvents({
+        moveend() {
+            clearTimeout(timerRef.current);
+            timerRef.current = setTimeout(() => {
+                onViewportChange(
+                    boundsFromLeaflet(map.getBounds()),
+                    map.getZoom()
+                );
+            }, delayMs);
+        },
+    });
 
-    const aa =
-        sinDLat * sinDLat +
-        Math.cos(lat1) * Math.cos(lat2) * sinDLng * sinDLng;
-    const c = 2 * Math.atan2(Math.sqrt(aa), Math.sqrt(1 - aa));
+    useEffect(() => {
+        onViewportChange(boundsFromLeaflet(map.getBounds()), map.getZoom());
+        return () => clearTimeout(timerRef.current);
+    }, [map, onViewportChange]);
 
-    return R * c;
+    return null;
 }
 
-function formatNoiseLevel(level) {
-    if (!level) return "Unknown";
-    switch (level) {
-        case "silent":
-            return "Silent";
-        case "very_quiet":
-            return "Very quiet";
-        case "quiet":
-            return "Quiet";
-        case "some_road":
-        case "some_road_noise":
-            return "Some road noise";
-        case "steady_noise":
-            return "Loud but steady";
-        case "party":
-            return "Party / unpredictable";
-        case "medium": // legacy
-            return "Medium";
-        case "noisy":
-            return "Noisy";
-        default:
-            return level;
-    }
+function clusterIcon(cluster) {
+    const count = cluster.spots.length;
+    const size = count < 10 ? 44 : count < 100 ? 52 : 60;
+    const types = cluster.typeCounts
+        .slice(0, 3)
+        .map(
+            ([type, count]) =>
+                `<span class="spot-cluster-type">${getSpotTypeIcon(
+                    type
+                )}${count}</span>`
+        )
+        .join("");
+
+    return L.divIcon({
+        className: "spot-cluster-icon",
+        html:
+            `<div class="spot-cluster" style="width:${size}px;height:${size}px">` +
+            `<span class="spot-cluster-count">${count}</span>` +
+            `<span class="spot-cluster-types">${types}</span>` +
+            `</div>`,
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2],
+    });
 }
 
-function getSpotTypeIcon(type) {
-    switch (type) {
-        case "forest_road":
-            return "🌲";
-        case "campground":
-            return "🏕️";
-        case "store":
-            return "🛒";
-        case "rest_area":
-            return "🛣️";
-        case "trailhead":
-            return "🥾";
-        case "other":
-        default:
-            return "📍";
-    }
+// Groups nearby spots into count badges at low zoom. The selected spot is
+// always drawn on its own so it never disappears into a cluster.
+function ClusteredSpotMarkers({ spots, pinnedSpotId, renderSpot }) {
+    const map = useMap();
+    const [zoom, setZoom] = useState(() => map.getZoom());
+    useMapEvents({
+        zoomend() {
+            setZoom(map.getZoom());
+        },
+    });
+
+    const clusters = useMemo(() => {
+        const clusterable = spots.filter((s) => s.id !== pinnedSpotId);
+        if (zoom >= CLUSTER_MAX_ZOOM) {
+            return clusterable.map((spot) => ({
+                key: spot.id,
+                spots: [spot],
+            }));
+        }
+        return clusterSpots(clusterable, (lat, lng) =>
+            map.project([lat, lng], zoom)
+        );
+    }, [spots, pinnedSpotId, zoom, map]);
+
+    const pinnedSpot = spots.find((s) => s.id === pinnedSpotId);
+
+    return (
+        <>
+            {clusters.map((cluster) =>
+                cluster.spots.length === 1 ? (
+                    renderSpot(cluster.spots[0])
+                ) : (
+                    <Marker
+                        key={`cluster-${cluster.key}`}
+                        position={[cluster.lat, cluster.lng]}
+                        icon={clusterIcon(cluster)}
+                        eventHandlers={{
+                            click: () =>
+                                map.fitBounds(
+                                    L.latLngBounds(
+                                        cluster.spots.map((s) => [
+                                            s.lat,
+                                            s.lng,
+                                        ])
+                                    ),
+                                    { padding: [40, 40] }
+                                ),
+                        }}
+                    />
+                )
+            )}
+            {pinnedSpot && renderSpot(pinnedSpot)}
+        </>
+    );
 }
 
 const FILTER_CHIPS = [
@@ -110,6 +255,51 @@ const FILTER_CHIPS = [
     { key: "trailhead", label: "🥾 Trailhead" },
 ];
 
+const TILE_LAYERS = {
+    satellite: {
+        attribution: "Imagery &copy; Esri",
+        url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+    },
+    streets: {
+        attribution: "&copy; OpenStreetMap contributors",
+        url: "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+    },
+};
+
+// Show a "new spot nearby" toast for realtime inserts within this radius
+const NEARBY_TOAST_RADIUS_KM = 40;
+const TOAST_DURATION_MS = 6000;
+
+// Spots within the same band of distance count as equally close, so the
+// more trusted one is listed first
+const DISTANCE_BAND_KM = 10;
+
+// Identifies a spot we just saved ourselves, so its realtime echo
+// doesn't toast before the insert response arrives
+function spotSignature(spot) {
+    return `${spot.name}|${Number(spot.lat).toFixed(5)}|${Number(
+        spot.lng
+    ).toFixed(5)}`;
+}
+
+// Queued-but-unsynced spots use a local id until Supabase assigns one
+function isPendingSpotId(id) {
+    return typeof id === "string" && id.startsWith("pending-");
+}
+
+const SYNC_STATE_LABELS = {
+    pending: "⏳ pending",
+    conflict: "⚠️ conflict",
+    failed: "⚠️ not synced",
+};
+
+// At or past this zoom every spot gets its own pin
+const CLUSTER_MAX_ZOOM = 15;
+
+// Fetch this much extra around the viewport (fraction of its size per side)
+const VIEWPORT_PADDING = 0.5;
+const PHOTO_STRIP_SIZE = 4;
+
 const initialSpotForm = {
     name: "",
     description: "",
@@ -120,15 +310,31 @@ const initialSpotForm = {
     noiseLevel: "quiet",
     spotType: "forest_road",
     photoUrls: "",
+    status: "open",
+    openMonths: [],
+    closureReason: "",
 };
 
+// Blank structured fields mean "didn't say"
 const initialReviewForm = {
     rating: 5,
     comment: "",
     nickname: "",
+    safetyRating: "",
+    cellSignal: "",
+    noiseLevel: "",
+    stayedOn: "",
+    incidents: [],
+    // "" = no change to the spot's status
+    proposedStatus: "",
+    proposedOpenMonths: [],
+    closureReason: "",
 };
 
 function App() {
+    // Deep link (?spot=…&lat=…) the page was opened with
+    const [initialUrlState] = useState(readUrlState);
+
     // Spots / reviews
     const [spots, setSpots] = useState([]);
     const [reviews, setReviews] = useState([]);
@@ -137,42 +343,65 @@ function App() {
     const [adding, setAdding] = useState(false);
     const [editingSpotId, setEditingSpotId] = useState(null);
     const [pendingLocation, setPendingLocation] = useState(null);
+    const [confirmedDistinct, setConfirmedDistinct] = useState(false);
     const [spotForm, setSpotForm] = useState(initialSpotForm);
-    const [spotPhotoFiles, setSpotPhotoFiles] = useState([]);
+    const photos = usePhotoUploads();
     const [uploadingPhotos, setUploadingPhotos] = useState(false);
-    const [selectedSpotId, setSelectedSpotId] = useState(null);
+    const [selectedSpotId, setSelectedSpotId] = useState(
+        initialUrlState.spotId
+    );
+    const [historySpotId, setHistorySpotId] = useState(null);
+    const [mergeSpotId, setMergeSpotId] = useState(null);
+    // { type: "spot" | "review", id } while the report form is open
+    const [reportTarget, setReportTarget] = useState(null);
 
     // Reviews
     const [reviewForm, setReviewForm] = useState(initialReviewForm);
+    const reviewPhotos = usePhotoUploads({ maxPhotos: MAX_REVIEW_PHOTOS });
     const [savingSpot, setSavingSpot] = useState(false);
     const [savingReview, setSavingReview] = useState(false);
     const [status, setStatus] = useState("Connecting to Supabase…");
     const [errorMsg, setErrorMsg] = useState("");
     const [reviewError, setReviewError] = useState("");
     const [darkMode, setDarkMode] = useState(true);
-    const [activePhoto, setActivePhoto] = useState(null);
+    const [gallery, setGallery] = useState(null);
     const [userLocation, setUserLocation] = useState(null);
 
     // Filters
-    const [filterType, setFilterType] = useState("any");
-    const [filterOvernightOnly, setFilterOvernightOnly] = useState(false);
+    const [filterType, setFilterType] = useState(() =>
+        FILTER_CHIPS.some((c) => c.key === initialUrlState.filterType)
+            ? initialUrlState.filterType
+            : "any"
+    );
+    const [filterOvernightOnly, setFilterOvernightOnly] = useState(
+        initialUrlState.filterOvernightOnly
+    );
     const [filterFavoritesOnly, setFilterFavoritesOnly] = useState(false);
+    const [advancedFilters, setAdvancedFilters] = useState(loadSavedFilters);
+    const [showAdvancedFilters, setShowAdvancedFilters] = useState(false);
+
+    // Route corridor search
+    const [route, setRoute] = useState(null);
+    const [importPreview, setImportPreview] = useState(null);
+    const [corridorKm, setCorridorKm] = useState(10);
 
     // Map layer
-    const [mapLayer, setMapLayer] = useState("satellite");
+    const [mapLayer, setMapLayer] = useState(initialUrlState.mapLayer);
 
-    // Favorites (local)
-    const [favoriteIds, setFavoriteIds] = useState(() => {
-        if (typeof window === "undefined") return new Set();
-        try {
-            const raw = window.localStorage.getItem(
-                "nomad_safe_spots_favorites"
-            );
-            return raw ? new Set(JSON.parse(raw)) : new Set();
-        } catch {
-            return new Set();
-        }
-    });
+    // Offline
+    const [isOnline, setIsOnline] = useState(() =>
+        typeof navigator === "undefined" ? true : navigator.onLine
+    );
+    const [offlineSyncedAt, setOfflineSyncedAt] = useState(null);
+    const [downloadingArea, setDownloadingArea] = useState(false);
+    const [downloadStatus, setDownloadStatus] = useState("");
+    const [outbox, setOutbox] = useState([]);
+    const syncingRef = useRef(false);
+
+    // Realtime
+    const [toast, setToast] = useState(null);
+    const ownSpotSignaturesRef = useRef(new Set());
+    const userLocationRef = useRef(null);
 
     // Auth
     const [session, setSession] = useState(null);
@@ -184,95 +413,279 @@ function App() {
     const [authEmail, setAuthEmail] = useState("");
     const [authLoading, setAuthLoading] = useState(false);
     const [authError, setAuthError] = useState("");
+    const [authPrompt, setAuthPrompt] = useState("");
+    const [roleInfo, setRoleInfo] = useState({
+        userId: null,
+        isModerator: false,
+    });
+    const accountCardRef = useRef(null);
+    const reviewFormRef = useRef(null);
+    // Set by "Review it instead"; the review form scrolls in once shown
+    const scrollToReviewRef = useRef(false);
+
+    const currentUser = session?.user ?? null;
+    const isModerator =
+        !!currentUser &&
+        roleInfo.userId === currentUser.id &&
+        roleInfo.isModerator;
+
+    // Favorites (local, synced to the account when signed in)
+    const {
+        favorites,
+        favoriteIds,
+        toggleFavorite,
+        setFavoriteNote,
+        syncError: favoritesSyncError,
+    } = useFavorites(currentUser?.id ?? null);
+
+    const {
+        trips,
+        saveTrip,
+        removeTrip,
+        syncError: tripSyncError,
+    } = useTrips(currentUser?.id ?? null);
+    const [activeTripId, setActiveTripId] = useState(null);
+    const activeTrip = trips.find((trip) => trip.id === activeTripId) ?? null;
+
+    // Check-in totals for loaded spots + the user's own travel log
+    const loadedSpotIds = useMemo(() => spots.map((s) => s.id), [spots]);
+    const { checkinStats, myCheckins, addCheckin, checkinError } =
+        useCheckins(currentUser?.id ?? null, loadedSpotIds);
+
+    // The user's review votes + reputation of the reviewers we've loaded
+    const reviewAuthorIds = useMemo(
+        () => [...new Set(reviews.map((r) => r.user_id).filter(Boolean))],
+        [reviews]
+    );
+    const { myReviewVotes, reviewerReputation, voteOnReview, reviewVoteError } =
+        useReviewVotes(currentUser?.id ?? null, reviewAuthorIds);
+    const [reviewSort, setReviewSort] = useState("helpful");
 
     // Map ref
     const mapRef = useRef(null);
+    const regionCacheRef = useRef(null);
+    if (regionCacheRef.current === null) {
+        regionCacheRef.current = createRegionCache();
+    }
     const center = [39.5, -98.35]; // Center of US
 
     /* ---------- EFFECTS ---------- */
 
-    // Load spots + reviews
+    // Load spots + reviews for the visible map area (plus a margin).
+    // Regions already fetched are skipped via the region cache.
+    const loadViewport = useCallback(async (bounds, zoom) => {
+        // Offline: the IndexedDB snapshot is already in state
+        if (!navigator.onLine) return;
+
+        const padded = padBounds(bounds, VIEWPORT_PADDING);
+        const region = regionCacheRef.current.missing(padded, zoom);
+        if (!region) return;
+
+        regionCacheRef.current.markLoaded(region.cells);
+        setStatus("Loading spots in this area…");
+
+        const res = await fetchSpotsInBounds(region.bounds);
+
+        if (res.error) {
+            console.error(res.error);
+            regionCacheRef.current.unmark(region.cells);
+            setStatus("Error loading spots");
+            setErrorMsg(res.error.message);
+            return;
+        }
+
+        setSpots((prev) => mergeById(prev, res.spots));
+        setReviews((prev) => mergeById(prev, res.reviews));
+
+        setStatus("Loaded spots & reviews. Tap the map to explore.");
+        setErrorMsg("");
+    }, []);
+
+    // Keep lat/lng/zoom in the URL as the map moves. replaceState so
+    // panning around doesn't flood the back button.
+    const handleViewportChange = useCallback(
+        (bounds, zoom) => {
+            loadViewport(bounds, zoom);
+
+            const map = mapRef.current;
+            if (!map) return;
+            const mapCenter = map.getCenter();
+            const search = buildUrlSearch({
+                ...readUrlState(),
+                view: { lat: mapCenter.lat, lng: mapCenter.lng, zoom },
+            });
+            if (search !== window.location.search) {
+                window.history.replaceState(null, "", urlWithSearch(search));
+            }
+        },
+        [loadViewport]
+    );
+
+    // Selection / filter / layer changes get their own history entry
+    // (the very first sync only normalizes the URL we were opened with)
+    const urlSyncedRef = useRef(false);
     useEffect(() => {
-        async function loadData() {
-            setStatus("Loading spots and reviews from Supabase…");
-
-            const [spotsRes, reviewsRes] = await Promise.all([
-                supabase
-                    .from("spots")
-                    .select(
-                        "id, name, description, lat, lng, overnight_allowed, has_bathroom, cell_signal, noise_level, safety_rating, spot_type, created_at, photo_urls"
-                    )
-                    .order("created_at", { ascending: false }),
-                supabase
-                    .from("reviews")
-                    .select(
-                        "id, spot_id, rating, comment, nickname, created_at"
-                    )
-                    .order("created_at", { ascending: false }),
-            ]);
+        const search = buildUrlSearch({
+            spotId: isPendingSpotId(selectedSpotId) ? null : selectedSpotId,
+            view: readUrlState().view,
+            filterType,
+            filterOvernightOnly,
+            mapLayer,
+        });
+        const isFirstSync = !urlSyncedRef.current;
+        urlSyncedRef.current = true;
+        if (search === window.location.search) return;
+        window.history[isFirstSync ? "replaceState" : "pushState"](
+            null,
+            "",
+            urlWithSearch(search)
+        );
+    }, [selectedSpotId, filterType, filterOvernightOnly, mapLayer]);
 
-            if (spotsRes.error) {
-                console.error(spotsRes.error);
-                setStatus("Error loading spots");
-                setErrorMsg(spotsRes.error.message);
-                return;
+    // Back / forward: restore whatever the URL describes
+    useEffect(() => {
+        function handlePopState() {
+            const next = readUrlState();
+            setSelectedSpotId(next.spotId);
+            setFilterType(
+                FILTER_CHIPS.some((c) => c.key === next.filterType)
+                    ? next.filterType
+                    : "any"
+            );
+            setFilterOvernightOnly(next.filterOvernightOnly);
+            setMapLayer(next.mapLayer);
+            if (next.view && mapRef.current) {
+                mapRef.current.setView(
+                    [next.view.lat, next.view.lng],
+                    next.view.zoom
+                );
             }
+        }
 
-            if (reviewsRes.error) {
-                console.error(reviewsRes.error);
-                setStatus("Error loading reviews");
-                setErrorMsg(reviewsRes.error.message);
+        window.addEventListener("popstate", handlePopState);
+        return () => window.removeEventListener("popstate", handlePopState);
+    }, []);
+
+    // A shared spot may be outside the area we load first
+    useEffect(() => {
+        const { spotId, view } = initialUrlState;
+        if (!spotId) return;
+
+        fetchSpotById(spotId).then(({ data, error }) => {
+            if (error) {
+                console.error(error);
+                setStatus("That shared spot couldn't be found.");
                 return;
             }
+            setSpots((prev) => mergeById(prev, [data]));
+            if (!view && mapRef.current) {
+                mapRef.current.setView([data.lat, data.lng], 13);
+            }
+        });
+    }, [initialUrlState]);
 
-            let loadedSpots = spotsRes.data ?? [];
-
-            // Normalize photo_urls
-            loadedSpots = loadedSpots.map((spot) => {
-                let { photo_urls } = spot;
-                if (!photo_urls) {
-                    photo_urls = [];
-                } else {
-                    if (Array.isArray(photo_urls)) {
-                        // ok as-is
-                    } else if (
-                        typeof photo_urls === "string" &&
-                        photo_urls.trim().length > 0
-                    ) {
-                        // handle legacy comma-separated string
-                        try {
-                            // if it's actually JSON, parse it; otherwise treat as CSV
-                            const maybeJson = JSON.parse(photo_urls);
-                            if (Array.isArray(maybeJson)) {
-                                photo_urls = maybeJson;
-                            } else {
-                                photo_urls = photo_urls
-                                    .split(",")
-                                    .map((s) => s.trim())
-                                    .filter(Boolean);
-                            }
-                        } catch {
-                            photo_urls = photo_urls
-                                .split(",")
-                                .map((s) => s.trim())
-                                .filter(Boolean);
-                        }
+    // Track connectivity
+    useEffect(() => {
+        const goOnline = () => setIsOnline(true);
+        const goOffline = () => setIsOnline(false);
+        window.addEventListener("online", goOnline);
+        window.addEventListener("offline", goOffline);
+        return () => {
+            window.removeEventListener("online", goOnline);
+            window.removeEventListener("offline", goOffline);
+        };
+    }, []);
+
+    // When the last offline download happened
+    useEffect(() => {
+        getMeta("lastSyncedAt")
+            .then((syncedAt) => setOfflineSyncedAt(syncedAt ?? null))
+            .catch((err) => console.warn("Offline store unavailable:", err));
+    }, []);
+
+    // Offline: run read-only from the downloaded snapshot
+    useEffect(() => {
+        if (isOnline) return;
+
+        let cancelled = false;
+        loadOfflineSnapshot()
+            .then((snapshot) => {
+                if (cancelled) return;
+                setSpots((prev) => mergeById(prev, snapshot.spots));
+                setReviews((prev) => mergeById(prev, snapshot.reviews));
+                setOfflineSyncedAt(snapshot.lastSyncedAt);
+                setStatus(
+                    snapshot.spots.length > 0
+                        ? "Offline – showing spots saved on this device."
+                        : "Offline – no downloaded areas on this device yet."
+                );
+            })
+            .catch((err) => {
+                console.error(err);
+                setStatus("Offline – couldn't read saved spots.");
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isOnline]);
+
+    // Replay writes queued while offline
+    const syncOutbox = useCallback(async () => {
+        if (syncingRef.current) return;
+        syncingRef.current = true;
+
+        try {
+            for (const entry of await listOutbox()) {
+                if (entry.kind === "spot" && !entry.editingSpotId) {
+                    ownSpotSignaturesRef.current.add(
+                        spotSignature(entry.payload)
+                    );
+                }
+            }
+
+            const { synced, entries } = await replayOutbox({
+                onSaved: (entry, saved) => {
+                    if (entry.kind === "spot") {
+                        setSpots((prev) => mergeById(prev, [saved]));
+                    } else if (entry.kind === "checkin") {
+                        addCheckin(saved);
                     } else {
-                        photo_urls = [];
+                        setReviews((prev) => mergeById(prev, [saved]));
                     }
-                }
-                return { ...spot, photo_urls };
+                },
             });
+            setOutbox(entries);
 
-            setSpots(loadedSpots);
-            setReviews(reviewsRes.data ?? []);
-
-            setStatus("Loaded spots & reviews. Tap the map to explore.");
-            setErrorMsg("");
+            if (synced > 0) {
+                setStatus(`Synced ${synced} change(s) made while offline.`);
+            }
+            if (entries.some((e) => e.status !== "pending")) {
+                setStatus(
+                    "Some offline changes need your attention – check spots marked ⚠️."
+                );
+            }
+        } catch (err) {
+            console.error(err);
+        } finally {
+            syncingRef.current = false;
         }
+    }, [addCheckin]);
 
-        loadData();
-    }, []);
+    useEffect(() => {
+        if (isOnline) {
+            syncOutbox();
+            // Panning while offline loaded nothing; fetch what's on screen now
+            const map = mapRef.current;
+            if (map) {
+                loadViewport(boundsFromLeaflet(map.getBounds()), map.getZoom());
+            }
+        } else {
+            listOutbox()
+                .then(setOutbox)
+                .catch((err) => console.warn("Outbox unavailable:", err));
+        }
+    }, [isOnline, syncOutbox, loadViewport]);
 
     // Auth session
     useEffect(() => {
@@ -296,6 +709,22 @@ function App() {
         return () => subscription.unsubscribe();
     }, []);
 
+    // Moderator role for the signed-in user
+    useEffect(() => {
+        const userId = session?.user?.id;
+        if (!userId) return;
+
+        let cancelled = false;
+        fetchIsModerator(userId).then(({ isModerator, error }) => {
+            if (error) console.error(error);
+            if (!cancelled) setRoleInfo({ userId, isModerator });
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [session?.user?.id]);
+
     // Get user location
     useEffect(() => {
         if (!navigator.geolocation) return;
@@ -320,41 +749,154 @@ function App() {
         return () => navigator.geolocation.clearWatch(watchId);
     }, []);
 
-    // Persist favorites
+    // Keep the latest position readable from the realtime handler
     useEffect(() => {
-        try {
-            const arr = Array.from(favoriteIds);
-            window.localStorage.setItem(
-                "nomad_safe_spots_favorites",
-                JSON.stringify(arr)
-            );
-        } catch (err) {
-            console.warn("Error saving favorites:", err);
-        }
-    }, [favoriteIds]);
+        userLocationRef.current = userLocation;
+    }, [userLocation]);
+
+    // Live inserts / updates / deletes from other users
+    useEffect(() => {
+        return subscribeToSpotChanges({
+            onSpotChange(eventType, row) {
+                if (eventType === "DELETE") {
+                    setSpots((prev) => prev.filter((s) => s.id !== row.id));
+                    return;
+                }
+
+                setSpots((prev) => mergeById(prev, [row]));
+
+                if (eventType !== "INSERT") return;
+                const signature = spotSignature(row);
+                if (ownSpotSignaturesRef.current.has(signature)) {
+                    ownSpotSignaturesRef.current.delete(signature);
+                    return;
+                }
+
+                const here = userLocationRef.current;
+                const distanceKm = haversineDistanceKm(here, row);
+                if (
+                    distanceKm != null &&
+                    distanceKm <= NEARBY_TOAST_RADIUS_KM
+                ) {
+                    setToast({
+                        spotId: row.id,
+                        message: `New spot nearby: ${row.name} (${distanceKm.toFixed(1)} km)`,
+                    });
+                }
+            },
+            onReviewChange(eventType, row) {
+                if (eventType === "DELETE") {
+                    setReviews((prev) => prev.filter((r) => r.id !== row.id));
+                    return;
+                }
+                setReviews((prev) => mergeById(prev, [row]));
+            },
+        });
+    }, []);
+
+    // Auto-dismiss the toast
+    useEffect(() => {
+        if (!toast) return;
+        const timer = setTimeout(() => setToast(null), TOAST_DURATION_MS);
+        return () => clearTimeout(timer);
+    }, [toast]);
+
+    // Persist advanced filters
+    useEffect(() => {
+        saveFilters(advancedFilters);
+    }, [advancedFilters]);
 
     /* ---------- DERIVED DATA ---------- */
 
+    // Overlay queued offline writes so they show up (marked) right away
+    const spotsWithPending = useMemo(() => {
+        const edits = new Map();
+        const inserts = [];
+        for (const entry of outbox) {
+            if (entry.kind !== "spot") continue;
+            if (entry.editingSpotId) {
+                edits.set(entry.editingSpotId, entry);
+            } else {
+                inserts.push({
+                    ...entry.payload,
+                    id: `pending-${entry.id}`,
+                    created_at: entry.createdAt,
+                    outboxId: entry.id,
+                    syncState: entry.status,
+                    syncError: entry.error,
+                });
+            }
+        }
+
+        return [
+            ...spots.map((spot) => {
+                const entry = edits.get(spot.id);
+                if (!entry) return spot;
+                return {
+                    ...spot,
+                    ...entry.payload,
+                    outboxId: entry.id,
+                    syncState: entry.status,
+                    syncError: entry.error,
+                    syncConflict: entry.conflict,
+                };
+            }),
+            ...inserts,
+        ];
+    }, [spots, outbox]);
+
+    const reviewsWithPending = useMemo(() => {
+        const pending = outbox
+            .filter((entry) => entry.kind === "review")
+            .map((entry) => ({
+                ...entry.payload,
+                id: `pending-${entry.id}`,
+                created_at: entry.createdAt,
+                outboxId: entry.id,
+                syncState: entry.status,
+                syncError: entry.error,
+            }));
+        return pending.length > 0 ? [...pending.reverse(), ...reviews] : reviews;
+    }, [reviews, outbox]);
+
     const reviewsBySpotId = useMemo(() => {
         const map = new Map();
-        for (const review of reviews) {
+        for (const review of reviewsWithPending) {
             if (!review.spot_id) continue;
+            if (review.hidden && !isModerator) continue;
             if (!map.has(review.spot_id)) map.set(review.spot_id, []);
-            map.get(review.spot_id).push(review);
+            map.get(review.spot_id).push({
+                ...review,
+                // helpful reviewers count for more in the spot's scores
+                authorWeight: reputationWeight(
+                    reviewerReputation.get(review.user_id)
+                ),
+            });
         }
         return map;
-    }, [reviews]);
+    }, [reviewsWithPending, isModerator, reviewerReputation]);
 
     const spotsWithStats = useMemo(() => {
-        return (spots ?? [])
+        return spotsWithPending
+            // hidden by a moderator: only moderators still see it
+            .filter((spot) => !spot.hidden || isModerator)
             .map((spot) => {
                 const revs = reviewsBySpotId.get(spot.id) ?? [];
+                const checkins = checkinStats.get(spot.id);
                 const avgRating =
                     revs.length > 0
                         ? revs.reduce((sum, r) => sum + (r.rating ?? 0), 0) /
                         revs.length
                         : null;
                 const reviewCount = revs.length;
+                // reviews are newest-first, but pending ones may be mixed in
+                const lastReviewAt = revs.reduce(
+                    (latest, r) =>
+                        r.created_at && (!latest || r.created_at > latest)
+                            ? r.created_at
+                            : latest,
+                    null
+                );
 
                 const distanceKm = userLocation
                     ? haversineDistanceKm(
@@ -366,28 +908,60 @@ function App() {
                     )
                     : null;
 
-                return { ...spot, avgRating, reviewCount, distanceKm };
+                return {
+                    ...spot,
+                    ...spotTrust(spot, revs, checkins),
+                    ...aggregateSpotAttributes(spot, revs),
+                    avgRating,
+                    reviewCount,
+                    lastReviewAt,
+                    staysThisMonth: checkins?.staysThisMonth ?? 0,
+                    // offline snapshots may predate spot statuses
+                    status: spot.status ?? "open",
+                    closedNow: isClosedNow(spot),
+                    distanceKm,
+                };
             })
             .sort((a, b) => {
                 const aFav = favoriteIds.has(a.id);
                 const bFav = favoriteIds.has(b.id);
                 if (aFav !== bFav) return aFav ? -1 : 1;
 
-                if (a.distanceKm != null && b.distanceKm != null) {
-                    if (a.distanceKm !== b.distanceKm) {
-                        return a.distanceKm - b.distanceKm;
-                    }
+                // Closed spots, then ones nobody has vouched for lately,
+                // go to the bottom
+                if (a.closedNow !== b.closedNow) return a.closedNow ? 1 : -1;
+                if (a.stale !== b.stale) return a.stale ? 1 : -1;
+
+                const bothDistances =
+                    a.distanceKm != null && b.distanceKm != null;
+                if (bothDistances) {
+                    const aBand = Math.floor(a.distanceKm / DISTANCE_BAND_KM);
+                    const bBand = Math.floor(b.distanceKm / DISTANCE_BAND_KM);
+                    if (aBand !== bBand) return aBand - bBand;
                 }
 
-                if (a.avgRating != null && b.avgRating != null) {
-                    if (b.avgRating !== a.avgRating) {
-                        return b.avgRating - a.avgRating;
-                    }
+                // Spots with a trust score come before ones without
+                if ((a.trustScore == null) !== (b.trustScore == null)) {
+                    return a.trustScore == null ? 1 : -1;
+                }
+                if (a.trustScore != null && b.trustScore !== a.trustScore) {
+                    return b.trustScore - a.trustScore;
+                }
+
+                if (bothDistances && a.distanceKm !== b.distanceKm) {
+                    return a.distanceKm - b.distanceKm;
                 }
 
                 return (a.name || "").localeCompare(b.name || "");
             });
-    }, [spots, reviewsBySpotId, userLocation, favoriteIds]);
+    }, [
+        spotsWithPending,
+        reviewsBySpotId,
+        checkinStats,
+        userLocation,
+        favoriteIds,
+        isModerator,
+    ]);
 
     const filteredSpots = useMemo(() => {
         return spotsWithStats.filter((spot) => {
@@ -400,7 +974,7 @@ function App() {
             if (filterFavoritesOnly && !favoriteIds.has(spot.id)) {
                 return false;
             }
-            return true;
+            return matchesAdvancedFilters(spot, advancedFilters);
         });
     }, [
         spotsWithStats,
@@ -408,8 +982,19 @@ function App() {
         filterOvernightOnly,
         filterFavoritesOnly,
         favoriteIds,
+        advancedFilters,
     ]);
 
+    const routeCorridor = useMemo(
+        () => (route ? corridorPolygon(route.coordinates, corridorKm) : []),
+        [route, corridorKm]
+    );
+
+    const filterChips = useMemo(
+        () => activeFilterChips(advancedFilters),
+        [advancedFilters]
+    );
+
     const selectedSpot = useMemo(
         () => spotsWithStats.find((s) => s.id === selectedSpotId) || null,
         [spotsWithStats, selectedSpotId]
@@ -419,17 +1004,122 @@ function App() {
         () => reviewsBySpotId.get(selectedSpotId) ?? [],
         [reviewsBySpotId, selectedSpotId]
     );
+    const sortedSpotReviews = useMemo(
+        () => sortReviews(selectedSpotReviews, reviewSort),
+        [selectedSpotReviews, reviewSort]
+    );
+
+    // Spot photos and review photos together, newest first
+    const selectedSpotPhotos = useMemo(
+        () =>
+            sortPhotosByDate([
+                ...spotGalleryPhotos(selectedSpot, {
+                    includeHidden: isModerator,
+                }),
+                ...reviewGalleryPhotos(selectedSpotReviews, {
+                    includeHidden: isModerator,
+                }),
+            ]),
+        [selectedSpot, selectedSpotReviews, isModerator]
+    );
 
     const isFavorite = (spotId) => favoriteIds.has(spotId);
 
+    // Existing spots near a new pin, so people review instead of re-adding
+    const similarSpots = useMemo(() => {
+        if (!adding || editingSpotId || !pendingLocation) return [];
+        return findSimilarSpots(
+            {
+                ...pendingLocation,
+                name: spotForm.name,
+                spot_type: spotForm.spotType,
+            },
+            spotsWithStats
+        );
+    }, [
+        adding,
+        editingSpotId,
+        pendingLocation,
+        spotForm.name,
+        spotForm.spotType,
+        spotsWithStats,
+    ]);
+
+    const mergeCandidates = useMemo(() => {
+        if (!isModerator || !selectedSpot || mergeSpotId !== selectedSpot.id) {
+            return [];
+        }
+        return findSimilarSpots(
+            selectedSpot,
+            spotsWithStats.filter((s) => !isPendingSpotId(s.id))
+        );
+    }, [isModerator, selectedSpot, mergeSpotId, spotsWithStats]);
+
+    useEffect(() => {
+        if (!scrollToReviewRef.current || !selectedSpotId) return;
+        scrollToReviewRef.current = false;
+        reviewFormRef.current?.scrollIntoView({
+            behavior: "smooth",
+            block: "center",
+        });
+        reviewFormRef.current?.querySelector("textarea")?.focus();
+    }, [selectedSpotId]);
+
+    const exportSources = useMemo(() => {
+        const spotsById = new Map(spotsWithStats.map((s) => [s.id, s]));
+        return {
+            filtered: {
+                label: "Spots shown",
+                title: "Nomad Safe Spots",
+                spots: filteredSpots,
+            },
+            favorites: {
+                label: "Favorites",
+                title: "Favorite spots",
+                spots: spotsWithStats.filter((s) => favoriteIds.has(s.id)),
+            },
+            trip: activeTrip && {
+                label: `Trip: ${activeTrip.name}`,
+                title: activeTrip.name,
+                // Stops keep a snapshot, for spots outside the loaded area
+                spots: activeTrip.stops.map(
+                    (stop) =>
+                        spotsById.get(stop.spotId) ?? {
+                            id: stop.spotId,
+                            name: stop.name,
+                            lat: stop.lat,
+                            lng: stop.lng,
+                            spot_type: stop.spotType,
+                        }
+                ),
+            },
+        };
+    }, [spotsWithStats, filteredSpots, favoriteIds, activeTrip]);
+
     /* ---------- HANDLERS ---------- */
 
+    // Anonymous users get pointed at the Account card instead of the form
+    function promptSignIn(message) {
+        setAuthPrompt(message);
+        if (isMobileViewport) setIsMobileSheetOpen(true);
+        accountCardRef.current?.scrollIntoView({
+            behavior: "smooth",
+            block: "center",
+        });
+    }
+
     function startAdding() {
+        if (!currentUser) {
+            promptSignIn("Sign in to add a spot – it only takes a magic link.");
+            return;
+        }
+        setAuthPrompt("");
         setAdding(true);
         setEditingSpotId(null);
         setPendingLocation(null);
+        setConfirmedDistinct(false);
         setSpotForm(initialSpotForm);
-        setSpotPhotoFiles([]);
+        photos.reset();
         setErrorMsg("");
         // On mobile, collapse the drawer so it's easy to tap the map first
         if (isMobileViewport) {
@@ -437,18 +1127,26 @@ function App() {
         }
     }
 
-    function cancelAddOrEdit() {
+    // After a save: the form's photos now belong to the spot
+    function closeSpotForm() {
         setAdding(false);
         setEditingSpotId(null);
         setPendingLocation(null);
+        setConfirmedDistinct(false);
         setSpotForm(initialSpotForm);
-        setSpotPhotoFiles([]);
+        photos.reset();
         setErrorMsg("");
     }
 
+    function cancelAddOrEdit() {
+        photos.discardUploads();
+        closeSpotForm();
+    }
+
     function handleMapClick(lat, lng) {
         if (!adding) return;
         setPendingLocation({ lat, lng });
+        setConfirmedDistinct(false);
         setErrorMsg("");
         // When a location is picked on mobile, spring the drawer back open
         if (isMobileViewport) {
@@ -466,7 +1164,20 @@ function App() {
 
     function handleSpotFileChange(e) {
         const files = Array.from(e.target.files || []);
-        setSpotPhotoFiles(files);
+        // Clear the input so the same file can be picked again
+        e.target.value = "";
+        setErrorMsg(
+            photos.addFiles(
+                files,
+                normalizePhotoUrls(spotForm.photoUrls).length
+            )
+        );
+    }
+
+    function handleReviewFileChange(e) {
+        const files = Array.from(e.target.files || []);
+        e.target.value = "";
+        setReviewError(reviewPhotos.addFiles(files));
     }
 
     function handleReviewInputChange(e) {
@@ -477,232 +1188,579 @@ function App() {
         }));
     }
 
+    function toggleReviewIncident(key) {
+        setReviewForm((prev) => ({
+            ...prev,
+            incidents: prev.incidents.includes(key)
+                ? prev.incidents.filter((k) => k !== key)
+                : [...prev.incidents, key],
+        }));
+    }
+
     async function handleSaveSpot(e) {
         e.preventDefault();
         setErrorMsg("");
 
-        if (!pendingLocation) {
-            setErrorMsg("Tap on the map to choose a location.");
+        if (!currentUser) {
+            setErrorMsg("Please sign in to save spots.");
             return;
         }
 
-        if (!spotForm.name.trim()) {
-            setErrorMsg("Please give this spot a name.");
-            return;
+        if (editingSpotId) {
+            const original = spots.find((s) => s.id === editingSpotId);
+            if (!canEditSpot(original, currentUser, isModerator)) {
+                setErrorMsg(
+                    "Only the person who added this spot or a moderator can edit it."
+                );
+                return;
+            }
         }
 
-        setSavingSpot(true);
+        const built = buildSpotPayload(spotForm, pendingLocation);
+        if (built.error) {
+            setErrorMsg(built.error);
+            return;
+        }
 
-        const lat = pendingLocation.lat;
-        const lng = pendingLocation.lng;
-        const cell_signal = clamp(
-            parseInt(spotForm.cellSignal, 10) || 0,
-            0,
-            5
-        );
-        const safety_rating = clamp(
-            parseInt(spotForm.safetyRating, 10) || 0,
-            1,
-            5
+        // Pasted links count towards the photo limit too
+        const linkedUrls = built.payload.photo_urls;
+        const photoLimitError = validatePhotoFiles(
+            [],
+            photos.items.length + linkedUrls.length
         );
+        if (photoLimitError) {
+            setErrorMsg(photoLimitError);
+            return;
+        }
 
-        let photo_urls = [];
-        // parse any manual URLs typed in
-        if (spotForm.photoUrls) {
-            photo_urls = spotForm.photoUrls
-                .split(",")
-                .map((s) => s.trim())
-                .filter(Boolean);
+        if (similarSpots.length > 0 && !confirmedDistinct) {
+            setErrorMsg(
+                "This may already be on the map – review the existing spot, or confirm yours is a different place."
+            );
+            return;
         }
 
-        // upload any local files
-        let uploadedUrls = [];
-        if (spotPhotoFiles.length > 0) {
-            setUploadingPhotos(true);
-
-            for (const file of spotPhotoFiles) {
-                const ext = file.name.split(".").pop();
-                const fileName = `${Date.now()}-${Math.random()
-                    .toString(36)
-                    .slice(2)}.${ext}`;
-
-                const { data, error } = await supabase.storage
-                    .from("spot-photos")
-                    .upload(fileName, file, {
-                        cacheControl: "3600",
-                        upsert: false,
+        setSavingSpot(true);
+
+        const payload = {
+            ...built.payload,
+            // ownership is fixed at creation; the DB ignores it on update
+            ...(editingSpotId ? {} : { created_by: currentUser.id }),
+        };
+        // Listed photos first (in the user's order), then pasted links
+        const withPhotos = (items) => {
+            const fields = photoFields(items, currentUser.id);
+            return {
+                ...payload,
+                photo_urls: [...fields.photo_urls, ...linkedUrls],
+                photo_meta: fields.photo_meta,
+            };
+        };
+        let photoItems = photos.items;
+
+        try {
+            if (navigator.onLine) {
+                if (photoItems.some((item) => !item.url)) {
+                    setUploadingPhotos(true);
+                    const upload = await photos.uploadPending();
+                    setUploadingPhotos(false);
+                    photoItems = upload.items;
+
+                    const failures = photoItems.filter(
+                        (item) => item.status === "failed"
+                    );
+                    if (
+                        failures.some(
+                            (item) => !isNetworkError({ message: item.error })
+                        )
+                    ) {
+                        setErrorMsg(
+                            "Some photos didn't upload – retry or remove them, then save again."
+                        );
+                        return;
+                    }
+                }
+
+                // A photo lost to the network sends the whole spot to the
+                // outbox below
+                if (photoItems.every((item) => item.url)) {
+                    const fullPayload = withPhotos(photoItems);
+                    if (!editingSpotId) {
+                        ownSpotSignaturesRef.current.add(
+                            spotSignature(fullPayload)
+                        );
+                    }
+                    const result = await saveSpot({
+                        payload: fullPayload,
+                        editingSpotId,
                     });
 
-                if (error) {
-                    console.error(error);
-                    setErrorMsg(
-                        "Failed to upload one of the photos: " + error.message
+                    if (!result.error) {
+                        setSpots((prev) => mergeById(prev, [result.data]));
+                        closeSpotForm();
+                        setStatus(
+                            editingSpotId
+                                ? "Spot updated successfully."
+                                : "Spot added!"
+                        );
+                        return;
+                    }
+
+                    if (!isNetworkError(result.error)) {
+                        console.error(result.error);
+                        await photos.discardUploads(photoItems);
+                        setErrorMsg(result.error.message);
+                        return;
+                    }
+                }
+            }
+
+            // Offline or Supabase unreachable: keep it on this device.
+            // Photos that did upload are kept; the rest upload on replay.
+            await enqueue({
+                kind: "spot",
+                payload: withPhotos(photoItems),
+                photoFiles: queuedPhotos(photoItems),
+                editingSpotId,
+                // What the edit started from, for conflict checks on replay
+                base: editingSpotId
+                    ? spots.find((s) => s.id === editingSpotId) ?? null
+                    : null,
+            });
+            setOutbox(await listOutbox());
+            closeSpotForm();
+            setStatus(
+                "Saved on this device – it will sync when you're back online."
+            );
+        } catch (err) {
+            console.error(err);
+            setErrorMsg(err.message || "Error saving spot.");
+        } finally {
+            setUploadingPhotos(false);
+            setSavingSpot(false);
+        }
+    }
+
+    async function handleAddReview(e) {
+        e.preventDefault();
+        setReviewError("");
+
+        if (!selectedSpot) {
+            setReviewError("Select a spot first.");
+            return;
+        }
+
+        if (isPendingSpotId(selectedSpot.id)) {
+            setReviewError(
+                "This spot hasn't synced yet – add reviews once it's online."
+            );
+            return;
+        }
+
+        const built = buildReviewPayload(reviewForm, selectedSpot.id);
+        if (built.error) {
+            setReviewError(built.error);
+            return;
+        }
+
+        const payload = built.payload;
+        const withPhotos = (items) => ({
+            ...payload,
+            ...photoFields(items, currentUser?.id),
+        });
+        const resetReviewForm = () => {
+            setReviewForm(initialReviewForm);
+            reviewPhotos.reset();
+        };
+        let photoItems = reviewPhotos.items;
+
+        try {
+            setSavingReview(true);
+
+            if (navigator.onLine) {
+                if (photoItems.some((item) => !item.url)) {
+                    const upload = await reviewPhotos.uploadPending();
+                    photoItems = upload.items;
+
+                    const failures = photoItems.filter(
+                        (item) => item.status === "failed"
                     );
-                    setUploadingPhotos(false);
-                    return;
+                    if (
+                        failures.some(
+                            (item) => !isNetworkError({ message: item.error })
+                        )
+                    ) {
+                        setReviewError(
+                            "Some photos didn't upload – retry or remove them, then post again."
+                        );
+                        return;
+                    }
                 }
 
-                if (data?.path) {
-                    const {
-                        data: { publicUrl },
-                    } = supabase.storage
-                        .from("spot-photos")
-                        .getPublicUrl(data.path);
+                // Same as spots: a photo lost to the network sends the
+                // review to the outbox below
+                if (photoItems.every((item) => item.url)) {
+                    const { data, error } = await saveReview(
+                        withPhotos(photoItems)
+                    );
+
+                    if (!error) {
+                        // mergeById: the realtime echo may have landed first
+                        setReviews((prev) => mergeById(prev, [data]));
+                        resetReviewForm();
+                        return;
+                    }
+
+                    if (!isNetworkError(error)) {
+                        console.error(error);
+                        await reviewPhotos.discardUploads(photoItems);
+                        setReviewError(error.message);
+                        return;
+                    }
+                }
+            }
+
+            await enqueue({
+                kind: "review",
+                payload: withPhotos(photoItems),
+                photoFiles: queuedPhotos(photoItems),
+            });
+            setOutbox(await listOutbox());
+            resetReviewForm();
+            setStatus(
+                "Review saved on this device – it will post when you're back online."
+            );
+        } catch (err) {
+            console.error(err);
+            setReviewError(err.message || "Error saving review.");
+        } finally {
+            setSavingReview(false);
+        }
+    }
+
+    async function handleRetryOutboxEntry(outboxId, options) {
+        const entry = outbox.find((o) => o.id === outboxId);
+        if (!entry) return;
+        await retryOutboxEntry(entry, options);
+        if (navigator.onLine) {
+            await syncOutbox();
+        } else {
+            setOutbox(await listOutbox());
+        }
+    }
+
+    async function handleDiscardOutboxEntry(outboxId) {
+        await removeOutboxEntry(outboxId);
+        setOutbox(await listOutbox());
+        if (selectedSpotId === `pending-${outboxId}`) {
+            setSelectedSpotId(null);
+        }
+    }
+
+    async function handleLocateMe() {
+        if (!mapRef.current) return;
+        if (!navigator.geolocation) {
+            setStatus("Geolocation is not supported by your browser.");
+            return;
+        }
+
+        setStatus("Finding your location…");
+
+        navigator.geolocation.getCurrentPosition(
+            (pos) => {
+                const { latitude, longitude } = pos.coords;
+                setUserLocation({ lat: latitude, lng: longitude });
+
+                const map = mapRef.current;
+                map.setView([latitude, longitude], 11, {
+                    animate: true,
+                });
 
-                    if (publicUrl) uploadedUrls.push(publicUrl);
-                }
+                setStatus("Centered on your location.");
+            },
+            (err) => {
+                console.error(err);
+                setStatus("Unable to get your location.");
+            },
+            {
+                enableHighAccuracy: true,
+                maximumAge: 30_000,
+                timeout: 20_000,
             }
+        );
+    }
 
-            setUploadingPhotos(false);
+    async function handleDownloadArea() {
+        const map = mapRef.current;
+        if (!map || downloadingArea) return;
+        if (!isOnline) {
+            setDownloadStatus("Connect to the internet to download an area.");
+            return;
         }
 
-        const allPhotoUrls = [...photo_urls, ...uploadedUrls];
-
-        const payload = {
-            name: spotForm.name.trim(),
-            description: spotForm.description.trim(),
-            lat,
-            lng,
-            overnight_allowed: spotForm.overnightAllowed,
-            has_bathroom: spotForm.hasBathroom,
-            cell_signal,
-            safety_rating,
-            noise_level: spotForm.noiseLevel,
-            spot_type: spotForm.spotType,
-            photo_urls: allPhotoUrls,
-        };
+        setDownloadingArea(true);
+        setDownloadStatus("Starting download…");
 
         try {
-            let result;
-            if (editingSpotId) {
-                result = await supabase
-                    .from("spots")
-                    .update(payload)
-                    .eq("id", editingSpotId)
-                    .select()
-                    .single();
-            } else {
-                result = await supabase
-                    .from("spots")
-                    .insert(payload)
-                    .select()
-                    .single();
-            }
+            const result = await downloadArea({
+                bounds: boundsFromLeaflet(map.getBounds()),
+                zoom: map.getZoom(),
+                tileTemplate: TILE_LAYERS[mapLayer].url,
+                shellUrls: [markerIcon, markerIcon2x, markerShadow],
+                onProgress: setDownloadStatus,
+            });
 
             if (result.error) {
                 console.error(result.error);
-                setErrorMsg(result.error.message);
+                setDownloadStatus("Download failed: " + result.error.message);
                 return;
             }
 
-            const savedSpot = result.data;
-            setSpots((prev) => {
-                const idx = prev.findIndex((s) => s.id === savedSpot.id);
-                if (idx === -1) return [savedSpot, ...prev];
-                const copy = [...prev];
-                copy[idx] = savedSpot;
-                return copy;
-            });
-
-            setAdding(false);
-            setEditingSpotId(null);
-            setPendingLocation(null);
-            setSpotForm(initialSpotForm);
-            setSpotPhotoFiles([]);
-            setErrorMsg("");
-            setStatus(
-                editingSpotId ? "Spot updated successfully." : "Spot added!"
+            setOfflineSyncedAt(result.syncedAt);
+            setDownloadStatus(
+                `Saved ${result.spotCount} spots, ${result.reviewCount} reviews ` +
+                `and ${result.mediaCount} tiles/photos for offline use.` +
+                (result.failedCount > 0
+                    ? ` ${result.failedCount} files couldn't be saved.`
+                    : "")
             );
         } catch (err) {
             console.error(err);
-            setErrorMsg(err.message || "Error saving spot.");
+            setDownloadStatus(err.message || "Error downloading this area.");
         } finally {
-            setSavingSpot(false);
+            setDownloadingArea(false);
         }
     }
 
-    async function handleAddReview(e) {
-        e.preventDefault();
-        setReviewError("");
+    const handleSearchResults = useCallback((foundSpots, foundReviews) => {
+        setSpots((prev) => mergeById(prev, foundSpots));
+        setReviews((prev) => mergeById(prev, foundReviews));
+    }, []);
 
-        if (!selectedSpot) {
-            setReviewError("Select a spot first.");
-            return;
-        }
+    function handleSearchSelectSpot(spot) {
+        setSelectedSpotId(spot.id);
+        mapRef.current?.setView(
+            [spot.lat, spot.lng],
+            Math.max(mapRef.current.getZoom(), 13)
+        );
+        if (isMobileViewport) setIsMobileSheetOpen(true);
+    }
 
-        const rating = clamp(parseInt(reviewForm.rating, 10) || 0, 1, 5);
-        if (!rating) {
-            setReviewError("Rating 1–5 is required.");
-            return;
+    function handleSearchSelectPlace(place) {
+        const map = mapRef.current;
+        if (!map) return;
+        if (place.bounds) {
+            map.fitBounds([
+                [place.bounds.south, place.bounds.west],
+                [place.bounds.north, place.bounds.east],
+            ]);
+        } else {
+            map.setView([place.lat, place.lng], 11);
         }
+        setStatus(`Showing spots around ${place.label}.`);
+    }
 
-        if (!reviewForm.comment.trim()) {
-            setReviewError("Please add a short comment.");
+    async function handleCheckIn(spot, stayedOn, outcome) {
+        if (!currentUser) {
+            promptSignIn("Sign in to check in and keep a travel log.");
             return;
         }
 
         const payload = {
-            spot_id: selectedSpot.id,
-            rating,
-            comment: reviewForm.comment.trim(),
-            nickname: reviewForm.nickname.trim() || null,
+            user_id: currentUser.id,
+            spot_id: spot.id,
+            stayed_on: stayedOn,
+            outcome,
         };
 
         try {
-            setSavingReview(true);
-            const { data, error } = await supabase
-                .from("reviews")
-                .insert(payload)
-                .select()
-                .single();
+            if (navigator.onLine) {
+                const { data, error } = await saveCheckin(payload);
+                if (!error) {
+                    addCheckin(data);
+                    setStatus("Checked in – thanks for confirming this spot.");
+                    return;
+                }
+                if (!isNetworkError(error)) {
+                    console.error(error);
+                    setStatus(error.message);
+                    return;
+                }
+            }
+
+            await enqueue({ kind: "checkin", payload });
+            setOutbox(await listOutbox());
+            setStatus(
+                "Check-in saved on this device – it will sync when you're back online."
+            );
+        } catch (err) {
+            console.error(err);
+            setStatus(err.message || "Error checking in.");
+        }
+    }
+
+    // Tapping the vote you already gave takes it back
+    async function handleReviewVote(review, helpful) {
+        if (!currentUser) {
+            promptSignIn("Sign in to vote on reviews.");
+            return;
+        }
 
+        const previous = myReviewVotes.get(review.id);
+        const next = previous === helpful ? null : helpful;
+        try {
+            const { error } = await voteOnReview(review.id, next);
             if (error) {
                 console.error(error);
-                setReviewError(error.message);
+                setStatus(error.message);
                 return;
             }
-
-            setReviews((prev) => [data, ...prev]);
-            setReviewForm(initialReviewForm);
+            setReviews((prev) =>
+                prev.map((row) =>
+                    row.id === review.id
+                        ? { ...row, ...countsAfterVote(row, previous, next) }
+                        : row
+                )
+            );
         } catch (err) {
             console.error(err);
-            setReviewError(err.message || "Error saving review.");
-        } finally {
-            setSavingReview(false);
+            setStatus(err.message || "Error saving your vote.");
         }
     }
 
-    async function handleLocateMe() {
-        if (!mapRef.current) return;
-        if (!navigator.geolocation) {
-            setStatus("Geolocation is not supported by your browser.");
+    // "82% helpful" once an author's reviews have a few votes
+    function reviewerReputationLabel(review) {
+        const rep = reviewerReputation.get(review.user_id);
+        const votes = (rep?.helpful ?? 0) + (rep?.notHelpful ?? 0);
+        if (votes < MIN_REPUTATION_VOTES) return null;
+        return `${Math.round((rep.helpful / votes) * 100)}% helpful`;
+    }
+
+    function handleAddToTrip(spot) {
+        const trip = activeTrip ?? createTrip("My trip");
+        if (trip.stops.some((stop) => stop.spotId === spot.id)) {
+            setStatus(`${spot.name} is already in “${trip.name}”.`);
             return;
         }
+        saveTrip(appendStop(trip, spot));
+        setActiveTripId(trip.id);
+        setStatus(`Added ${spot.name} to “${trip.name}”.`);
+    }
 
-        setStatus("Finding your location…");
+    function handleImportPreview(points) {
+        setImportPreview(points);
+        if (points?.length && mapRef.current) {
+            mapRef.current.fitBounds(
+                points.map((p) => [p.lat, p.lng]),
+                { padding: [30, 30], maxZoom: 13 }
+            );
+        }
+    }
 
-        navigator.geolocation.getCurrentPosition(
-            (pos) => {
-                const { latitude, longitude } = pos.coords;
-                setUserLocation({ lat: latitude, lng: longitude });
+    // Imported points get the same checks and save path as the Add form
+    async function handleImportSpots(points) {
+        if (!currentUser) {
+            promptSignIn("Sign in to import spots.");
+            return null;
+        }
 
-                const map = mapRef.current;
-                map.setView([latitude, longitude], 11, {
-                    animate: true,
-                });
+        const outcome = { added: 0, queued: 0, failed: [] };
+        const saved = [];
+        for (const point of points) {
+            const built = buildSpotPayload(
+                { ...initialSpotForm, ...point },
+                point
+            );
+            if (built.error) {
+                outcome.failed.push(
+                    `${point.name || "Unnamed"}: ${built.error}`
+                );
+                continue;
+            }
 
-                setStatus("Centered on your location.");
-            },
-            (err) => {
-                console.error(err);
-                setStatus("Unable to get your location.");
-            },
-            {
-                enableHighAccuracy: true,
-                maximumAge: 30_000,
-                timeout: 20_000,
+            const payload = { ...built.payload, created_by: currentUser.id };
+            if (navigator.onLine) {
+                ownSpotSignaturesRef.current.add(spotSignature(payload));
+                const result = await saveSpot({
+                    payload,
+                    photoFiles: [],
+                    editingSpotId: null,
+                });
+                if (!result.error) {
+                    saved.push(result.data);
+                    outcome.added += 1;
+                    continue;
+                }
+                if (!isNetworkError(result.error)) {
+                    console.error(result.error);
+                    outcome.failed.push(
+                        `${payload.name}: ${result.error.message}`
+                    );
+                    continue;
+                }
             }
+
+            await enqueue({
+                kind: "spot",
+                payload,
+                photoFiles: [],
+                editingSpotId: null,
+                base: null,
+            });
+            outcome.queued += 1;
+        }
+
+        if (saved.length) setSpots((prev) => mergeById(prev, saved));
+        if (outcome.queued) setOutbox(await listOutbox());
+        setStatus(`Imported ${outcome.added + outcome.queued} spots.`);
+        return outcome;
+    }
+
+    function handleRouteChange(nextRoute) {
+        setRoute(nextRoute);
+        if (nextRoute && mapRef.current) {
+            // Fitting the route also loads the spots along it
+            mapRef.current.fitBounds(nextRoute.coordinates, {
+                padding: [30, 30],
+            });
+        }
+    }
+
+    async function handleShareSpot(spot) {
+        const url = urlWithSearch(
+            buildUrlSearch({
+                spotId: spot.id,
+                view: {
+                    lat: spot.lat,
+                    lng: spot.lng,
+                    zoom: Math.max(mapRef.current?.getZoom() ?? 13, 13),
+                },
+                filterType,
+                filterOvernightOnly,
+                mapLayer,
+            })
         );
+
+        if (navigator.share) {
+            try {
+                await navigator.share({
+                    title: spot.name,
+                    text: `${spot.name} on Nomad Safe Spots`,
+                    url,
+                });
+            } catch (err) {
+                // AbortError = user closed the share sheet
+                if (err.name !== "AbortError") console.error(err);
+            }
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(url);
+            setStatus("Link copied – paste it anywhere to share this spot.");
+        } catch {
+            window.prompt("Copy this link to share the spot:", url);
+        }
     }
 
     function openSpotInMaps(spot) {
@@ -747,22 +1805,119 @@ function App() {
         try {
             await supabase.auth.signOut();
             setSession(null);
+            cancelAddOrEdit();
         } catch (err) {
             console.error(err);
         }
     }
 
-    function toggleFavorite(spotId) {
-        setFavoriteIds((prev) => {
-            const next = new Set(prev);
-            if (next.has(spotId)) next.delete(spotId);
-            else next.add(spotId);
-            return next;
+    function isReporting(type, id) {
+        return reportTarget?.type === type && reportTarget.id === id;
+    }
+
+    function handleReportSent() {
+        setReportTarget(null);
+        setStatus("Thanks – a moderator will take a look.");
+    }
+
+    // Reflect a moderator decision locally without waiting for realtime
+    function handleReportResolved(report, action) {
+        if (action === "dismiss") return;
+        if (report.target_type === "review_photo") {
+            setReviews((prev) =>
+                prev.map((row) =>
+                    row.id === report.target_id
+                        ? {
+                            ...row,
+                            ...photoFieldsAfterReport(
+                                row,
+                                report.photo_url,
+                                action
+                            ),
+                        }
+                        : row
+                )
+            );
+            return;
+        }
+        if (report.photo_url || action === "apply") {
+            // The photo lives inside the spot row, and a new status gets
+            // its changed-at date server-side; just reload it
+            fetchSpotById(report.target_id).then(({ data, error }) => {
+                if (error) console.error(error);
+                else setSpots((prev) => mergeById(prev, [data]));
+            });
+            return;
+        }
+        const setRows = report.target_type === "spot" ? setSpots : setReviews;
+        setRows((prev) =>
+            action === "delete"
+                ? prev.filter((row) => row.id !== report.target_id)
+                : prev.map((row) =>
+                    row.id === report.target_id
+                        ? { ...row, hidden: true }
+                        : row
+                )
+        );
+    }
+
+    // We only store uploader ids, so describe them relative to the viewer
+    function photoUploaderLabel(photo) {
+        if (photo.uploadedBy && photo.uploadedBy === currentUser?.id) {
+            return "you";
+        }
+        // Review photos go by the review's nickname
+        if (photo.source === "review") return photo.uploaderName;
+        if (!photo.uploadedBy) return null;
+        if (photo.uploadedBy === selectedSpot?.created_by) {
+            return "the spot's creator";
+        }
+        return "another traveller";
+    }
+
+    const closeGallery = useCallback(() => setGallery(null), []);
+
+    // Review thumbnails open the spot's full gallery on that photo
+    function openSpotGalleryAt(url) {
+        const index = selectedSpotPhotos.findIndex((p) => p.url === url);
+        setGallery({
+            photos: selectedSpotPhotos,
+            index: Math.max(index, 0),
+            title: selectedSpot.name,
         });
     }
 
+    function openExistingSpot(spot, { review = false } = {}) {
+        cancelAddOrEdit();
+        scrollToReviewRef.current = review;
+        handleSearchSelectSpot(spot);
+    }
+
+    function handleSpotsMerged(kept, duplicate) {
+        setSpots((prev) =>
+            mergeById(prev, [
+                kept,
+                { ...duplicate, hidden: true, merged_into: kept.id },
+            ])
+        );
+        setReviews((prev) =>
+            prev.map((rev) =>
+                rev.spot_id === duplicate.id
+                    ? { ...rev, spot_id: kept.id }
+                    : rev
+            )
+        );
+        setStatus(`Merged “${duplicate.name}” into “${kept.name}”.`);
+    }
+
     function startEditingSpot(spot) {
         if (!spot) return;
+        if (!currentUser) {
+            promptSignIn("Sign in to edit spots you've added.");
+            return;
+        }
+        if (!canEditSpot(spot, currentUser, isModerator)) return;
+        setAuthPrompt("");
         setAdding(true);
         setEditingSpotId(spot.id);
         setPendingLocation({ lat: spot.lat, lng: spot.lng });
@@ -775,10 +1930,92 @@ function App() {
             noiseLevel: spot.noise_level || "quiet",
             safetyRating: spot.safety_rating ?? 4,
             spotType: spot.spot_type || "other",
-            photoUrls: Array.isArray(spot.photo_urls)
-                ? spot.photo_urls.join(", ")
-                : "",
+            photoUrls: "",
+            status: spot.status || "open",
+            openMonths: spot.open_months ?? [],
+            closureReason: spot.closure_reason || "",
         });
+        photos.reset(spot);
+    }
+
+    function renderSpotMarker(spot) {
+        return (
+            <Marker
+                key={spot.id}
+                position={[spot.lat, spot.lng]}
+                icon={spot.closedNow ? closedSpotIcon : openSpotIcon}
+                eventHandlers={{
+                    click: () => setSelectedSpotId(spot.id),
+                }}
+            >
+                <Popup>
+                    <strong>
+                        {getSpotTypeIcon(spot.spot_type)}{" "}
+                        {spot.name}
+                    </strong>
+                    <br />
+                    {spot.status !== "open" && (
+                        <>
+                            {formatSpotStatus(spot.status, spot.open_months)}
+                            <br />
+                        </>
+                    )}
+                    {spot.description}
+                    <br />
+                    <small>
+                        Lat: {spot.lat.toFixed(4)}, Lng:{" "}
+                        {spot.lng.toFixed(4)}
+                    </small>
+                    <br />
+                    <br />
+                    <div className="popup-meta">
+                        <div>
+                            {spot.avgRating != null ? (
+                                <>
+                                    ★{" "}
+                                    {spot.avgRating.toFixed(
+                                        1
+                                    )}{" "}
+                                    ({spot.reviewCount}{" "}
+                                    reviews)
+                                </>
+                            ) : (
+                                "No reviews yet"
+                            )}
+                        </div>
+                        {spot.trustScore != null && (
+                            <div>
+                                🛡️ Trust {spot.trustScore.toFixed(1)}/5
+                            </div>
+                        )}
+                        <div>
+                            {spot.stale && "⚠️ "}Last confirmed{" "}
+                            {formatTimeAgo(spot.lastConfirmedAt)}
+                        </div>
+                        {spot.staysThisMonth > 0 && (
+                            <div>
+                                🌙 {spot.staysThisMonth} stay
+                                {spot.staysThisMonth === 1 ? "" : "s"} this
+                                month
+                            </div>
+                        )}
+                        {spot.distanceKm != null && (
+                            <div>
+                                Distance:{" "}
+                                {spot.distanceKm < 1
+                                    ? `${Math.round(
+                                        spot.distanceKm *
+                                        1000
+                                    )} m`
+                                    : `${spot.distanceKm.toFixed(
+                                        1
+                                    )} km`}
+                            </div>
+                        )}
+                    </div>
+                </Popup>
+            </Marker>
+        );
     }
 
     const appClassName = `${darkMode ? "app glass dark" : "app glass"
@@ -819,7 +2056,27 @@ function App() {
                     </div>
                 </div>
 
+                <SearchBox
+                    spots={spotsWithStats}
+                    reviewsBySpotId={reviewsBySpotId}
+                    isOnline={isOnline}
+                    onSelectSpot={handleSearchSelectSpot}
+                    onSelectPlace={handleSearchSelectPlace}
+                    onRemoteResults={handleSearchResults}
+                />
+
                 <p className="status-text">{status}</p>
+                {!isOnline && (
+                    <p className="offline-banner">
+                        📴 Offline · new spots &amp; reviews sync when you
+                        reconnect
+                        {offlineSyncedAt
+                            ? ` · last synced ${new Date(
+                                offlineSyncedAt
+                            ).toLocaleString()}`
+                            : ""}
+                    </p>
+                )}
 
                 <div className="header-actions">
                     <button className="btn-primary" onClick={startAdding}>
@@ -883,8 +2140,47 @@ function App() {
                         />{" "}
                         Overnight only
                     </label>
+
+                    <button
+                        type="button"
+                        className={`filter-chip chip-pill ${showAdvancedFilters ? "filter-chip--active" : ""
+                            }`}
+                        onClick={() => setShowAdvancedFilters((open) => !open)}
+                    >
+                        ⚙️ More filters
+                        {filterChips.length > 0 && ` (${filterChips.length})`}
+                    </button>
                 </div>
 
+                {showAdvancedFilters && (
+                    <AdvancedFilters
+                        filters={advancedFilters}
+                        onChange={setAdvancedFilters}
+                        hasLocation={!!userLocation}
+                    />
+                )}
+
+                {/* Active advanced filters, tap to remove */}
+                {filterChips.length > 0 && (
+                    <div className="chip-filter-row">
+                        {filterChips.map(({ key, label }) => (
+                            <button
+                                key={key}
+                                type="button"
+                                className="filter-chip chip-pill filter-chip--active"
+                                onClick={() =>
+                                    setAdvancedFilters((prev) =>
+                                        clearFilter(prev, key)
+                                    )
+                                }
+                                aria-label={`Remove filter ${label}`}
+                            >
+                                {label} ✕
+                            </button>
+                        ))}
+                    </div>
+                )}
+
                 {/* Map layer toggle */}
                 <div className="map-layer-toggle-row">
                     <div className="map-layer-toggle">
@@ -916,80 +2212,94 @@ function App() {
                 <div className="map-shell">
                     <div className="map-wrapper">
                         <MapContainer
-                            center={center}
-                            zoom={4}
+                            center={
+                                initialUrlState.view
+                                    ? [
+                                        initialUrlState.view.lat,
+                                        initialUrlState.view.lng,
+                                    ]
+                                    : center
+                            }
+                            zoom={initialUrlState.view?.zoom ?? 4}
                             scrollWheelZoom
                             className="map"
                             ref={mapRef}
                         >
                             <TileLayer
-                                attribution={
-                                    mapLayer === "streets"
-                                        ? "&copy; OpenStreetMap contributors"
-                                        : "Imagery &copy; Esri"
-                                }
-                                url={
-                                    mapLayer === "streets"
-                                        ? "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-                                        : "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}"
-                                }
+                                attribution={TILE_LAYERS[mapLayer].attribution}
+                                url={TILE_LAYERS[mapLayer].url}
                             />
 
-                            {filteredSpots.map((spot) => (
-                                <Marker
-                                    key={spot.id}
-                                    position={[spot.lat, spot.lng]}
-                                    eventHandlers={{
-                                        click: () => setSelectedSpotId(spot.id),
+                            {route && (
+                                <>
+                                    <Polygon
+                                        positions={routeCorridor}
+                                        pathOptions={{
+                                            color: "#818cf8",
+                                            weight: 1,
+                                            fillOpacity: 0.12,
+                                        }}
+                                        interactive={false}
+                                    />
+                                    <Polyline
+                                        positions={route.coordinates}
+                                        pathOptions={{
+                                            color: "#6366f1",
+                                            weight: 4,
+                                        }}
+                                        interactive={false}
+                                    />
+                                </>
+                            )}
+
+                            {activeTrip && activeTrip.stops.length > 1 && (
+                                <Polyline
+                                    positions={activeTrip.stops.map((stop) => [
+                                        stop.lat,
+                                        stop.lng,
+                                    ])}
+                                    pathOptions={{
+                                        color: "#f59e0b",
+                                        weight: 3,
+                                        dashArray: "6 8",
+                                    }}
+                                    interactive={false}
+                                />
+                            )}
+
+                            {importPreview?.map((point) => (
+                                <CircleMarker
+                                    key={point.key}
+                                    center={[point.lat, point.lng]}
+                                    radius={7}
+                                    pathOptions={{
+                                        color: point.duplicates.length
+                                            ? "#f97316"
+                                            : "#22c55e",
+                                        fillOpacity: point.accepted ? 0.8 : 0.2,
+                                        weight: 2,
                                     }}
                                 >
                                     <Popup>
                                         <strong>
-                                            {getSpotTypeIcon(spot.spot_type)}{" "}
-                                            {spot.name}
+                                            {point.name || "(no name)"}
                                         </strong>
-                                        <br />
-                                        {spot.description}
-                                        <br />
-                                        <small>
-                                            Lat: {spot.lat.toFixed(4)}, Lng:{" "}
-                                            {spot.lng.toFixed(4)}
-                                        </small>
-                                        <br />
-                                        <br />
-                                        <div className="popup-meta">
-                                            <div>
-                                                {spot.avgRating != null ? (
-                                                    <>
-                                                        ★{" "}
-                                                        {spot.avgRating.toFixed(
-                                                            1
-                                                        )}{" "}
-                                                        ({spot.reviewCount}{" "}
-                                                        reviews)
-                                                    </>
-                                                ) : (
-                                                    "No reviews yet"
-                                                )}
+                                        {point.duplicates.length > 0 && (
+                                            <div className="small-text">
+                                                Possible duplicate of “
+                                                {point.duplicates[0].spot.name}”
                                             </div>
-                                            {spot.distanceKm != null && (
-                                                <div>
-                                                    Distance:{" "}
-                                                    {spot.distanceKm < 1
-                                                        ? `${Math.round(
-                                                            spot.distanceKm *
-                                                            1000
-                                                        )} m`
-                                                        : `${spot.distanceKm.toFixed(
-                                                            1
-                                                        )} km`}
-                                                </div>
-                                            )}
-                                        </div>
+                                        )}
                                     </Popup>
-                                </Marker>
+                                </CircleMarker>
                             ))}
 
+                            <ClusteredSpotMarkers
+                                spots={filteredSpots}
+                                pinnedSpotId={selectedSpotId}
+                                renderSpot={renderSpotMarker}
+                            />
+
                             {adding && pendingLocation && (
                                 <Marker
                                     position={[
@@ -1019,6 +2329,9 @@ function App() {
                                 active={adding}
                                 onMapClick={handleMapClick}
                             />
+                            <MapViewportWatcher
+                                onViewportChange={handleViewportChange}
+                            />
                         </MapContainer>
                     </div>
                 </div>
@@ -1043,6 +2356,8 @@ function App() {
                                 const isSelected =
                                     selectedSpotId === spot.id;
                                 const favorite = isFavorite(spot.id);
+                                const favoriteNote =
+                                    favorites.get(spot.id)?.note;
                                 const typeLabel =
                                     FILTER_CHIPS.find(
                                         (c) => c.key === spot.spot_type
@@ -1066,8 +2381,53 @@ function App() {
                                                     {spot.name}
                                                 </span>
                                                 {favorite && (
-                                                    <span className="spot-list-item-fav">
-                                                        ⭐
+                                                    <span
+                                                        className="spot-list-item-fav"
+                                                        title={favoriteNote}
+                                                    >
+                                                        {favoriteNote
+                                                            ? "⭐📝"
+                                                            : "⭐"}
+                                                    </span>
+                                                )}
+                                                {spot.hidden && (
+                                                    <span className="sync-badge sync-badge--failed">
+                                                        🙈 hidden
+                                                    </span>
+                                                )}
+                                                {spot.status !== "open" && (
+                                                    <span
+                                                        className={`sync-badge ${spot.closedNow
+                                                            ? "sync-badge--closed"
+                                                            : "sync-badge--stale"
+                                                            }`}
+                                                        title={formatSpotStatus(
+                                                            spot.status,
+                                                            spot.open_months
+                                                        )}
+                                                    >
+                                                        {spot.closedNow
+                                                            ? "closed"
+                                                            : "seasonal"}
+                                                    </span>
+                                                )}
+                                                {spot.stale && (
+                                                    <span
+                                                        className="sync-badge sync-badge--stale"
+                                                        title="Nobody has confirmed this spot in over a year"
+                                                    >
+                                                        stale
+                                                    </span>
+                                                )}
+                                                {spot.syncState && (
+                                                    <span
+                                                        className={`sync-badge sync-badge--${spot.syncState}`}
+                                                    >
+                                                        {
+                                                            SYNC_STATE_LABELS[
+                                                            spot.syncState
+                                                            ]
+                                                        }
                                                     </span>
                                                 )}
                                             </div>
@@ -1086,6 +2446,37 @@ function App() {
                                                         </span>
                                                     </span>
                                                 )}
+                                                {spot.trustScore != null && (
+                                                    <span
+                                                        className="spot-list-item-trust"
+                                                        title="Trust score: recent reviews count most"
+                                                    >
+                                                        🛡️{" "}
+                                                        {spot.trustScore.toFixed(
+                                                            1
+                                                        )}
+                                                    </span>
+                                                )}
+                                                <span
+                                                    title={
+                                                        spot.lastConfirmedAt
+                                                            ? new Date(
+                                                                spot.lastConfirmedAt
+                                                            ).toLocaleDateString()
+                                                            : undefined
+                                                    }
+                                                >
+                                                    ✔︎{" "}
+                                                    {formatTimeAgo(
+                                                        spot.lastConfirmedAt
+                                                    )}
+                                                </span>
+                                                {spot.staysThisMonth > 0 && (
+                                                    <span title="Stays logged this month">
+                                                        🌙{" "}
+                                                        {spot.staysThisMonth}
+                                                    </span>
+                                                )}
                                             </div>
                                         </div>
                                         <div className="spot-list-item-distance">
@@ -1132,7 +2523,16 @@ function App() {
                                 </button>
                             </div>
 
-                            {!adding && (
+                            {!adding && !currentUser && (
+                                <p className="sheet-subtitle">
+                                    Adding spots needs an account so people
+                                    can only edit what they shared.{" "}
+                                    <strong>Sign in</strong> below with a magic
+                                    link.
+                                </p>
+                            )}
+
+                            {!adding && currentUser && (
                                 <p className="sheet-subtitle">
                                     Tap <strong>Add Spot</strong>, then tap the
                                     map where you stayed. Once the pin is
@@ -1160,6 +2560,82 @@ function App() {
                                         </p>
                                     )}
 
+                                    {similarSpots.length > 0 && (
+                                        <div className="similar-spots">
+                                            <p className="small-text highlight">
+                                                Already on the map? These spots
+                                                are close by:
+                                            </p>
+                                            {similarSpots
+                                                .slice(0, 3)
+                                                .map(({ spot, distanceKm }) => (
+                                                    <div
+                                                        key={spot.id}
+                                                        className="similar-spot"
+                                                    >
+                                                        <span>
+                                                            {getSpotTypeIcon(
+                                                                spot.spot_type
+                                                            )}{" "}
+                                                            <strong>
+                                                                {spot.name}
+                                                            </strong>{" "}
+                                                            ·{" "}
+                                                            {Math.round(
+                                                                distanceKm *
+                                                                1000
+                                                            )}{" "}
+                                                            m away
+                                                        </span>
+                                                        <div className="spot-actions">
+                                                            <button
+                                                                type="button"
+                                                                className="btn-secondary"
+                                                                onClick={() =>
+                                                                    openExistingSpot(
+                                                                        spot
+                                                                    )
+                                                                }
+                                                            >
+                                                                Open
+                                                            </button>
+                                                            <button
+                                                                type="button"
+                                                                className="btn-secondary"
+                                                                onClick={() =>
+                                                                    openExistingSpot(
+                                                                        spot,
+                                                                        {
+                                                                            review: true,
+                                                                        }
+                                                                    )
+                                                                }
+                                                            >
+                                                                Review it
+                                                                instead
+                                                            </button>
+                                                        </div>
+                                                    </div>
+                                                ))}
+                                            <div className="form-row">
+                                                <label>
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={
+                                                            confirmedDistinct
+                                                        }
+                                                        onChange={(e) =>
+                                                            setConfirmedDistinct(
+                                                                e.target.checked
+                                                            )
+                                                        }
+                                                    />{" "}
+                                                    Mine is a different place
+                                                </label>
+                                            </div>
+                                        </div>
+                                    )}
+
                                     {errorMsg && (
                                         <p className="error-text">
                                             {errorMsg}
@@ -1340,6 +2816,16 @@ function App() {
                                             </select>
                                         </div>
 
+                                        {/* Existing spots change status via
+                                            reports unless a moderator edits */}
+                                        {(!editingSpotId || isModerator) && (
+                                            <SpotStatusFields
+                                                value={spotForm}
+                                                onChange={setSpotForm}
+                                                label="Status"
+                                            />
+                                        )}
+
                                         <div className="form-group">
                                             <label>
                                                 Extra photo URLs (comma
@@ -1360,16 +2846,32 @@ function App() {
                                         </div>
 
                                         <div className="form-group">
-                                            <label>Upload photos</label>
+                                            <label>Photos</label>
+                                            <PhotoManager
+                                                items={photos.items}
+                                                disabled={
+                                                    savingSpot || uploadingPhotos
+                                                }
+                                                onCaptionChange={
+                                                    photos.setCaption
+                                                }
+                                                onMove={photos.move}
+                                                onRemove={photos.remove}
+                                                onRetry={photos.retry}
+                                            />
                                             <input
                                                 type="file"
                                                 accept="image/*"
                                                 multiple
                                                 onChange={handleSpotFileChange}
+                                                disabled={
+                                                    savingSpot || uploadingPhotos
+                                                }
                                             />
                                             <p className="tiny-text">
-                                                You can add up to a few photos
-                                                from your phone or laptop.
+                                                Up to {MAX_PHOTOS} photos. They
+                                                are resized and location data is
+                                                removed before upload.
                                             </p>
                                         </div>
 
@@ -1439,6 +2941,63 @@ function App() {
                                     {selectedSpot.description}
                                 </p>
 
+                                {selectedSpot.status !== "open" && (
+                                    <div
+                                        className={`spot-status-notice ${selectedSpot.closedNow
+                                            ? "spot-status-notice--closed"
+                                            : ""
+                                            }`}
+                                    >
+                                        <strong>
+                                            {formatSpotStatus(
+                                                selectedSpot.status,
+                                                selectedSpot.open_months
+                                            )}
+                                        </strong>
+                                        {selectedSpot.status === "seasonal" &&
+                                            (selectedSpot.closedNow
+                                                ? " – out of season now"
+                                                : " – in season now")}
+                                        {selectedSpot.closure_reason && (
+                                            <p className="small-text">
+                                                {selectedSpot.closure_reason}
+                                            </p>
+                                        )}
+                                        {selectedSpot.status_changed_at && (
+                                            <p className="tiny-text">
+                                                Since{" "}
+                                                {new Date(
+                                                    selectedSpot.status_changed_at
+                                                ).toLocaleDateString()}
+                                            </p>
+                                        )}
+                                    </div>
+                                )}
+
+                                {favoriteIds.has(selectedSpot.id) && (
+                                    <div className="spot-form">
+                                        <div className="form-group">
+                                            <label>Private note</label>
+                                            <input
+                                                key={selectedSpot.id}
+                                                type="text"
+                                                defaultValue={
+                                                    favorites.get(
+                                                        selectedSpot.id
+                                                    )?.note
+                                                }
+                                                onBlur={(e) =>
+                                                    setFavoriteNote(
+                                                        selectedSpot.id,
+                                                        e.target.value.trim()
+                                                    )
+                                                }
+                                                placeholder="Only you see this, e.g. gate closes at 10pm"
+                                            />
+                                        </div>
+                                    </div>
+                                )}
+
                                 <div className="sheet-meta-row">
                                     <span>
                                         {selectedSpot.overnight_allowed
@@ -1458,38 +3017,198 @@ function App() {
                                             : "No reviews yet"}
                                     </span>
                                     <span>
+                                        {selectedSpot.trustScore != null &&
+                                            `🛡️ Trust ${selectedSpot.trustScore.toFixed(
+                                                1
+                                            )}/5 · `}
+                                        Last confirmed{" "}
+                                        {formatTimeAgo(
+                                            selectedSpot.lastConfirmedAt
+                                        )}
+                                        {selectedSpot.stale &&
+                                            " – may be out of date"}
+                                    </span>
+                                    <span
+                                        title={
+                                            selectedSpot.attributeReviewCount > 0
+                                                ? `Blended from ${selectedSpot.attributeReviewCount} review(s) in the last year`
+                                                : "As first reported"
+                                        }
+                                    >
                                         Cell:{" "}
-                                        {selectedSpot.cell_signal ?? 0}/5 ·
-                                        Safety: {selectedSpot.safety_rating ?? 0}
+                                        {selectedSpot.attributes.cell_signal ??
+                                            0}
+                                        /5 · Safety:{" "}
+                                        {selectedSpot.attributes
+                                            .safety_rating ?? 0}
                                         /5 · Noise:{" "}
                                         {formatNoiseLevel(
-                                            selectedSpot.noise_level
+                                            selectedSpot.attributes.noise_level
                                         )}
                                     </span>
                                 </div>
 
-                                {selectedSpot.photo_urls &&
-                                    selectedSpot.photo_urls.length > 0 && (
-                                        <div className="photo-strip">
-                                            {selectedSpot.photo_urls
-                                                .slice(0, 4)
-                                                .map((url, idx) => (
+                                {selectedSpot.recentIncidents.length > 0 && (
+                                    <div className="incident-list">
+                                        <span className="small-text">
+                                            Reported in the last year:
+                                        </span>
+                                        {selectedSpot.recentIncidents.map(
+                                            (incident) => (
+                                                <span
+                                                    key={incident.key}
+                                                    className="incident-chip"
+                                                >
+                                                    {formatIncident(
+                                                        incident.key
+                                                    )}
+                                                    {incident.count > 1 &&
+                                                        ` ×${incident.count}`}{" "}
+                                                    · {formatTimeAgo(
+                                                        incident.lastAt
+                                                    )}
+                                                </span>
+                                            )
+                                        )}
+                                    </div>
+                                )}
+
+                                {selectedSpotPhotos.length > 0 && (
+                                    <div className="photo-strip">
+                                        {selectedSpotPhotos
+                                            .slice(0, PHOTO_STRIP_SIZE)
+                                            .map((photo, idx) => (
+                                                <button
+                                                    key={photo.url}
+                                                    type="button"
+                                                    className={`photo-strip-item ${photo.hidden
+                                                            ? "photo-strip-item--hidden"
+                                                            : ""
+                                                        }`}
+                                                    onClick={() =>
+                                                        setGallery({
+                                                            photos: selectedSpotPhotos,
+                                                            index: idx,
+                                                            title: selectedSpot.name,
+                                                        })
+                                                    }
+                                                >
                                                     <img
-                                                        key={idx}
-                                                        src={url}
-                                                        alt={`${selectedSpot.name} photo ${idx + 1
-                                                            }`}
+                                                        src={photo.thumbUrl}
+                                                        alt={
+                                                            photo.caption ||
+                                                            `${selectedSpot.name} photo ${idx + 1}`
+                                                        }
                                                         loading="lazy"
-                                                        onClick={() =>
-                                                            setActivePhoto({
-                                                                url,
-                                                                name: selectedSpot.name,
-                                                            })
+                                                        onError={(e) =>
+                                                            showFullImageOnError(
+                                                                e,
+                                                                photo.url
+                                                            )
                                                         }
                                                     />
-                                                ))}
-                                        </div>
-                                    )}
+                                                    {idx ===
+                                                        PHOTO_STRIP_SIZE - 1 &&
+                                                        selectedSpotPhotos.length >
+                                                        PHOTO_STRIP_SIZE && (
+                                                            <span className="photo-strip-more">
+                                                                +
+                                                                {selectedSpotPhotos.length -
+                                                                    PHOTO_STRIP_SIZE}
+                                                            </span>
+                                                        )}
+                                                </button>
+                                            ))}
+                                    </div>
+                                )}
+
+                                {selectedSpot.syncState && (
+                                    <div
+                                        className={`sync-notice sync-notice--${selectedSpot.syncState}`}
+                                    >
+                                        {selectedSpot.syncState ===
+                                            "pending" && (
+                                                <p className="small-text">
+                                                    ⏳ Saved on this device –
+                                                    waiting to sync.
+                                                </p>
+                                            )}
+                                        {selectedSpot.syncState ===
+                                            "conflict" && (
+                                                <p className="small-text">
+                                                    ⚠️ Someone else changed{" "}
+                                                    {selectedSpot.syncConflict?.fields?.join(
+                                                        ", "
+                                                    ) || "this spot"}{" "}
+                                                    while you were offline.
+                                                    Keep your version or drop
+                                                    your edit?
+                                                </p>
+                                            )}
+                                        {selectedSpot.syncState ===
+                                            "failed" && (
+                                                <p className="small-text">
+                                                    ⚠️ Couldn&apos;t sync:{" "}
+                                                    {selectedSpot.syncError}
+                                                </p>
+                                            )}
+                                        {selectedSpot.syncState !==
+                                            "pending" && (
+                                                <div className="spot-actions">
+                                                    <button
+                                                        type="button"
+                                                        className="btn-secondary"
+                                                        onClick={() =>
+                                                            handleRetryOutboxEntry(
+                                                                selectedSpot.outboxId,
+                                                                {
+                                                                    force:
+                                                                        selectedSpot.syncState ===
+                                                                        "conflict",
+                                                                }
+                                                            )
+                                                        }
+                                                    >
+                                                        {selectedSpot.syncState ===
+                                                            "conflict"
+                                                            ? "Keep my version"
+                                                            : "Retry"}
+                                                    </button>
+                                                    <button
+                                                        type="button"
+                                                        className="btn-secondary"
+                                                        onClick={() =>
+                                                            handleDiscardOutboxEntry(
+                                                                selectedSpot.outboxId
+                                                            )
+                                                        }
+                                                    >
+                                                        Discard my change
+                                                    </button>
+                                                </div>
+                                            )}
+                                    </div>
+                                )}
+
+                                {!isPendingSpotId(selectedSpot.id) && (
+                                    <CheckInPanel
+                                        key={selectedSpot.id}
+                                        staysThisMonth={
+                                            selectedSpot.staysThisMonth
+                                        }
+                                        myCheckins={myCheckins.filter(
+                                            (c) =>
+                                                c.spot_id === selectedSpot.id
+                                        )}
+                                        onCheckIn={(stayedOn, outcome) =>
+                                            handleCheckIn(
+                                                selectedSpot,
+                                                stayedOn,
+                                                outcome
+                                            )
+                                        }
+                                    />
+                                )}
 
                                 <div className="spot-actions">
                                     <button
@@ -1501,19 +3220,192 @@ function App() {
                                     >
                                         Open in Maps
                                     </button>
-                                    <button
-                                        type="button"
-                                        className="btn-secondary"
-                                        onClick={() =>
-                                            startEditingSpot(selectedSpot)
-                                        }
-                                    >
-                                        Edit spot
-                                    </button>
+                                    {!isPendingSpotId(selectedSpot.id) && (
+                                        <button
+                                            type="button"
+                                            className="btn-secondary"
+                                            onClick={() =>
+                                                handleShareSpot(selectedSpot)
+                                            }
+                                        >
+                                            🔗 Share
+                                        </button>
+                                    )}
+                                    {!isPendingSpotId(selectedSpot.id) && (
+                                        <button
+                                            type="button"
+                                            className="btn-secondary"
+                                            onClick={() =>
+                                                handleAddToTrip(selectedSpot)
+                                            }
+                                        >
+                                            🧳 Add to trip
+                                        </button>
+                                    )}
+                                    {!isPendingSpotId(selectedSpot.id) && (
+                                        <button
+                                            type="button"
+                                            className={`btn-secondary ${historySpotId ===
+                                                    selectedSpot.id
+                                                    ? "btn-secondary--active"
+                                                    : ""
+                                                }`}
+                                            onClick={() =>
+                                                setHistorySpotId((id) =>
+                                                    id === selectedSpot.id
+                                                        ? null
+                                                        : selectedSpot.id
+                                                )
+                                            }
+                                        >
+                                            🕘 History
+                                        </button>
+                                    )}
+                                    {!isPendingSpotId(selectedSpot.id) && (
+                                        <button
+                                            type="button"
+                                            className="btn-secondary"
+                                            onClick={() =>
+                                                setReportTarget({
+                                                    type: "spot",
+                                                    id: selectedSpot.id,
+                                                })
+                                            }
+                                        >
+                                            🚩 Report
+                                        </button>
+                                    )}
+                                    {isModerator &&
+                                        !isPendingSpotId(selectedSpot.id) && (
+                                            <button
+                                                type="button"
+                                                className={`btn-secondary ${mergeSpotId ===
+                                                        selectedSpot.id
+                                                        ? "btn-secondary--active"
+                                                        : ""
+                                                    }`}
+                                                onClick={() =>
+                                                    setMergeSpotId((id) =>
+                                                        id === selectedSpot.id
+                                                            ? null
+                                                            : selectedSpot.id
+                                                    )
+                                                }
+                                            >
+                                                🔀 Merge
+                                            </button>
+                                        )}
+                                    {(!currentUser ||
+                                        canEditSpot(
+                                            selectedSpot,
+                                            currentUser,
+                                            isModerator
+                                        )) && (
+                                            <button
+                                                type="button"
+                                                className="btn-secondary"
+                                                onClick={() =>
+                                                    startEditingSpot(
+                                                        selectedSpot
+                                                    )
+                                                }
+                                                disabled={
+                                                    !!selectedSpot.outboxId
+                                                }
+                                            >
+                                                {currentUser
+                                                    ? "Edit spot"
+                                                    : "🔒 Sign in to edit"}
+                                            </button>
+                                        )}
                                 </div>
+                                {currentUser &&
+                                    !canEditSpot(
+                                        selectedSpot,
+                                        currentUser,
+                                        isModerator
+                                    ) && (
+                                        <p className="tiny-text">
+                                            Only the person who added this
+                                            spot or a moderator can edit it.
+                                            Spotted something wrong? Leave a
+                                            review.
+                                        </p>
+                                    )}
+
+                                {selectedSpot.hidden && (
+                                    <p className="small-text highlight">
+                                        🙈 Hidden by a moderator – regular
+                                        users can&apos;t see this spot.
+                                    </p>
+                                )}
+
+                                {isReporting("spot", selectedSpot.id) && (
+                                    <ReportForm
+                                        targetType="spot"
+                                        targetId={selectedSpot.id}
+                                        signedIn={!!currentUser}
+                                        onDone={handleReportSent}
+                                        onCancel={() => setReportTarget(null)}
+                                    />
+                                )}
+
+                                {isModerator &&
+                                    mergeSpotId === selectedSpot.id && (
+                                        <SpotMergeTool
+                                            spot={selectedSpot}
+                                            candidates={mergeCandidates}
+                                            onMerged={handleSpotsMerged}
+                                            onClose={() => setMergeSpotId(null)}
+                                        />
+                                    )}
+
+                                {historySpotId === selectedSpot.id && (
+                                    <SpotHistory
+                                        spot={selectedSpot}
+                                        currentUser={currentUser}
+                                        canRevert={canEditSpot(
+                                            selectedSpot,
+                                            currentUser,
+                                            isModerator
+                                        )}
+                                        showHiddenPhotos={isModerator}
+                                        onReverted={(saved) => {
+                                            setSpots((prev) =>
+                                                mergeById(prev, [saved])
+                                            );
+                                            setStatus("Spot reverted.");
+                                        }}
+                                    />
+                                )}
 
                                 <div className="reviews-block">
-                                    <h3 className="reviews-title">Reviews</h3>
+                                    <div className="reviews-title-row">
+                                        <h3 className="reviews-title">Reviews</h3>
+                                        {selectedSpotReviews.length > 1 && (
+                                            <select
+                                                value={reviewSort}
+                                                onChange={(e) =>
+                                                    setReviewSort(e.target.value)
+                                                }
+                                                aria-label="Sort reviews"
+                                            >
+                                                {REVIEW_SORTS.map((sort) => (
+                                                    <option
+                                                        key={sort.key}
+                                                        value={sort.key}
+                                                    >
+                                                        {sort.label}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        )}
+                                    </div>
+                                    {reviewVoteError && (
+                                        <p className="error-text">
+                                            {reviewVoteError}
+                                        </p>
+                                    )}
 
                                     {selectedSpotReviews.length === 0 && (
                                         <p className="small-text">
@@ -1522,7 +3414,7 @@ function App() {
                                         </p>
                                     )}
 
-                                    {selectedSpotReviews.map((rev) => (
+                                    {sortedSpotReviews.map((rev) => (
                                         <div key={rev.id} className="review-card">
                                             <div className="review-header">
                                                 <span className="review-rating">
@@ -1530,6 +3422,20 @@ function App() {
                                                 </span>
                                                 <span className="review-name">
                                                     {rev.nickname || "Anonymous"}
+                                                    {reviewerReputationLabel(
+                                                        rev
+                                                    ) && (
+                                                            <span
+                                                                className="review-reputation"
+                                                                title="How helpful others found this reviewer's reviews"
+                                                            >
+                                                                {" "}
+                                                                ·{" "}
+                                                                {reviewerReputationLabel(
+                                                                    rev
+                                                                )}
+                                                            </span>
+                                                        )}
                                                 </span>
                                                 <span className="review-date">
                                                     {rev.created_at
@@ -1538,16 +3444,188 @@ function App() {
                                                         ).toLocaleDateString()
                                                         : ""}
                                                 </span>
+                                                {rev.syncState && (
+                                                    <span
+                                                        className={`sync-badge sync-badge--${rev.syncState}`}
+                                                        title={
+                                                            rev.syncError ||
+                                                            undefined
+                                                        }
+                                                    >
+                                                        {
+                                                            SYNC_STATE_LABELS[
+                                                            rev.syncState
+                                                            ]
+                                                        }
+                                                    </span>
+                                                )}
                                             </div>
+                                            {rev.proposed_status && (
+                                                <p className="review-details">
+                                                    Says the spot is now:{" "}
+                                                    {formatSpotStatus(
+                                                        rev.proposed_status,
+                                                        rev.proposed_open_months
+                                                    )}
+                                                    {rev.closure_reason &&
+                                                        ` (${rev.closure_reason})`}
+                                                </p>
+                                            )}
+                                            {reviewDetails(rev).length > 0 && (
+                                                <p className="review-details">
+                                                    {reviewDetails(rev).join(
+                                                        " · "
+                                                    )}
+                                                </p>
+                                            )}
                                             <p className="review-comment">
+                                                {rev.hidden && "🙈 "}
                                                 {rev.comment}
                                             </p>
+                                            {normalizePhotoUrls(rev.photo_urls)
+                                                .length > 0 && (
+                                                    <div className="review-photos">
+                                                        {reviewGalleryPhotos(
+                                                            [rev],
+                                                            {
+                                                                includeHidden:
+                                                                    isModerator,
+                                                            }
+                                                        ).map((photo) => (
+                                                            <button
+                                                                key={photo.url}
+                                                                type="button"
+                                                                className={`photo-strip-item ${photo.hidden
+                                                                    ? "photo-strip-item--hidden"
+                                                                    : ""
+                                                                    }`}
+                                                                onClick={() =>
+                                                                    openSpotGalleryAt(
+                                                                        photo.url
+                                                                    )
+                                                                }
+                                                            >
+                                                                <img
+                                                                    src={
+                                                                        photo.thumbUrl
+                                                                    }
+                                                                    alt={
+                                                                        photo.caption ||
+                                                                        "Review photo"
+                                                                    }
+                                                                    loading="lazy"
+                                                                    onError={(e) =>
+                                                                        showFullImageOnError(
+                                                                            e,
+                                                                            photo.url
+                                                                        )
+                                                                    }
+                                                                />
+                                                            </button>
+                                                        ))}
+                                                    </div>
+                                                )}
+                                            {!rev.syncState && (
+                                                <div className="review-votes">
+                                                    {[true, false].map(
+                                                        (helpful) => (
+                                                            <button
+                                                                key={String(
+                                                                    helpful
+                                                                )}
+                                                                type="button"
+                                                                className={`review-vote ${myReviewVotes.get(
+                                                                    rev.id
+                                                                ) === helpful
+                                                                    ? "review-vote--active"
+                                                                    : ""
+                                                                    }`}
+                                                                onClick={() =>
+                                                                    handleReviewVote(
+                                                                        rev,
+                                                                        helpful
+                                                                    )
+                                                                }
+                                                                disabled={
+                                                                    !!currentUser &&
+                                                                    rev.user_id ===
+                                                                    currentUser.id
+                                                                }
+                                                                aria-pressed={
+                                                                    myReviewVotes.get(
+                                                                        rev.id
+                                                                    ) === helpful
+                                                                }
+                                                            >
+                                                                {helpful
+                                                                    ? `👍 Helpful (${rev.helpful_count ?? 0})`
+                                                                    : `👎 Not helpful (${rev.not_helpful_count ?? 0})`}
+                                                            </button>
+                                                        )
+                                                    )}
+                                                </div>
+                                            )}
+                                            {!rev.syncState &&
+                                                !isReporting(
+                                                    "review",
+                                                    rev.id
+                                                ) && (
+                                                    <button
+                                                        type="button"
+                                                        className="review-report-link"
+                                                        onClick={() =>
+                                                            setReportTarget({
+                                                                type: "review",
+                                                                id: rev.id,
+                                                            })
+                                                        }
+                                                    >
+                                                        🚩 Report
+                                                    </button>
+                                                )}
+                                            {isReporting("review", rev.id) && (
+                                                <ReportForm
+                                                    targetType="review"
+                                                    targetId={rev.id}
+                                                    onDone={handleReportSent}
+                                                    onCancel={() =>
+                                                        setReportTarget(null)
+                                                    }
+                                                />
+                                            )}
+                                            {rev.syncState === "failed" && (
+                                                <div className="spot-actions">
+                                                    <button
+                                                        type="button"
+                                                        className="btn-secondary"
+                                                        onClick={() =>
+                                                            handleRetryOutboxEntry(
+                                                                rev.outboxId
+                                                            )
+                                                        }
+                                                    >
+                                                        Retry
+                                                    </button>
+                                                    <button
+                                                        type="button"
+                                                        className="btn-secondary"
+                                                        onClick={() =>
+                                                            handleDiscardOutboxEntry(
+                                                                rev.outboxId
+                                                            )
+                                                        }
+                                                    >
+                                                        Discard
+                                                    </button>
+                                                </div>
+                                            )}
                                         </div>
                                     ))}
 
                                     <form
                                         className="review-form"
                                         onSubmit={handleAddReview}
+                                        ref={reviewFormRef}
                                     >
                                         <h3 className="reviews-title">
                                             Add a Review
@@ -1595,6 +3673,161 @@ function App() {
                                             />
                                         </div>
 
+                                        <div className="form-group inline">
+                                            <div>
+                                                <label>Night you stayed</label>
+                                                <input
+                                                    type="date"
+                                                    name="stayedOn"
+                                                    value={reviewForm.stayedOn}
+                                                    max={todayDateString()}
+                                                    onChange={
+                                                        handleReviewInputChange
+                                                    }
+                                                />
+                                            </div>
+                                            <div>
+                                                <label>Felt safe (1–5)</label>
+                                                <select
+                                                    name="safetyRating"
+                                                    value={
+                                                        reviewForm.safetyRating
+                                                    }
+                                                    onChange={
+                                                        handleReviewInputChange
+                                                    }
+                                                >
+                                                    <option value="">–</option>
+                                                    {[1, 2, 3, 4, 5].map((n) => (
+                                                        <option key={n} value={n}>
+                                                            {n}
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                        </div>
+
+                                        <div className="form-group inline">
+                                            <div>
+                                                <label>Cell signal (0–5)</label>
+                                                <select
+                                                    name="cellSignal"
+                                                    value={reviewForm.cellSignal}
+                                                    onChange={
+                                                        handleReviewInputChange
+                                                    }
+                                                >
+                                                    <option value="">–</option>
+                                                    {[0, 1, 2, 3, 4, 5].map(
+                                                        (n) => (
+                                                            <option
+                                                                key={n}
+                                                                value={n}
+                                                            >
+                                                                {n}
+                                                            </option>
+                                                        )
+                                                    )}
+                                                </select>
+                                            </div>
+                                            <div>
+                                                <label>Noise</label>
+                                                <select
+                                                    name="noiseLevel"
+                                                    value={reviewForm.noiseLevel}
+                                                    onChange={
+                                                        handleReviewInputChange
+                                                    }
+                                                >
+                                                    <option value="">–</option>
+                                                    {NOISE_LEVELS.map((level) => (
+                                                        <option
+                                                            key={level}
+                                                            value={level}
+                                                        >
+                                                            {formatNoiseLevel(
+                                                                level
+                                                            )}
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                        </div>
+
+                                        <div className="form-group">
+                                            <label>Anything happen?</label>
+                                            <div className="form-row incident-options">
+                                                {INCIDENT_TYPES.map((type) => (
+                                                    <label key={type.key}>
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={reviewForm.incidents.includes(
+                                                                type.key
+                                                            )}
+                                                            onChange={() =>
+                                                                toggleReviewIncident(
+                                                                    type.key
+                                                                )
+                                                            }
+                                                        />{" "}
+                                                        {type.icon} {type.label}
+                                                    </label>
+                                                ))}
+                                            </div>
+                                        </div>
+
+                                        <SpotStatusFields
+                                            value={{
+                                                status: reviewForm.proposedStatus,
+                                                openMonths:
+                                                    reviewForm.proposedOpenMonths,
+                                                closureReason:
+                                                    reviewForm.closureReason,
+                                            }}
+                                            onChange={(next) =>
+                                                setReviewForm((prev) => ({
+                                                    ...prev,
+                                                    proposedStatus: next.status,
+                                                    proposedOpenMonths:
+                                                        next.openMonths,
+                                                    closureReason:
+                                                        next.closureReason,
+                                                }))
+                                            }
+                                            label="Has the spot's status changed?"
+                                            noChangeLabel="No change"
+                                        />
+
+                                        <div className="form-group">
+                                            <label>Photos (optional)</label>
+                                            <PhotoManager
+                                                items={reviewPhotos.items}
+                                                disabled={savingReview}
+                                                onCaptionChange={
+                                                    reviewPhotos.setCaption
+                                                }
+                                                onMove={reviewPhotos.move}
+                                                onRemove={reviewPhotos.remove}
+                                                onRetry={reviewPhotos.retry}
+                                            />
+                                            {reviewPhotos.items.length <
+                                                MAX_REVIEW_PHOTOS && (
+                                                    <input
+                                                        type="file"
+                                                        accept="image/*"
+                                                        multiple
+                                                        onChange={
+                                                            handleReviewFileChange
+                                                        }
+                                                        disabled={savingReview}
+                                                    />
+                                                )}
+                                            <p className="tiny-text">
+                                                Up to {MAX_REVIEW_PHOTOS} photos
+                                                of how the spot looks now.
+                                            </p>
+                                        </div>
+
                                         {reviewError && (
                                             <p className="error-text">
                                                 {reviewError}
@@ -1627,10 +3860,113 @@ function App() {
                             </p>
                         </div>
 
-                        {/* ACCOUNT CARD */}
+                        {/* ROUTE CARD */}
+                        <RoutePlanner
+                            spots={filteredSpots}
+                            userLocation={userLocation}
+                            route={route}
+                            corridorKm={corridorKm}
+                            onRouteChange={handleRouteChange}
+                            onCorridorChange={setCorridorKm}
+                            onSelectSpot={handleSearchSelectSpot}
+                        />
+
+                        {/* TRIPS CARD */}
+                        <TripPlanner
+                            trips={trips}
+                            activeTripId={activeTrip?.id ?? null}
+                            syncError={tripSyncError}
+                            isSignedIn={!!currentUser}
+                            onSelectTrip={setActiveTripId}
+                            onSaveTrip={saveTrip}
+                            onRemoveTrip={removeTrip}
+                            onSelectStop={(stop) =>
+                                handleSearchSelectSpot({
+                                    id: stop.spotId,
+                                    lat: stop.lat,
+                                    lng: stop.lng,
+                                })
+                            }
+                        />
+
+                        {/* TRAVEL LOG CARD */}
+                        {currentUser && (
+                            <TravelLog
+                                checkins={myCheckins}
+                                tileLayer={TILE_LAYERS[mapLayer]}
+                                error={checkinError}
+                                onSelectSpot={(checkin) =>
+                                    handleSearchSelectSpot({
+                                        id: checkin.spot_id,
+                                        lat: checkin.spots.lat,
+                                        lng: checkin.spots.lng,
+                                    })
+                                }
+                            />
+                        )}
+
+                        {/* IMPORT / EXPORT CARD */}
+                        <SpotTransfer
+                            sources={exportSources}
+                            existingSpots={spotsWithStats}
+                            preview={importPreview}
+                            onPreviewChange={handleImportPreview}
+                            onImport={handleImportSpots}
+                        />
+
+                        {/* OFFLINE CARD */}
                         <div className="sheet-section">
+                            <h2 className="sheet-title">Offline use</h2>
+                            <p className="sheet-subtitle">
+                                Heading somewhere without signal? Zoom the map
+                                to the area you need and save its spots,
+                                reviews, photos and map tiles to this device.
+                            </p>
+                            <p className="small-text">
+                                {offlineSyncedAt
+                                    ? `Last synced ${new Date(
+                                        offlineSyncedAt
+                                    ).toLocaleString()}`
+                                    : "No areas downloaded yet."}
+                            </p>
+                            {downloadStatus && (
+                                <p className="tiny-text">{downloadStatus}</p>
+                            )}
+                            <div className="form-actions">
+                                <button
+                                    type="button"
+                                    className="btn-secondary"
+                                    onClick={handleDownloadArea}
+                                    disabled={downloadingArea || !isOnline}
+                                >
+                                    {downloadingArea
+                                        ? "Downloading…"
+                                        : "⬇️ Download this area"}
+                                </button>
+                            </div>
+                        </div>
+
+                        {/* MODERATION CARD */}
+                        {isModerator && (
+                            <ModeratorQueue
+                                moderatorId={currentUser.id}
+                                spots={spots}
+                                reviews={reviews}
+                                onResolved={handleReportResolved}
+                                onOpenSpot={setSelectedSpotId}
+                            />
+                        )}
+
+                        {/* ACCOUNT CARD */}
+                        <div className="sheet-section" ref={accountCardRef}>
                             <h2 className="sheet-title">Account</h2>
 
+                            {!session && authPrompt && (
+                                <p className="small-text highlight">
+                                    {authPrompt}
+                                </p>
+                            )}
+
                             {session ? (
                                 <>
                                     <p className="small-text">
@@ -1638,8 +3974,17 @@ function App() {
                                         <strong>
                                             {session.user.email || "you"}
                                         </strong>
-                                        .
+                                        {isModerator && " (moderator)"}.
+                                    </p>
+                                    <p className="small-text">
+                                        Favorites and trips are saved to your
+                                        account.
                                     </p>
+                                    {favoritesSyncError && (
+                                        <p className="error-text">
+                                            {favoritesSyncError}
+                                        </p>
+                                    )}
                                     <button
                                         type="button"
                                         className="btn-secondary"
@@ -1765,19 +4110,29 @@ function App() {
                 {isMobileSheetOpen ? "Hide spots ▾" : "Spots & details ▴"}
             </button>
 
-            {/* Full-screen photo viewer */}
-            {activePhoto && (
-                <div
-                    className="photo-modal"
-                    onClick={() => setActivePhoto(null)}
+            {/* Realtime "new spot nearby" toast */}
+            {toast && (
+                <button
+                    type="button"
+                    className="toast"
+                    onClick={() => {
+                        setSelectedSpotId(toast.spotId);
+                        setToast(null);
+                    }}
                 >
-                    <div className="photo-modal-inner">
-                        <img
-                            src={activePhoto.url}
-                            alt={activePhoto.name}
-                        />
-                    </div>
-                </div>
+                    📍 {toast.message}
+                </button>
+            )}
+
+            {/* Full-screen photo gallery */}
+            {gallery && (
+                <PhotoGallery
+                    photos={gallery.photos}
+                    startIndex={gallery.index}
+                    title={gallery.title}
+                    uploaderLabel={photoUploaderLabel}
+                    onClose={closeGallery}
+                />
             )}
         </div>
     );
@@ -0,0 +1,74 @@
+import { useState } from "react";
+
+import { CHECKIN_OUTCOMES, formatCheckinOutcome } from "./checkins";
+import { todayDateString } from "./spotData";
+
+// One-tap "I stayed here" on the spot sheet. The night defaults to today;
+// picking an outcome checks in too, and tapping again updates it.
+function CheckInPanel({ staysThisMonth, myCheckins, onCheckIn }) {
+    const [stayedOn, setStayedOn] = useState(todayDateString);
+    const [saving, setSaving] = useState(false);
+
+    const today = todayDateString();
+    const current = myCheckins.find((c) => c.stayed_on === stayedOn);
+
+    async function handleCheckIn(outcome) {
+        setSaving(true);
+        try {
+            await onCheckIn(stayedOn, outcome);
+        } finally {
+            setSaving(false);
+        }
+    }
+
+    return (
+        <div className="checkin-panel">
+            <div className="spot-actions">
+                <button
+                    type="button"
+                    className="btn-primary"
+                    onClick={() => handleCheckIn(current?.outcome ?? null)}
+                    disabled={saving}
+                >
+                    🌙 I stayed here{" "}
+                    {stayedOn === today ? "tonight" : "that night"}
+                </button>
+                <input
+                    type="date"
+                    value={stayedOn}
+                    max={today}
+                    onChange={(e) => setStayedOn(e.target.value || today)}
+                    aria-label="Night of the stay"
+                />
+            </div>
+            <div className="spot-actions">
+                {CHECKIN_OUTCOMES.map((outcome) => (
+                    <button
+                        key={outcome.key}
+                        type="button"
+                        className={`btn-secondary ${current?.outcome === outcome.key
+                            ? "checkin-outcome--active"
+                            : ""
+                            }`}
+                        onClick={() => handleCheckIn(outcome.key)}
+                        disabled={saving}
+                    >
+                        {outcome.icon} {outcome.label}
+                    </button>
+                ))}
+            </div>
+            <p className="tiny-text">
+                {current &&
+                    `✓ You checked in for this night (${formatCheckinOutcome(
+                        current.outcome
+                    )}). `}
+                {staysThisMonth > 0
+                    ? `${staysThisMonth} stay${staysThisMonth === 1 ? "" : "s"
+                    } logged here this month.`
+                    : "No stays logged here this month yet."}
+            </p>
+        </div>
+    );
+}
+
+export default CheckInPanel;
@@ -0,0 +1,260 @@
+import { useEffect, useState } from "react";
+
+import { thumbnailUrl } from "./photoUpload";
+import {
+    fetchOpenReports,
+    REPORT_TARGET_LABELS,
+    reportReasonLabel,
+    resolveReport,
+} from "./reports";
+import { formatSpotStatus } from "./spotStatus";
+
+// Open reports, oldest first, with dismiss / hide / delete actions, and
+// "apply" for reports that propose a new spot status.
+// `spots` and `reviews` are only used to label what was reported.
+function ModeratorQueue({
+    moderatorId,
+    spots,
+    reviews,
+    onResolved,
+    onOpenSpot,
+}) {
+    const [reloadKey, setReloadKey] = useState(0);
+    const [result, setResult] = useState({
+        key: null,
+        reports: [],
+        error: "",
+    });
+    const [busyId, setBusyId] = useState(null);
+    const [actionError, setActionError] = useState("");
+
+    const loading = result.key !== reloadKey;
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchOpenReports().then(({ data, error }) => {
+            if (cancelled) return;
+            if (error) console.error(error);
+            setResult({
+                key: reloadKey,
+                reports: data,
+                error: error ? error.message : "",
+            });
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [reloadKey]);
+
+    function describeTarget(report) {
+        if (report.target_type === "spot_photo") {
+            const spot = spots.find((s) => s.id === report.target_id);
+            return {
+                title: spot ? `🖼️ Photo on ${spot.name}` : "🖼️ Photo",
+                image: report.photo_url,
+                spotId: spot?.id,
+            };
+        }
+        if (report.target_type === "review_photo") {
+            const review = reviews.find((r) => r.id === report.target_id);
+            const spot = review && spots.find((s) => s.id === review.spot_id);
+            const by = review ? ` by ${review.nickname || "Anonymous"}` : "";
+            return {
+                title: spot
+                    ? `🖼️ Review photo${by} on ${spot.name}`
+                    : `🖼️ Review photo${by}`,
+                image: report.photo_url,
+                spotId: spot?.id,
+            };
+        }
+        if (report.target_type === "spot") {
+            const spot = spots.find((s) => s.id === report.target_id);
+            return {
+                title: spot ? `📍 ${spot.name}` : "📍 Spot (not loaded)",
+                body: spot?.description,
+                spotId: spot?.id,
+                currentStatus:
+                    spot && formatSpotStatus(spot.status, spot.open_months),
+            };
+        }
+        const review = reviews.find((r) => r.id === report.target_id);
+        const spot = review && spots.find((s) => s.id === review.spot_id);
+        const where = spot ? ` on ${spot.name}` : "";
+        return {
+            title: review
+                ? `💬 Review by ${review.nickname || "Anonymous"}${where}`
+                : "💬 Review (not loaded)",
+            body: review?.comment,
+            spotId: spot?.id,
+        };
+    }
+
+    async function handleResolve(report, action) {
+        const label = REPORT_TARGET_LABELS[report.target_type];
+        if (
+            action === "delete" &&
+            !window.confirm(`Permanently delete this ${label}?`)
+        ) {
+            return;
+        }
+
+        setActionError("");
+        setBusyId(report.id);
+        try {
+            const { error } = await resolveReport(report, action, moderatorId);
+            if (error) {
+                console.error(error);
+                setActionError(error.message);
+                return;
+            }
+            onResolved(report, action);
+            setReloadKey((k) => k + 1);
+        } catch (err) {
+            console.error(err);
+            setActionError(err.message || "Error resolving report.");
+        } finally {
+            setBusyId(null);
+        }
+    }
+
+    const { reports, error } = result;
+
+    return (
+        <div className="sheet-section">
+            <div className="sheet-title-row">
+                <h2 className="sheet-title">Moderation queue</h2>
+                <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => setReloadKey((k) => k + 1)}
+                    disabled={loading}
+                >
+                    ↻ Refresh
+                </button>
+            </div>
+
+            {loading && <p className="small-text">Loading reports…</p>}
+            {!loading && error && <p className="error-text">{error}</p>}
+            {!loading && !error && reports.length === 0 && (
+                <p className="small-text">No open reports. 🎉</p>
+            )}
+            {actionError && <p className="error-text">{actionError}</p>}
+
+            {!loading &&
+                reports.map((report) => {
+                    const target = describeTarget(report);
+                    return (
+                        <div key={report.id} className="review-card">
+                            <div className="review-header">
+                                <span className="review-rating">
+                                    🚩{" "}
+                                    {reportReasonLabel(
+                                        report.target_type,
+                                        report.reason
+                                    )}
+                                </span>
+                                <span className="review-date">
+                                    {new Date(
+                                        report.created_at
+                                    ).toLocaleDateString()}
+                                </span>
+                            </div>
+                            <p className="review-comment">
+                                <strong>{target.title}</strong>
+                                {target.body && (
+                                    <>
+                                        <br />
+                                        {target.body}
+                                    </>
+                                )}
+                            </p>
+                            {target.image && (
+                                <a
+                                    href={target.image}
+                                    target="_blank"
+                                    rel="noreferrer"
+                                >
+                                    <img
+                                        src={thumbnailUrl(target.image)}
+                                        alt="Reported"
+                                        className="report-photo"
+                                    />
+                                </a>
+                            )}
+                            {report.proposed_status && (
+                                <p className="small-text">
+                                    Proposed:{" "}
+                                    {formatSpotStatus(
+                                        report.proposed_status,
+                                        report.proposed_open_months
+                                    )}
+                                    {target.currentStatus &&
+                                        ` (now ${target.currentStatus})`}
+                                </p>
+                            )}
+                            {report.note && (
+                                <p className="tiny-text">
+                                    Reporter says: {report.note}
+                                </p>
+                            )}
+                            <div className="spot-actions">
+                                {target.spotId && (
+                                    <button
+                                        type="button"
+                                        className="btn-secondary"
+                                        onClick={() =>
+                                            onOpenSpot(target.spotId)
+                                        }
+                                    >
+                                        View
+                                    </button>
+                                )}
+                                {report.proposed_status && (
+                                    <button
+                                        type="button"
+                                        className="btn-primary"
+                                        onClick={() =>
+                                            handleResolve(report, "apply")
+                                        }
+                                        disabled={busyId !== null}
+                                    >
+                                        Apply status
+                                    </button>
+                                )}
+                                <button
+                                    type="button"
+                                    className="btn-secondary"
+                                    onClick={() =>
+                                        handleResolve(report, "dismiss")
+                                    }
+                                    disabled={busyId !== null}
+                                >
+                                    Dismiss
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn-secondary"
+                                    onClick={() => handleResolve(report, "hide")}
+                                    disabled={busyId !== null}
+                                >
+                                    Hide
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn-secondary"
+                                    onClick={() =>
+                                        handleResolve(report, "delete")
+                                    }
+                                    disabled={busyId !== null}
+                                >
+                                    Delete
+                                </button>
+                            </div>
+                        </div>
+                    );
+                })}
+        </div>
+    );
+}
+
+export default ModeratorQueue;
@@ -0,0 +1,296 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+import { showFullImageOnError } from "./galleryPhotos";
+import ReportForm from "./ReportForm";
+
+const MAX_SCALE = 4;
+const SWIPE_PX = 50;
+const NO_ZOOM = { scale: 1, x: 0, y: 0 };
+
+function clampScale(scale) {
+    return Math.min(Math.max(scale, 1), MAX_SCALE);
+}
+
+function touchDistance(touches) {
+    return Math.hypot(
+        touches[0].clientX - touches[1].clientX,
+        touches[0].clientY - touches[1].clientY
+    );
+}
+
+// Full-screen viewer for a list of photos ({ url, thumbUrl, caption,
+// uploadedAt, source: "spot" | "review", sourceId }). Swipe or arrow
+// keys to move, pinch, wheel or double-click to zoom, Escape to close.
+function PhotoGallery({
+    photos,
+    startIndex = 0,
+    title,
+    uploaderLabel,
+    onClose,
+}) {
+    const [index, setIndex] = useState(startIndex);
+    const [zoom, setZoom] = useState(NO_ZOOM);
+    const [brokenUrls, setBrokenUrls] = useState(() => new Set());
+    const [reportingUrl, setReportingUrl] = useState(null);
+    const [reportedUrls, setReportedUrls] = useState(() => new Set());
+    const gestureRef = useRef(null);
+
+    const photo = photos[Math.min(index, photos.length - 1)];
+
+    const go = useCallback(
+        (delta) => {
+            setIndex((i) => (i + delta + photos.length) % photos.length);
+            setZoom(NO_ZOOM);
+            setReportingUrl(null);
+        },
+        [photos.length]
+    );
+
+    useEffect(() => {
+        function handleKey(e) {
+            // Arrow keys move the cursor while typing a report
+            const target = e.target;
+            if (
+                target.isContentEditable ||
+                ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)
+            ) {
+                return;
+            }
+            if (e.key === "ArrowRight") go(1);
+            else if (e.key === "ArrowLeft") go(-1);
+            else if (e.key === "Escape") onClose();
+        }
+        window.addEventListener("keydown", handleKey);
+        return () => window.removeEventListener("keydown", handleKey);
+    }, [go, onClose]);
+
+    if (!photo) return null;
+
+    function handleTouchStart(e) {
+        if (e.touches.length === 2) {
+            gestureRef.current = {
+                type: "pinch",
+                distance: touchDistance(e.touches),
+                scale: zoom.scale,
+            };
+        } else if (e.touches.length === 1) {
+            gestureRef.current = {
+                type: "drag",
+                startX: e.touches[0].clientX,
+                startY: e.touches[0].clientY,
+                x: zoom.x,
+                y: zoom.y,
+            };
+        }
+    }
+
+    function handleTouchMove(e) {
+        const gesture = gestureRef.current;
+        if (!gesture) return;
+        if (gesture.type === "pinch" && e.touches.length === 2) {
+            const scale = clampScale(
+                (gesture.scale * touchDistance(e.touches)) / gesture.distance
+            );
+            setZoom((z) => (scale === 1 ? NO_ZOOM : { ...z, scale }));
+        } else if (gesture.type === "drag" && zoom.scale > 1) {
+            setZoom((z) => ({
+                ...z,
+                x: gesture.x + e.touches[0].clientX - gesture.startX,
+                y: gesture.y + e.touches[0].clientY - gesture.startY,
+            }));
+        }
+    }
+
+    function handleTouchEnd(e) {
+        const gesture = gestureRef.current;
+        gestureRef.current = null;
+        // Swipe only when not zoomed in (then a drag pans instead)
+        if (gesture?.type !== "drag" || zoom.scale > 1) return;
+        const touch = e.changedTouches[0];
+        const dx = touch.clientX - gesture.startX;
+        const dy = touch.clientY - gesture.startY;
+        if (Math.abs(dx) > SWIPE_PX && Math.abs(dx) > Math.abs(dy)) {
+            go(dx < 0 ? 1 : -1);
+        }
+    }
+
+    function handleWheel(e) {
+        const scale = clampScale(zoom.scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2));
+        setZoom(scale === 1 ? NO_ZOOM : { ...zoom, scale });
+    }
+
+    function markBroken(url) {
+        setBrokenUrls((prev) => new Set(prev).add(url));
+    }
+
+    const isBroken = brokenUrls.has(photo.url);
+    const uploader = uploaderLabel?.(photo);
+
+    return (
+        <div
+            className="photo-modal"
+            onClick={(e) => {
+                if (e.target === e.currentTarget) onClose();
+            }}
+        >
+            <div className="gallery">
+                <div className="gallery-header">
+                    <span>
+                        {title} · {index + 1} / {photos.length}
+                    </span>
+                    <button
+                        type="button"
+                        className="sheet-close"
+                        onClick={onClose}
+                        aria-label="Close gallery"
+                    >
+                        ✕
+                    </button>
+                </div>
+
+                <div
+                    className="gallery-stage"
+                    onTouchStart={handleTouchStart}
+                    onTouchMove={handleTouchMove}
+                    onTouchEnd={handleTouchEnd}
+                    onWheel={handleWheel}
+                    onDoubleClick={() =>
+                        setZoom((z) =>
+                            z.scale > 1 ? NO_ZOOM : { ...z, scale: 2 }
+                        )
+                    }
+                >
+                    {isBroken ? (
+                        <div className="gallery-broken">
+                            <p>This photo can&apos;t be shown.</p>
+                            <a
+                                href={photo.url}
+                                target="_blank"
+                                rel="noreferrer"
+                            >
+                                Open the original link
+                            </a>
+                        </div>
+                    ) : (
+                        <img
+                            key={photo.url}
+                            src={photo.url}
+                            alt={photo.caption || `${title} photo ${index + 1}`}
+                            draggable={false}
+                            onError={() => markBroken(photo.url)}
+                            style={{
+                                transform: `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`,
+                            }}
+                        />
+                    )}
+
+                    {photos.length > 1 && (
+                        <>
+                            <button
+                                type="button"
+                                className="gallery-nav gallery-nav--prev"
+                                onClick={() => go(-1)}
+                                aria-label="Previous photo"
+                            >
+                                ‹
+                            </button>
+                            <button
+                                type="button"
+                                className="gallery-nav gallery-nav--next"
+                                onClick={() => go(1)}
+                                aria-label="Next photo"
+                            >
+                                ›
+                            </button>
+                        </>
+                    )}
+                </div>
+
+                <div className="gallery-info">
+                    {photo.caption && (
+                        <p className="gallery-caption">{photo.caption}</p>
+                    )}
+                    <p className="tiny-text">
+                        {uploader && `Added by ${uploader}`}
+                        {uploader && photo.uploadedAt && " · "}
+                        {photo.uploadedAt &&
+                            new Date(photo.uploadedAt).toLocaleDateString()}
+                    </p>
+                    <div className="spot-actions">
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={() =>
+                                setZoom((z) => ({
+                                    ...z,
+                                    scale: clampScale(z.scale * 1.5),
+                                }))
+                            }
+                            aria-label="Zoom in"
+                        >
+                            ＋
+                        </button>
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={() => setZoom(NO_ZOOM)}
+                            disabled={zoom.scale === 1}
+                        >
+                            Reset zoom
+                        </button>
+                        {photo.sourceId && (
+                            <button
+                                type="button"
+                                className="btn-secondary"
+                                onClick={() =>
+                                    setReportingUrl((url) =>
+                                        url === photo.url ? null : photo.url
+                                    )
+                                }
+                                disabled={reportedUrls.has(photo.url)}
+                            >
+                                {reportedUrls.has(photo.url)
+                                    ? "Reported – thanks"
+                                    : "🚩 Report photo"}
+                            </button>
+                        )}
+                    </div>
+                    {reportingUrl === photo.url && (
+                        <ReportForm
+                            targetType={`${photo.source}_photo`}
+                            targetId={photo.sourceId}
+                            photoUrl={photo.url}
+                            onDone={() => {
+                                setReportedUrls((prev) =>
+                                    new Set(prev).add(photo.url)
+                                );
+                                setReportingUrl(null);
+                            }}
+                            onCancel={() => setReportingUrl(null)}
+                        />
+                    )}
+                </div>
+
+                {photos.length > 1 && (
+                    <div className="gallery-thumbs">
+                        {photos.map((p, i) => (
+                            <img
+                                key={p.url}
+                                src={p.thumbUrl}
+                                alt=""
+                                loading="lazy"
+                                className={
+                                    i === index ? "gallery-thumb--active" : ""
+                                }
+                                onError={(e) => showFullImageOnError(e, p.url)}
+                                onClick={() => go(i - index)}
+                            />
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default PhotoGallery;
@@ -0,0 +1,103 @@
+import { thumbnailUrl } from "./photoUpload";
+
+const STATUS_LABELS = {
+    queued: "Ready to upload",
+    uploading: "Uploading…",
+    uploaded: "Uploaded",
+    failed: "Upload failed",
+};
+
+// Per-photo rows for the spot form: preview, caption, progress, retry,
+// reorder and remove. State lives in usePhotoUploads.
+function PhotoManager({
+    items,
+    disabled,
+    onCaptionChange,
+    onMove,
+    onRemove,
+    onRetry,
+}) {
+    if (items.length === 0) return null;
+
+    return (
+        <ol className="photo-manager">
+            {items.map((item, i) => (
+                <li
+                    key={item.key}
+                    className={`photo-item photo-item--${item.status}`}
+                >
+                    <img
+                        src={item.previewUrl ?? thumbnailUrl(item.url)}
+                        alt={item.caption || `Photo ${i + 1}`}
+                        className="photo-item-preview"
+                    />
+                    <div className="photo-item-body">
+                        <input
+                            type="text"
+                            value={item.caption}
+                            onChange={(e) =>
+                                onCaptionChange(item.key, e.target.value)
+                            }
+                            placeholder="Caption (optional)"
+                            maxLength={140}
+                            disabled={disabled}
+                        />
+                        {item.status !== "existing" && (
+                            <div className="photo-item-status">
+                                {item.status === "uploading" && (
+                                    <progress
+                                        value={item.progress}
+                                        max={1}
+                                    />
+                                )}
+                                <span>
+                                    {item.status === "failed" && item.error
+                                        ? `${STATUS_LABELS.failed}: ${item.error}`
+                                        : STATUS_LABELS[item.status]}
+                                </span>
+                                {item.status === "failed" && (
+                                    <button
+                                        type="button"
+                                        className="btn-secondary"
+                                        onClick={() => onRetry(item.key)}
+                                        disabled={disabled}
+                                    >
+                                        Retry
+                                    </button>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                    <div className="trip-stop-actions">
+                        <button
+                            type="button"
+                            onClick={() => onMove(item.key, -1)}
+                            disabled={disabled || i === 0}
+                            aria-label="Move photo up"
+                        >
+                            ↑
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => onMove(item.key, 1)}
+                            disabled={disabled || i === items.length - 1}
+                            aria-label="Move photo down"
+                        >
+                            ↓
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => onRemove(item.key)}
+                            disabled={disabled || item.status === "uploading"}
+                            aria-label="Remove photo"
+                        >
+                            ✕
+                        </button>
+                    </div>
+                </li>
+            ))}
+        </ol>
+    );
+}
+
+export default PhotoManager;
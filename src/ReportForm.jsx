@@ -0,0 +1,144 @@
+import { useState } from "react";
+
+import {
+    REPORT_REASONS,
+    REPORT_TARGET_LABELS,
+    submitReport,
+} from "./reports";
+import { buildStatusFields } from "./spotStatus";
+import SpotStatusFields from "./SpotStatusFields";
+
+// Inline "what's wrong?" form for a spot, a review or a photo. Status
+// proposals count towards closing a spot, so they need `signedIn`.
+function ReportForm({
+    targetType,
+    targetId,
+    photoUrl,
+    signedIn = false,
+    onDone,
+    onCancel,
+}) {
+    const reasons = REPORT_REASONS[targetType];
+    const [reason, setReason] = useState(reasons[0].key);
+    const [note, setNote] = useState("");
+    const [proposal, setProposal] = useState({
+        status: "",
+        openMonths: [],
+        closureReason: "",
+    });
+    const [sending, setSending] = useState(false);
+    const [error, setError] = useState("");
+
+    async function handleSubmit(e) {
+        e.preventDefault();
+        setError("");
+
+        if (reason === "other" && !note.trim()) {
+            setError("Please tell the moderators what's wrong.");
+            return;
+        }
+
+        // A spot's status report carries the status it should have now;
+        // its reason doubles as the note
+        const proposesStatus = targetType === "spot" && reason === "closed";
+        const status = buildStatusFields(
+            proposesStatus ? proposal : { status: "" }
+        );
+        if (status.error) {
+            setError(status.error);
+            return;
+        }
+        if (proposesStatus && !status.fields.status) {
+            setError("Please pick what the spot's status is now.");
+            return;
+        }
+        if (proposesStatus && !signedIn) {
+            setError("Sign in to report a change in a spot's status.");
+            return;
+        }
+
+        setSending(true);
+        try {
+            const { error: reportError } = await submitReport({
+                targetType,
+                targetId,
+                photoUrl,
+                reason,
+                note: status.fields.closure_reason
+                    ? [status.fields.closure_reason, note.trim()]
+                        .filter(Boolean)
+                        .join(" — ")
+                    : note,
+                proposedStatus: status.fields.status,
+                proposedOpenMonths: status.fields.open_months,
+            });
+
+            if (reportError) {
+                console.error(reportError);
+                setError(reportError.message);
+                return;
+            }
+
+            onDone();
+        } catch (err) {
+            console.error(err);
+            setError(err.message || "Error sending report.");
+        } finally {
+            setSending(false);
+        }
+    }
+
+    return (
+        <form className="report-form" onSubmit={handleSubmit}>
+            <div className="form-group">
+                <label>Report this {REPORT_TARGET_LABELS[targetType]}</label>
+                <select
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                >
+                    {reasons.map((r) => (
+                        <option key={r.key} value={r.key}>
+                            {r.label}
+                        </option>
+                    ))}
+                </select>
+            </div>
+            {targetType === "spot" && reason === "closed" && (
+                <SpotStatusFields
+                    value={proposal}
+                    onChange={setProposal}
+                    label="What's the status now?"
+                    noChangeLabel="Pick one…"
+                />
+            )}
+            <div className="form-group">
+                <textarea
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="Anything moderators should know? (optional)"
+                    rows={2}
+                />
+            </div>
+            {error && <p className="error-text">{error}</p>}
+            <div className="form-actions">
+                <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={onCancel}
+                    disabled={sending}
+                >
+                    Cancel
+                </button>
+                <button
+                    type="submit"
+                    className="btn-primary"
+                    disabled={sending}
+                >
+                    {sending ? "Sending…" : "Send report"}
+                </button>
+            </div>
+        </form>
+    );
+}
+
+export default ReportForm;
@@ -0,0 +1,262 @@
+import { useMemo, useRef, useState } from "react";
+
+import { hasValidCoordinates } from "./geo";
+import { getGeocoder } from "./geocoder";
+import {
+    parseRouteText,
+    routeLengthKm,
+    spotsAlongRoute,
+} from "./routeCorridor";
+import { getRouter } from "./routing";
+import { getSpotTypeIcon } from "./spotFormat";
+
+const CORRIDOR_OPTIONS = [2, 5, 10, 25, 50];
+const COORDS_RE = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+// "lat, lng", "my location" or anything the geocoder understands
+async function resolvePlace(text, { userLocation, geocoder }) {
+    const value = text.trim();
+    const coords = value.match(COORDS_RE);
+    if (coords) {
+        const point = { lat: Number(coords[1]), lng: Number(coords[2]) };
+        if (!hasValidCoordinates(point)) {
+            throw new Error(`“${value}” isn't a valid latitude, longitude.`);
+        }
+        return { ...point, label: value };
+    }
+    if (!value || /^my location$/i.test(value)) {
+        if (!userLocation) throw new Error("Your location isn't known yet.");
+        return { ...userLocation, label: "My location" };
+    }
+
+    const [place] = await geocoder.search(value);
+    if (!place) throw new Error(`Couldn't find “${value}”.`);
+    return place;
+}
+
+// "Along a route" card. The parent owns the route + corridor width (it
+// draws them on the map); this card finds routes and lists the spots.
+function RoutePlanner({
+    spots,
+    userLocation,
+    route,
+    corridorKm,
+    onRouteChange,
+    onCorridorChange,
+    onSelectSpot,
+}) {
+    const [start, setStart] = useState("");
+    const [destination, setDestination] = useState("");
+    const [polylineText, setPolylineText] = useState("");
+    const [showImport, setShowImport] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState("");
+    const servicesRef = useRef(null);
+    if (servicesRef.current === null) {
+        servicesRef.current = { geocoder: getGeocoder(), router: getRouter() };
+    }
+
+    const results = useMemo(
+        () =>
+            route ? spotsAlongRoute(spots, route.coordinates, corridorKm) : [],
+        [spots, route, corridorKm]
+    );
+
+    async function handleFindRoute(e) {
+        e.preventDefault();
+        setError("");
+        if (!destination.trim()) {
+            setError("Where are you heading?");
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const { geocoder, router } = servicesRef.current;
+            const [from, to] = await Promise.all([
+                resolvePlace(start, { userLocation, geocoder }),
+                resolvePlace(destination, { userLocation, geocoder }),
+            ]);
+            const found = await router.route(from, to);
+            onRouteChange({
+                ...found,
+                label: `${from.label} → ${to.label}`,
+            });
+        } catch (err) {
+            console.error(err);
+            setError(err.message || "Couldn't plan that route.");
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    function importRoute(text, label) {
+        setError("");
+        try {
+            const coordinates = parseRouteText(text);
+            onRouteChange({
+                coordinates,
+                distanceKm: routeLengthKm(coordinates),
+                label,
+            });
+            setShowImport(false);
+            setPolylineText("");
+        } catch (err) {
+            console.error(err);
+            setError(err.message || "Couldn't read that route.");
+        }
+    }
+
+    async function handleRouteFile(e) {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        if (!file) return;
+        importRoute(await file.text(), file.name);
+    }
+
+    return (
+        <div className="sheet-section">
+            <h2 className="sheet-title">Along a route</h2>
+            <p className="sheet-subtitle">
+                Find spots near your drive, in the order you&apos;ll pass them.
+            </p>
+
+            <form className="spot-form" onSubmit={handleFindRoute}>
+                <div className="form-group inline">
+                    <div>
+                        <label>From</label>
+                        <input
+                            type="text"
+                            value={start}
+                            onChange={(e) => setStart(e.target.value)}
+                            placeholder="My location"
+                        />
+                    </div>
+                    <div>
+                        <label>To</label>
+                        <input
+                            type="text"
+                            value={destination}
+                            onChange={(e) => setDestination(e.target.value)}
+                            placeholder="E.g. Moab, UT"
+                        />
+                    </div>
+                </div>
+
+                <div className="form-group">
+                    <label>Within</label>
+                    <select
+                        value={corridorKm}
+                        onChange={(e) =>
+                            onCorridorChange(Number(e.target.value))
+                        }
+                    >
+                        {CORRIDOR_OPTIONS.map((km) => (
+                            <option key={km} value={km}>
+                                {km} km of the route
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                {error && <p className="error-text">{error}</p>}
+
+                <div className="form-actions">
+                    <button
+                        type="button"
+                        className="btn-secondary"
+                        onClick={() => setShowImport((open) => !open)}
+                    >
+                        Import route
+                    </button>
+                    {route && (
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={() => onRouteChange(null)}
+                        >
+                            Clear
+                        </button>
+                    )}
+                    <button
+                        type="submit"
+                        className="btn-primary"
+                        disabled={loading}
+                    >
+                        {loading ? "Routing…" : "Find spots"}
+                    </button>
+                </div>
+            </form>
+
+            {showImport && (
+                <div className="spot-form">
+                    <div className="form-group">
+                        <label>GPX or GeoJSON file</label>
+                        <input
+                            type="file"
+                            accept=".gpx,.geojson,.json,application/gpx+xml,application/geo+json"
+                            onChange={handleRouteFile}
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>…or paste an encoded polyline</label>
+                        <textarea
+                            value={polylineText}
+                            onChange={(e) => setPolylineText(e.target.value)}
+                            rows={2}
+                            placeholder="_p~iF~ps|U_ulLnnqC…"
+                        />
+                    </div>
+                    <div className="form-actions">
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={() =>
+                                importRoute(polylineText, "Imported route")
+                            }
+                            disabled={!polylineText.trim()}
+                        >
+                            Use polyline
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {route && (
+                <>
+                    <p className="small-text">
+                        {route.label} · {route.distanceKm.toFixed(0)} km ·{" "}
+                        {results.length} spot{results.length === 1 ? "" : "s"}
+                    </p>
+                    <div className="route-results">
+                        {results.map(({ spot, alongKm, offRouteKm }) => (
+                            <button
+                                key={spot.id}
+                                type="button"
+                                className="spot-list-item"
+                                onClick={() => onSelectSpot(spot)}
+                            >
+                                <div className="spot-list-item-main">
+                                    <span className="spot-list-item-name">
+                                        {getSpotTypeIcon(spot.spot_type)}{" "}
+                                        {spot.name}
+                                    </span>
+                                    <div className="spot-list-item-meta">
+                                        {offRouteKm < 1
+                                            ? "right on the route"
+                                            : `${offRouteKm.toFixed(1)} km off route`}
+                                    </div>
+                                </div>
+                                <div className="spot-list-item-distance">
+                                    km {alongKm.toFixed(0)}
+                                </div>
+                            </button>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default RoutePlanner;
@@ -0,0 +1,233 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+
+import { getGeocoder } from "./geocoder";
+import { getSpotTypeIcon } from "./spotFormat";
+import { highlightParts, rankSpots, searchSpotsRemote } from "./spotSearch";
+
+const DEBOUNCE_MS = 350;
+const MAX_SPOT_RESULTS = 8;
+
+function Highlight({ text, terms }) {
+    return highlightParts(text, terms).map((part, idx) =>
+        part.match ? <mark key={idx}>{part.text}</mark> : part.text
+    );
+}
+
+// Header search: ranked spot matches (name, description, reviews) plus
+// place names from the geocoder to jump the map somewhere.
+function SearchBox({
+    spots,
+    reviewsBySpotId,
+    isOnline,
+    onSelectSpot,
+    onSelectPlace,
+    onRemoteResults,
+}) {
+    const [query, setQuery] = useState("");
+    const [debouncedQuery, setDebouncedQuery] = useState("");
+    const [open, setOpen] = useState(false);
+    const [placesResult, setPlacesResult] = useState({
+        query: "",
+        places: [],
+        error: "",
+        loading: false,
+    });
+    const lookupRef = useRef(null);
+    const geocoder = useMemo(
+        () => getGeocoder({ offline: !isOnline }),
+        [isOnline]
+    );
+
+    useEffect(() => {
+        const timer = setTimeout(
+            () => setDebouncedQuery(query.trim()),
+            DEBOUNCE_MS
+        );
+        return () => clearTimeout(timer);
+    }, [query]);
+
+    // Server full-text search pulls in spots outside the loaded area
+    useEffect(() => {
+        if (debouncedQuery.length < 2 || !isOnline) return;
+        let cancelled = false;
+        searchSpotsRemote(debouncedQuery).then((res) => {
+            if (cancelled) return;
+            if (res.error) {
+                console.error(res.error);
+                return;
+            }
+            onRemoteResults(res.spots, res.reviews);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [debouncedQuery, isOnline, onRemoteResults]);
+
+    useEffect(() => () => lookupRef.current?.abort(), []);
+
+    // Place names are looked up only when asked for (Enter or the button):
+    // Nominatim's usage policy doesn't allow search-as-you-type.
+    function lookUpPlaces(text) {
+        lookupRef.current?.abort();
+        const controller = new AbortController();
+        lookupRef.current = controller;
+        setPlacesResult({ query: text, places: [], error: "", loading: true });
+
+        geocoder
+            .search(text, { signal: controller.signal })
+            .then((places) =>
+                setPlacesResult({
+                    query: text,
+                    places,
+                    error: places.length === 0 ? "No places found." : "",
+                    loading: false,
+                })
+            )
+            .catch((err) => {
+                if (err.name === "AbortError") return;
+                console.warn("Geocoder error:", err);
+                setPlacesResult({
+                    query: text,
+                    places: [],
+                    error: "Place search unavailable right now.",
+                    loading: false,
+                });
+            });
+    }
+
+    const spotResults = useMemo(
+        () =>
+            debouncedQuery.length < 2
+                ? []
+                : rankSpots(spots, reviewsBySpotId, debouncedQuery).slice(
+                    0,
+                    MAX_SPOT_RESULTS
+                ),
+        [spots, reviewsBySpotId, debouncedQuery]
+    );
+
+    const trimmedQuery = query.trim();
+    const placesLookedUp = placesResult.query === trimmedQuery;
+    const places = placesLookedUp ? placesResult.places : [];
+    const placesError = placesLookedUp ? placesResult.error : "";
+    const placesLoading = placesLookedUp && placesResult.loading;
+    const canLookUpPlaces = trimmedQuery.length >= 3 && !placesLookedUp;
+    const showResults = open && trimmedQuery.length >= 2;
+
+    function pickSpot(spot) {
+        onSelectSpot(spot);
+        setOpen(false);
+    }
+
+    function pickPlace(place) {
+        onSelectPlace(place);
+        setOpen(false);
+    }
+
+    function handleKeyDown(e) {
+        if (e.key === "Escape") {
+            setOpen(false);
+        } else if (e.key === "Enter") {
+            e.preventDefault();
+            if (spotResults[0]) pickSpot(spotResults[0].spot);
+            else if (places[0]) pickPlace(places[0]);
+            else if (canLookUpPlaces) lookUpPlaces(trimmedQuery);
+        }
+    }
+
+    return (
+        <div className="search-box">
+            <input
+                type="search"
+                className="search-input"
+                value={query}
+                onChange={(e) => {
+                    setQuery(e.target.value);
+                    setOpen(true);
+                }}
+                onFocus={() => setOpen(true)}
+                onKeyDown={handleKeyDown}
+                placeholder="🔍 Search spots, reviews or places (e.g. Moab)"
+                aria-label="Search spots and places"
+            />
+
+            {showResults && (
+                <div className="search-results">
+                    {spotResults.length > 0 && (
+                        <div className="search-group">
+                            <p className="search-group-title">Spots</p>
+                            {spotResults.map(({ spot, terms, snippet }) => (
+                                <button
+                                    key={spot.id}
+                                    type="button"
+                                    className="search-result"
+                                    onClick={() => pickSpot(spot)}
+                                >
+                                    <span className="search-result-title">
+                                        {getSpotTypeIcon(spot.spot_type)}{" "}
+                                        <Highlight
+                                            text={spot.name}
+                                            terms={terms}
+                                        />
+                                    </span>
+                                    {snippet && (
+                                        <span className="search-result-snippet">
+                                            <Highlight
+                                                text={snippet}
+                                                terms={terms}
+                                            />
+                                        </span>
+                                    )}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {places.length > 0 && (
+                        <div className="search-group">
+                            <p className="search-group-title">Places</p>
+                            {places.map((place) => (
+                                <button
+                                    key={`${place.label}-${place.lat}-${place.lng}`}
+                                    type="button"
+                                    className="search-result"
+                                    onClick={() => pickPlace(place)}
+                                >
+                                    <span className="search-result-title">
+                                        🧭 {place.label}
+                                    </span>
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {canLookUpPlaces && (
+                        <button
+                            type="button"
+                            className="search-result"
+                            onClick={() => lookUpPlaces(trimmedQuery)}
+                        >
+                            <span className="search-result-title">
+                                🧭 Search places for “{trimmedQuery}”
+                            </span>
+                        </button>
+                    )}
+
+                    {placesLoading && (
+                        <p className="search-empty">Looking up places…</p>
+                    )}
+
+                    {spotResults.length === 0 &&
+                        places.length === 0 &&
+                        !placesLoading && (
+                        <p className="search-empty">
+                            {placesError || "No matching spots yet…"}
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default SearchBox;
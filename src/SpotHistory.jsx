@@ -0,0 +1,195 @@
+import { useEffect, useState } from "react";
+
+import { saveSpot } from "./spotData";
+import {
+    diffSnapshots,
+    fetchSpotRevisions,
+    snapshotToSpotPayload,
+} from "./spotHistory";
+
+// Revision list for one spot, newest first, each diffed against the
+// revision before it. Owners and moderators can revert to any older one.
+// Photos a moderator has since hidden are left out unless `showHiddenPhotos`.
+function SpotHistory({
+    spot,
+    currentUser,
+    canRevert,
+    showHiddenPhotos = false,
+    onReverted,
+}) {
+    const [reloadKey, setReloadKey] = useState(0);
+    const [result, setResult] = useState({
+        key: null,
+        revisions: [],
+        error: "",
+    });
+    const [revertingId, setRevertingId] = useState(null);
+    const [revertError, setRevertError] = useState("");
+
+    const requestKey = `${spot.id}:${reloadKey}`;
+    const loading = result.key !== requestKey;
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchSpotRevisions(spot.id).then(({ data, error }) => {
+            if (cancelled) return;
+            if (error) console.error(error);
+            setResult({
+                key: requestKey,
+                revisions: data,
+                error: error ? error.message : "",
+            });
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [spot.id, requestKey]);
+
+    function authorLabel(editedBy) {
+        if (!editedBy) return "Unknown";
+        if (currentUser && editedBy === currentUser.id) return "You";
+        if (editedBy === spot.created_by) return "Spot owner";
+        return `User ${editedBy.slice(0, 8)}`;
+    }
+
+    function isPhotoShown(url) {
+        return showHiddenPhotos || !spot.photo_meta?.[url]?.hidden;
+    }
+
+    async function handleRevert(revision) {
+        const when = new Date(revision.created_at).toLocaleString();
+        if (!window.confirm(`Revert this spot to the version from ${when}?`)) {
+            return;
+        }
+
+        setRevertError("");
+        setRevertingId(revision.id);
+        try {
+            const { data, error } = await saveSpot({
+                payload: snapshotToSpotPayload(revision.snapshot),
+                editingSpotId: spot.id,
+            });
+
+            if (error) {
+                console.error(error);
+                setRevertError(error.message);
+                return;
+            }
+
+            onReverted(data);
+            setReloadKey((k) => k + 1);
+        } catch (err) {
+            console.error(err);
+            setRevertError(err.message || "Error reverting spot.");
+        } finally {
+            setRevertingId(null);
+        }
+    }
+
+    const { revisions, error } = result;
+
+    return (
+        <div className="history-block">
+            <h3 className="reviews-title">Edit history</h3>
+
+            {loading && <p className="small-text">Loading history…</p>}
+            {!loading && error && <p className="error-text">{error}</p>}
+            {!loading && !error && revisions.length === 0 && (
+                <p className="small-text">No recorded edits yet.</p>
+            )}
+            {revertError && <p className="error-text">{revertError}</p>}
+
+            {!loading &&
+                revisions.map((rev, idx) => {
+                    const previous = revisions[idx + 1];
+                    const changes = previous
+                        ? diffSnapshots(previous.snapshot, rev.snapshot)
+                        : [];
+                    const isLatest = idx === 0;
+
+                    return (
+                        <div key={rev.id} className="history-card">
+                            <div className="review-header">
+                                <span className="review-name">
+                                    {rev.action === "create"
+                                        ? "Created"
+                                        : "Edited"}{" "}
+                                    by {authorLabel(rev.edited_by)}
+                                </span>
+                                <span className="review-date">
+                                    {new Date(rev.created_at).toLocaleString()}
+                                </span>
+                            </div>
+
+                            {previous && changes.length === 0 && (
+                                <p className="tiny-text">No visible changes.</p>
+                            )}
+
+                            {changes.length > 0 && (
+                                <ul className="history-diff">
+                                    {changes.map((change) =>
+                                        change.key === "photo_urls" ? (
+                                            <li key={change.key}>
+                                                <strong>{change.label}:</strong>{" "}
+                                                {change.added.length > 0 &&
+                                                    `+${change.added.length} added `}
+                                                {change.removed.length > 0 &&
+                                                    `−${change.removed.length} removed`}
+                                                <div className="history-photos">
+                                                    {change.added
+                                                        .filter(isPhotoShown)
+                                                        .map((url) => (
+                                                            <img
+                                                                key={`a-${url}`}
+                                                                src={url}
+                                                                alt="Added"
+                                                                className="history-photo--added"
+                                                                loading="lazy"
+                                                            />
+                                                        ))}
+                                                    {change.removed
+                                                        .filter(isPhotoShown)
+                                                        .map((url) => (
+                                                            <img
+                                                                key={`r-${url}`}
+                                                                src={url}
+                                                                alt="Removed"
+                                                                className="history-photo--removed"
+                                                                loading="lazy"
+                                                            />
+                                                        ))}
+                                                </div>
+                                            </li>
+                                        ) : (
+                                            <li key={change.key}>
+                                                <strong>{change.label}:</strong>{" "}
+                                                <del>{change.from}</del> →{" "}
+                                                <ins>{change.to}</ins>
+                                            </li>
+                                        )
+                                    )}
+                                </ul>
+                            )}
+
+                            {canRevert && !isLatest && (
+                                <div className="spot-actions">
+                                    <button
+                                        type="button"
+                                        className="btn-secondary"
+                                        onClick={() => handleRevert(rev)}
+                                        disabled={revertingId !== null}
+                                    >
+                                        {revertingId === rev.id
+                                            ? "Reverting…"
+                                            : "↩️ Revert to this version"}
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+        </div>
+    );
+}
+
+export default SpotHistory;
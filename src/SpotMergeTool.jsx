@@ -0,0 +1,81 @@
+import { useState } from "react";
+
+import { getSpotTypeIcon } from "./spotFormat";
+import { mergeSpots } from "./spotMerge";
+
+// Moderators only: pick a nearby duplicate and fold it into `spot`
+function SpotMergeTool({ spot, candidates, onMerged, onClose }) {
+    const [mergingId, setMergingId] = useState(null);
+    const [error, setError] = useState("");
+
+    async function handleMerge(duplicate) {
+        const ok = window.confirm(
+            `Merge “${duplicate.name}” into “${spot.name}”? Its reviews and ` +
+            "photos move here and it is hidden from the map."
+        );
+        if (!ok) return;
+
+        setError("");
+        setMergingId(duplicate.id);
+        try {
+            const { data, error: mergeError } = await mergeSpots(
+                spot,
+                duplicate
+            );
+            if (mergeError) {
+                console.error(mergeError);
+                setError(mergeError.message);
+                return;
+            }
+            onMerged(data, duplicate);
+        } catch (err) {
+            console.error(err);
+            setError(err.message || "Error merging spots.");
+        } finally {
+            setMergingId(null);
+        }
+    }
+
+    return (
+        <div className="history-block">
+            <h3 className="reviews-title">Merge duplicates into this spot</h3>
+            {candidates.length === 0 && (
+                <p className="small-text">No likely duplicates nearby.</p>
+            )}
+            {candidates.map(({ spot: other, distanceKm }) => (
+                <div key={other.id} className="history-card">
+                    <strong>
+                        {getSpotTypeIcon(other.spot_type)} {other.name}
+                    </strong>{" "}
+                    · {Math.round(distanceKm * 1000)} m away ·{" "}
+                    {other.reviewCount ?? 0} review
+                    {other.reviewCount === 1 ? "" : "s"}
+                    <div className="spot-actions">
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={() => handleMerge(other)}
+                            disabled={mergingId !== null}
+                        >
+                            {mergingId === other.id
+                                ? "Merging…"
+                                : "Merge into this spot"}
+                        </button>
+                    </div>
+                </div>
+            ))}
+            {error && <p className="error-text">{error}</p>}
+            <div className="form-actions">
+                <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={onClose}
+                >
+                    Close
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default SpotMergeTool;
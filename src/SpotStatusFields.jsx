@@ -0,0 +1,78 @@
+import { MONTH_LABELS, SPOT_STATUSES } from "./spotStatus";
+
+// Status select, open months for seasonal spots and a closure reason.
+// `value` is { status, openMonths, closureReason }; with `noChangeLabel`
+// an empty status means "leave it as it is".
+function SpotStatusFields({ value, onChange, label, noChangeLabel }) {
+    function set(key, next) {
+        onChange({ ...value, [key]: next });
+    }
+
+    function toggleMonth(month) {
+        const months = value.openMonths ?? [];
+        set(
+            "openMonths",
+            months.includes(month)
+                ? months.filter((m) => m !== month)
+                : [...months, month]
+        );
+    }
+
+    return (
+        <>
+            <div className="form-group">
+                <label>{label}</label>
+                <select
+                    value={value.status}
+                    onChange={(e) => set("status", e.target.value)}
+                >
+                    {noChangeLabel && <option value="">{noChangeLabel}</option>}
+                    {SPOT_STATUSES.map((s) => (
+                        <option key={s.key} value={s.key}>
+                            {s.icon} {s.label}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            {value.status === "seasonal" && (
+                <div className="form-group">
+                    <label>Open in</label>
+                    <div className="month-toggles">
+                        {MONTH_LABELS.map((name, i) => (
+                            <button
+                                key={name}
+                                type="button"
+                                className={`filter-chip ${(value.openMonths ?? []).includes(i + 1)
+                                    ? "filter-chip--active"
+                                    : ""
+                                    }`}
+                                onClick={() => toggleMonth(i + 1)}
+                                aria-pressed={(value.openMonths ?? []).includes(
+                                    i + 1
+                                )}
+                            >
+                                {name}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {value.status && value.status !== "open" && (
+                <div className="form-group">
+                    <label>Why? (optional)</label>
+                    <input
+                        type="text"
+                        value={value.closureReason}
+                        onChange={(e) => set("closureReason", e.target.value)}
+                        placeholder="e.g. Gate locked for winter, new no-camping signs"
+                        maxLength={200}
+                    />
+                </div>
+            )}
+        </>
+    );
+}
+
+export default SpotStatusFields;
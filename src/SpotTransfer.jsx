@@ -0,0 +1,240 @@
+import { useState } from "react";
+
+import { findSimilarSpots } from "./spotDuplicates";
+import {
+    downloadTextFile,
+    EXPORT_FORMATS,
+    exportSpots,
+    parseSpotsFile,
+} from "./spotTransfer";
+
+function formatKm(km) {
+    return km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`;
+}
+
+// "Import & export" card. Export sources are lists of spots keyed by
+// what they are; the import preview is owned by the parent (it draws the
+// points on the map) and accepted points go through `onImport`.
+function SpotTransfer({
+    sources,
+    existingSpots,
+    preview,
+    onPreviewChange,
+    onImport,
+}) {
+    const [source, setSource] = useState("filtered");
+    const [format, setFormat] = useState("geojson");
+    const [importing, setImporting] = useState(false);
+    const [error, setError] = useState("");
+    const [result, setResult] = useState(null);
+    const [skipped, setSkipped] = useState(0);
+
+    const available = Object.entries(sources).filter(([, s]) => s);
+    const selectedSource = sources[source] ?? sources.filtered;
+
+    function handleExport() {
+        const { ext, mime } = EXPORT_FORMATS[format];
+        const content = exportSpots(
+            selectedSource.spots,
+            format,
+            selectedSource.title
+        );
+        const base = selectedSource.title.replace(/[^\w-]+/g, "_");
+        downloadTextFile(`${base}.${ext}`, content, mime);
+    }
+
+    async function handleFile(e) {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        if (!file) return;
+
+        setError("");
+        setResult(null);
+        try {
+            const { points, skipped: skippedCount } = parseSpotsFile(
+                await file.text()
+            );
+            setSkipped(skippedCount);
+            onPreviewChange(
+                points.map((point, i) => {
+                    const duplicates = findSimilarSpots(point, existingSpots);
+                    return {
+                        ...point,
+                        key: `${file.name}-${i}`,
+                        duplicates,
+                        accepted: duplicates.length === 0,
+                    };
+                })
+            );
+        } catch (err) {
+            console.error(err);
+            setError(err.message || "Couldn't read that file.");
+        }
+    }
+
+    function toggleAccepted(key) {
+        onPreviewChange(
+            preview.map((point) =>
+                point.key === key
+                    ? { ...point, accepted: !point.accepted }
+                    : point
+            )
+        );
+    }
+
+    async function handleImport() {
+        setImporting(true);
+        setError("");
+        try {
+            const accepted = preview.filter((point) => point.accepted);
+            const outcome = await onImport(accepted);
+            if (!outcome) return;
+            setResult(outcome);
+            onPreviewChange(null);
+        } finally {
+            setImporting(false);
+        }
+    }
+
+    const acceptedCount = preview?.filter((p) => p.accepted).length ?? 0;
+
+    return (
+        <div className="sheet-section">
+            <h2 className="sheet-title">Import &amp; export</h2>
+            <p className="sheet-subtitle">
+                Take spots to other apps as GeoJSON, GPX or KML, or bring
+                your own waypoints in.
+            </p>
+
+            <div className="spot-form">
+                <div className="form-group inline">
+                    <div>
+                        <label>Spots</label>
+                        <select
+                            value={source}
+                            onChange={(e) => setSource(e.target.value)}
+                        >
+                            {available.map(([key, s]) => (
+                                <option key={key} value={key}>
+                                    {s.label} ({s.spots.length})
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label>Format</label>
+                        <select
+                            value={format}
+                            onChange={(e) => setFormat(e.target.value)}
+                        >
+                            {Object.entries(EXPORT_FORMATS).map(
+                                ([key, { label }]) => (
+                                    <option key={key} value={key}>
+                                        {label}
+                                    </option>
+                                )
+                            )}
+                        </select>
+                    </div>
+                </div>
+                <div className="form-actions">
+                    <button
+                        type="button"
+                        className="btn-secondary"
+                        onClick={handleExport}
+                        disabled={selectedSource.spots.length === 0}
+                    >
+                        ⬇️ Export
+                    </button>
+                </div>
+
+                <div className="form-group">
+                    <label>Import GeoJSON, GPX or KML</label>
+                    <input
+                        type="file"
+                        accept=".geojson,.json,.gpx,.kml,application/geo+json,application/gpx+xml,application/vnd.google-earth.kml+xml"
+                        onChange={handleFile}
+                    />
+                </div>
+            </div>
+
+            {error && <p className="error-text">{error}</p>}
+
+            {result && (
+                <p className="small-text">
+                    Added {result.added}
+                    {result.queued > 0 &&
+                        `, ${result.queued} saved to sync later`}
+                    {result.failed.length > 0 &&
+                        `, ${result.failed.length} skipped`}
+                    .
+                </p>
+            )}
+            {result?.failed.length > 0 && (
+                <ul className="import-failures">
+                    {result.failed.map((msg) => (
+                        <li key={msg}>{msg}</li>
+                    ))}
+                </ul>
+            )}
+
+            {preview && (
+                <>
+                    <p className="small-text">
+                        {preview.length} point{preview.length === 1 ? "" : "s"}{" "}
+                        shown on the map. Likely duplicates are unticked.
+                        {skipped > 0 &&
+                            ` ${skipped} point${skipped === 1 ? "" : "s"
+                            } without valid coordinates skipped.`}
+                    </p>
+                    <div className="route-results">
+                        {preview.map((point) => (
+                            <label key={point.key} className="import-row">
+                                <input
+                                    type="checkbox"
+                                    checked={point.accepted}
+                                    onChange={() => toggleAccepted(point.key)}
+                                />
+                                <span className="import-row-main">
+                                    <strong>{point.name || "(no name)"}</strong>
+                                    {point.duplicates.length > 0 && (
+                                        <span className="import-row-dup">
+                                            ⚠️ Looks like “
+                                            {point.duplicates[0].spot.name}” (
+                                            {formatKm(
+                                                point.duplicates[0].distanceKm
+                                            )}{" "}
+                                            away)
+                                        </span>
+                                    )}
+                                </span>
+                            </label>
+                        ))}
+                    </div>
+                    <div className="form-actions">
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={() => onPreviewChange(null)}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="button"
+                            className="btn-primary"
+                            onClick={handleImport}
+                            disabled={importing || acceptedCount === 0}
+                        >
+                            {importing
+                                ? "Adding…"
+                                : `Add ${acceptedCount} spot${acceptedCount === 1 ? "" : "s"
+                                }`}
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default SpotTransfer;
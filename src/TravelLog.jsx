@@ -0,0 +1,150 @@
+import { useEffect, useMemo } from "react";
+import {
+    CircleMarker,
+    MapContainer,
+    Polyline,
+    Popup,
+    TileLayer,
+    useMap,
+} from "react-leaflet";
+
+import { formatCheckinOutcome } from "./checkins";
+import { getSpotTypeIcon } from "./spotFormat";
+
+const OUTCOME_COLORS = {
+    fine: "#22c55e",
+    moved_on: "#38bdf8",
+    asked_to_leave: "#f87171",
+};
+const LOG_LIST_SIZE = 8;
+
+function formatNight(stayedOn) {
+    return new Date(`${stayedOn}T12:00:00`).toLocaleDateString(undefined, {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+    });
+}
+
+// Keeps the small map framed on the log as check-ins are added
+function FitToPoints({ points }) {
+    const map = useMap();
+    useEffect(() => {
+        if (points.length === 1) map.setView(points[0], 10);
+        else if (points.length > 1) {
+            map.fitBounds(points, { padding: [20, 20] });
+        }
+    }, [map, points]);
+    return null;
+}
+
+// Signed-in users' own check-ins on a small map, oldest to newest
+function TravelLog({ checkins, tileLayer, error, onSelectSpot }) {
+    // Spots that were removed (or hidden) since come back without a location
+    const located = useMemo(
+        () =>
+            checkins
+                .filter((c) => c.spots?.lat != null && c.spots?.lng != null)
+                .slice()
+                .reverse(),
+        [checkins]
+    );
+    const points = useMemo(
+        () => located.map((c) => [c.spots.lat, c.spots.lng]),
+        [located]
+    );
+    const spotCount = new Set(checkins.map((c) => c.spot_id)).size;
+
+    return (
+        <div className="sheet-section">
+            <h2 className="sheet-title">My travel log</h2>
+            <p className="sheet-subtitle">
+                {checkins.length === 0
+                    ? "Check in at spots you stay at and your nights show up here. Only you can see them."
+                    : `${checkins.length} night${checkins.length === 1 ? "" : "s"
+                    } at ${spotCount} spot${spotCount === 1 ? "" : "s"
+                    }. Only you can see this.`}
+            </p>
+            {error && <p className="error-text">{error}</p>}
+
+            {points.length > 0 && (
+                <div className="travel-log-map">
+                    <MapContainer
+                        center={points[points.length - 1]}
+                        zoom={6}
+                        scrollWheelZoom={false}
+                        style={{ height: "100%", width: "100%" }}
+                    >
+                        <TileLayer
+                            attribution={tileLayer.attribution}
+                            url={tileLayer.url}
+                        />
+                        <FitToPoints points={points} />
+                        <Polyline
+                            positions={points}
+                            pathOptions={{
+                                color: "#facc15",
+                                weight: 2,
+                                dashArray: "4 6",
+                            }}
+                        />
+                        {located.map((checkin) => (
+                            <CircleMarker
+                                key={checkin.id}
+                                center={[checkin.spots.lat, checkin.spots.lng]}
+                                radius={6}
+                                pathOptions={{
+                                    color: "#0f172a",
+                                    weight: 1,
+                                    fillColor:
+                                        OUTCOME_COLORS[checkin.outcome] ??
+                                        "#facc15",
+                                    fillOpacity: 0.9,
+                                }}
+                            >
+                                <Popup>
+                                    <strong>{checkin.spots.name}</strong>
+                                    <br />
+                                    {formatNight(checkin.stayed_on)} ·{" "}
+                                    {formatCheckinOutcome(checkin.outcome)}
+                                </Popup>
+                            </CircleMarker>
+                        ))}
+                    </MapContainer>
+                </div>
+            )}
+
+            {checkins.length > 0 && (
+                <div className="route-results">
+                    {checkins.slice(0, LOG_LIST_SIZE).map((checkin) => (
+                        <button
+                            key={checkin.id}
+                            type="button"
+                            className="spot-list-item"
+                            onClick={() => onSelectSpot(checkin)}
+                            disabled={!checkin.spots}
+                        >
+                            <div className="spot-list-item-main">
+                                <span className="spot-list-item-name">
+                                    {checkin.spots
+                                        ? `${getSpotTypeIcon(
+                                            checkin.spots.spot_type
+                                        )} ${checkin.spots.name}`
+                                        : "Removed spot"}
+                                </span>
+                                <div className="spot-list-item-meta">
+                                    {formatCheckinOutcome(checkin.outcome)}
+                                </div>
+                            </div>
+                            <div className="spot-list-item-distance">
+                                {formatNight(checkin.stayed_on)}
+                            </div>
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default TravelLog;
@@ -0,0 +1,260 @@
+import { useState } from "react";
+
+import { getSpotTypeIcon } from "./spotFormat";
+import { createTrip, kmToMiles, tripLegs, tripSummaryHtml } from "./trips";
+
+function formatDistance(km) {
+    return `${km.toFixed(0)} km · ${kmToMiles(km).toFixed(0)} mi`;
+}
+
+// "Trips" card: named multi-night itineraries. The parent owns the trip
+// list (it syncs it and draws the active trip on the map).
+function TripPlanner({
+    trips,
+    activeTripId,
+    syncError,
+    isSignedIn,
+    onSelectTrip,
+    onSaveTrip,
+    onRemoveTrip,
+    onSelectStop,
+}) {
+    const [newTripName, setNewTripName] = useState("");
+    const activeTrip = trips.find((trip) => trip.id === activeTripId) ?? null;
+    const { legs, totalKm } = activeTrip
+        ? tripLegs(activeTrip)
+        : { legs: [], totalKm: 0 };
+
+    function handleCreateTrip(e) {
+        e.preventDefault();
+        const name = newTripName.trim();
+        if (!name) return;
+        const trip = createTrip(name);
+        onSaveTrip(trip);
+        onSelectTrip(trip.id);
+        setNewTripName("");
+    }
+
+    function updateStops(update) {
+        onSaveTrip({ ...activeTrip, stops: update(activeTrip.stops) });
+    }
+
+    function moveStop(index, delta) {
+        updateStops((stops) => {
+            const next = [...stops];
+            const [stop] = next.splice(index, 1);
+            next.splice(index + delta, 0, stop);
+            return next;
+        });
+    }
+
+    function handleRename() {
+        const name = window.prompt("Rename trip", activeTrip.name)?.trim();
+        if (name) onSaveTrip({ ...activeTrip, name });
+    }
+
+    function handleDelete() {
+        if (!window.confirm(`Delete “${activeTrip.name}”?`)) return;
+        onRemoveTrip(activeTrip.id);
+        onSelectTrip(null);
+    }
+
+    function openSummary({ print }) {
+        const html = tripSummaryHtml(activeTrip);
+        if (print) {
+            const win = window.open("", "_blank");
+            if (!win) return;
+            win.document.write(html);
+            win.document.close();
+            win.focus();
+            win.print();
+            return;
+        }
+
+        const blob = new Blob([html], { type: "text/html" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `${activeTrip.name.replace(/[^\w-]+/g, "_")}.html`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    return (
+        <div className="sheet-section">
+            <h2 className="sheet-title">Trips</h2>
+            <p className="sheet-subtitle">
+                Plan where you&apos;ll sleep each night. Add spots with{" "}
+                <strong>🧳 Add to trip</strong> on any spot.
+                {!isSignedIn && " Sign in to keep trips on all your devices."}
+            </p>
+
+            {syncError && <p className="error-text">{syncError}</p>}
+
+            <form className="spot-form" onSubmit={handleCreateTrip}>
+                {trips.length > 0 && (
+                    <div className="form-group">
+                        <label>Trip</label>
+                        <select
+                            value={activeTripId ?? ""}
+                            onChange={(e) =>
+                                onSelectTrip(e.target.value || null)
+                            }
+                        >
+                            <option value="">None selected</option>
+                            {trips.map((trip) => (
+                                <option key={trip.id} value={trip.id}>
+                                    {trip.name} ({trip.stops.length})
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+                <div className="form-group">
+                    <label>New trip</label>
+                    <input
+                        type="text"
+                        value={newTripName}
+                        onChange={(e) => setNewTripName(e.target.value)}
+                        placeholder="E.g. Utah loop, May"
+                    />
+                </div>
+                <div className="form-actions">
+                    <button
+                        type="submit"
+                        className="btn-secondary"
+                        disabled={!newTripName.trim()}
+                    >
+                        Create trip
+                    </button>
+                </div>
+            </form>
+
+            {activeTrip && (
+                <>
+                    <p className="small-text">
+                        {activeTrip.stops.length} night
+                        {activeTrip.stops.length === 1 ? "" : "s"} ·{" "}
+                        {formatDistance(totalKm)} straight-line
+                    </p>
+
+                    {activeTrip.stops.length === 0 && (
+                        <p className="small-text">
+                            No stops yet – open a spot and tap 🧳 Add to trip.
+                        </p>
+                    )}
+
+                    <ol className="trip-stops">
+                        {activeTrip.stops.map((stop, i) => (
+                            <li key={`${stop.spotId}-${i}`}>
+                                {i > 0 && (
+                                    <div className="trip-leg">
+                                        ↓ {formatDistance(legs[i - 1])}
+                                    </div>
+                                )}
+                                <div className="trip-stop">
+                                    <button
+                                        type="button"
+                                        className="trip-stop-name"
+                                        onClick={() => onSelectStop(stop)}
+                                    >
+                                        {i + 1}.{" "}
+                                        {getSpotTypeIcon(stop.spotType)}{" "}
+                                        {stop.name}
+                                    </button>
+                                    <input
+                                        type="date"
+                                        value={stop.nightDate}
+                                        onChange={(e) =>
+                                            updateStops((stops) =>
+                                                stops.map((s, j) =>
+                                                    j === i
+                                                        ? {
+                                                            ...s,
+                                                            nightDate:
+                                                                e.target.value,
+                                                        }
+                                                        : s
+                                                )
+                                            )
+                                        }
+                                        aria-label={`Night at ${stop.name}`}
+                                    />
+                                    <div className="trip-stop-actions">
+                                        <button
+                                            type="button"
+                                            onClick={() => moveStop(i, -1)}
+                                            disabled={i === 0}
+                                            aria-label="Move up"
+                                        >
+                                            ↑
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => moveStop(i, 1)}
+                                            disabled={
+                                                i ===
+                                                activeTrip.stops.length - 1
+                                            }
+                                            aria-label="Move down"
+                                        >
+                                            ↓
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() =>
+                                                updateStops((stops) =>
+                                                    stops.filter(
+                                                        (_, j) => j !== i
+                                                    )
+                                                )
+                                            }
+                                            aria-label="Remove stop"
+                                        >
+                                            ✕
+                                        </button>
+                                    </div>
+                                </div>
+                            </li>
+                        ))}
+                    </ol>
+
+                    <div className="form-actions">
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={handleRename}
+                        >
+                            Rename
+                        </button>
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={handleDelete}
+                        >
+                            Delete
+                        </button>
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={() => openSummary({ print: false })}
+                            disabled={activeTrip.stops.length === 0}
+                        >
+                            ⬇️ Save summary
+                        </button>
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={() => openSummary({ print: true })}
+                            disabled={activeTrip.stops.length === 0}
+                        >
+                            🖨️ Print
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default TripPlanner;
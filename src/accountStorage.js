@@ -0,0 +1,52 @@
+// localStorage for data that belongs to an account (trips, favorites).
+// Signed-out data lives under the plain key and each signed-in account
+// under its own, so whoever signs in next on this device never picks up
+// someone else's. Per account we also remember which entries haven't
+// reached the server yet: anything else missing there was deleted on
+// another device.
+
+export function accountStorageKey(baseKey, userId) {
+    return userId ? `${baseKey}:${userId}` : baseKey;
+}
+
+export function clearAccountStorage(baseKey, userId) {
+    try {
+        window.localStorage.removeItem(accountStorageKey(baseKey, userId));
+    } catch (err) {
+        console.warn("Error clearing local data:", err);
+    }
+}
+
+function unsyncedKey(baseKey, userId) {
+    return `${accountStorageKey(baseKey, userId)}:unsynced`;
+}
+
+export function loadUnsyncedIds(baseKey, userId) {
+    try {
+        const raw = window.localStorage.getItem(unsyncedKey(baseKey, userId));
+        return new Set(raw ? JSON.parse(raw) : []);
+    } catch {
+        return new Set();
+    }
+}
+
+function saveUnsyncedIds(baseKey, userId, ids) {
+    try {
+        window.localStorage.setItem(
+            unsyncedKey(baseKey, userId),
+            JSON.stringify(Array.from(ids))
+        );
+    } catch (err) {
+        console.warn("Error saving sync state:", err);
+    }
+}
+
+// synced: true once the server has the entry (or it's gone for good)
+export function markSynced(baseKey, userId, ids, synced) {
+    const unsynced = loadUnsyncedIds(baseKey, userId);
+    for (const id of ids) {
+        if (synced) unsynced.delete(id);
+        else unsynced.add(id);
+    }
+    saveUnsyncedIds(baseKey, userId, unsynced);
+}
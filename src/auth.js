@@ -0,0 +1,19 @@
+// Roles + permission checks shared by the UI. The row-level-security
+// policies in supabase/migrations are what actually enforce these.
+import { supabase } from "./supabaseClient";
+
+export async function fetchIsModerator(userId) {
+    const { data, error } = await supabase
+        .from("user_roles")
+        .select("role")
+        .eq("user_id", userId)
+        .maybeSingle();
+
+    if (error) return { isModerator: false, error };
+    return { isModerator: data?.role === "moderator", error: null };
+}
+
+export function canEditSpot(spot, user, isModerator) {
+    if (!spot || !user) return false;
+    return isModerator || spot.created_by === user.id;
+}
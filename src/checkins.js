@@ -0,0 +1,67 @@
+// Check-ins: "I stayed here" for a night, with an optional outcome. Rows
+// are private to their author; per-spot totals come from the
+// spot_checkin_stats view.
+import { supabase } from "./supabaseClient";
+
+export const CHECKIN_OUTCOMES = [
+    { key: "fine", label: "Fine", icon: "👍" },
+    { key: "moved_on", label: "Moved on", icon: "🚐" },
+    { key: "asked_to_leave", label: "Asked to leave", icon: "🚓" },
+];
+
+const CHECKIN_COLUMNS =
+    "id, spot_id, stayed_on, outcome, created_at, spots (name, lat, lng, spot_type)";
+
+// Same URL-length limit as review lookups
+const STATS_ID_CHUNK = 150;
+
+export const EMPTY_CHECKIN_STATS = {
+    lastConfirmedOn: null,
+    staysThisMonth: 0,
+};
+
+export function formatCheckinOutcome(key) {
+    const outcome = CHECKIN_OUTCOMES.find((o) => o.key === key);
+    return outcome ? `${outcome.icon} ${outcome.label}` : "Stayed";
+}
+
+// spotId -> { lastConfirmedOn, staysThisMonth }; spots nobody checked in
+// at are simply missing
+export async function fetchCheckinStats(spotIds) {
+    const stats = new Map();
+    for (let i = 0; i < spotIds.length; i += STATS_ID_CHUNK) {
+        const { data, error } = await supabase
+            .from("spot_checkin_stats")
+            .select("spot_id, last_confirmed_on, stays_this_month")
+            .in("spot_id", spotIds.slice(i, i + STATS_ID_CHUNK));
+
+        if (error) return { data: new Map(), error };
+        for (const row of data ?? []) {
+            stats.set(row.spot_id, {
+                lastConfirmedOn: row.last_confirmed_on,
+                staysThisMonth: row.stays_this_month ?? 0,
+            });
+        }
+    }
+    return { data: stats, error: null };
+}
+
+export async function fetchMyCheckins(userId) {
+    const { data, error } = await supabase
+        .from("checkins")
+        .select(CHECKIN_COLUMNS)
+        .eq("user_id", userId)
+        .order("stayed_on", { ascending: false });
+
+    if (error) return { data: [], error };
+    return { data: data ?? [], error: null };
+}
+
+// payload: { user_id, spot_id, stayed_on, outcome }
+export async function saveCheckin(payload) {
+    return supabase
+        .from("checkins")
+        .upsert(payload, { onConflict: "user_id,spot_id,stayed_on" })
+        .select(CHECKIN_COLUMNS)
+        .single();
+}
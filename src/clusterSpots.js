@@ -0,0 +1,35 @@
+// Grid clustering in projected pixel space. Spots whose screen positions
+// fall into the same `cellPx` square at the current zoom share a cluster.
+export function clusterSpots(spots, project, cellPx = 60) {
+    const cells = new Map();
+
+    for (const spot of spots) {
+        const point = project(spot.lat, spot.lng);
+        const key = `${Math.floor(point.x / cellPx)}:${Math.floor(
+            point.y / cellPx
+        )}`;
+
+        let cell = cells.get(key);
+        if (!cell) {
+            cell = { key, spots: [], latSum: 0, lngSum: 0, typeCounts: {} };
+            cells.set(key, cell);
+        }
+
+        const type = spot.spot_type || "other";
+        cell.spots.push(spot);
+        cell.latSum += spot.lat;
+        cell.lngSum += spot.lng;
+        cell.typeCounts[type] = (cell.typeCounts[type] ?? 0) + 1;
+    }
+
+    return Array.from(cells.values()).map((cell) => ({
+        key: cell.key,
+        lat: cell.latSum / cell.spots.length,
+        lng: cell.lngSum / cell.spots.length,
+        spots: cell.spots,
+        // [type, count] pairs, most common first
+        typeCounts: Object.entries(cell.typeCounts).sort(
+            (a, b) => b[1] - a[1]
+        ),
+    }));
+}
@@ -0,0 +1,115 @@
+// Favorites: spot ids with an optional private note. Kept in localStorage
+// for everyone (per account, see accountStorage) and mirrored to the
+// `favorites` table when signed in.
+import { accountStorageKey } from "./accountStorage";
+import { supabase } from "./supabaseClient";
+
+export const FAVORITES_STORAGE_KEY = "nomad_safe_spots_favorites";
+
+// Older builds stored a plain array of spot ids
+function normalizeFavorite(entry) {
+    if (typeof entry === "string") {
+        return { spotId: entry, note: "", updated_at: "" };
+    }
+    return {
+        spotId: entry.spotId,
+        note: entry.note ?? "",
+        updated_at: entry.updated_at ?? "",
+    };
+}
+
+export function loadLocalFavorites(userId = null) {
+    try {
+        const raw = window.localStorage.getItem(
+            accountStorageKey(FAVORITES_STORAGE_KEY, userId)
+        );
+        const entries = raw ? JSON.parse(raw) : [];
+        return new Map(
+            entries.map(normalizeFavorite).map((fav) => [fav.spotId, fav])
+        );
+    } catch {
+        return new Map();
+    }
+}
+
+export function saveLocalFavorites(favorites, userId = null) {
+    try {
+        window.localStorage.setItem(
+            accountStorageKey(FAVORITES_STORAGE_KEY, userId),
+            JSON.stringify(Array.from(favorites.values()))
+        );
+    } catch (err) {
+        console.warn("Error saving favorites:", err);
+    }
+}
+
+export async function fetchFavorites(userId) {
+    const { data, error } = await supabase
+        .from("favorites")
+        .select("spot_id, note, updated_at")
+        .eq("user_id", userId);
+
+    if (error) return { data: new Map(), error };
+    return {
+        data: new Map(
+            (data ?? []).map((row) => [
+                row.spot_id,
+                {
+                    spotId: row.spot_id,
+                    note: row.note ?? "",
+                    updated_at: row.updated_at,
+                },
+            ])
+        ),
+        error: null,
+    };
+}
+
+export async function upsertFavorites(favorites, userId) {
+    const rows = favorites.filter(isUploadableFavorite);
+    if (rows.length === 0) return { error: null };
+    const { error } = await supabase.from("favorites").upsert(
+        rows.map((fav) => ({
+            user_id: userId,
+            spot_id: fav.spotId,
+            note: fav.note,
+            updated_at: fav.updated_at || new Date().toISOString(),
+        }))
+    );
+    return { error };
+}
+
+export async function deleteRemoteFavorite(spotId, userId) {
+    const { error } = await supabase
+        .from("favorites")
+        .delete()
+        .eq("user_id", userId)
+        .eq("spot_id", spotId);
+    return { error };
+}
+
+// Spots still waiting in the offline outbox have no server id yet
+export function isUploadableFavorite(fav) {
+    return !fav.spotId.startsWith("pending-");
+}
+
+// For a spot on both sides the newer note wins. A local favorite the
+// server doesn't have is only kept if it never reached it (`unsyncedIds`;
+// null when merging in signed-out favorites, which are all new) –
+// otherwise it was removed on another device. `toUpload` are the local
+// entries the server is missing or older on.
+export function mergeFavorites(local, remote, unsyncedIds = null) {
+    const merged = new Map(remote);
+    const toUpload = [];
+    for (const fav of local.values()) {
+        const existing = remote.get(fav.spotId);
+        const keep = existing
+            ? fav.updated_at && fav.updated_at > existing.updated_at
+            : !unsyncedIds || unsyncedIds.has(fav.spotId);
+        if (keep) {
+            merged.set(fav.spotId, fav);
+            toUpload.push(fav);
+        }
+    }
+    return { favorites: merged, toUpload };
+}
@@ -0,0 +1,65 @@
+// Photo lists for the gallery: URL plus whatever we know about each photo
+import { thumbnailUrl } from "./photoUpload";
+import { normalizePhotoUrls } from "./spotData";
+
+// Spot photos in display order. Photos a moderator hid are left out
+// unless `includeHidden` is set.
+export function spotGalleryPhotos(spot, { includeHidden = false } = {}) {
+    return (spot?.photo_urls ?? [])
+        .map((url) => {
+            const meta = spot.photo_meta?.[url] ?? {};
+            return {
+                url,
+                thumbUrl: thumbnailUrl(url),
+                caption: meta.caption ?? "",
+                uploadedBy: meta.uploaded_by ?? null,
+                uploadedAt: meta.uploaded_at ?? null,
+                hidden: !!meta.hidden,
+                source: "spot",
+                sourceId: spot.id,
+            };
+        })
+        .filter((photo) => includeHidden || !photo.hidden);
+}
+
+// Photos attached to reviews. Undated photos fall back to the review's
+// own date; the uploader is shown by the review's nickname.
+export function reviewGalleryPhotos(reviews, { includeHidden = false } = {}) {
+    return reviews.flatMap((review) =>
+        normalizePhotoUrls(review.photo_urls)
+            .map((url) => {
+                const meta = review.photo_meta?.[url] ?? {};
+                return {
+                    url,
+                    thumbUrl: thumbnailUrl(url),
+                    caption: meta.caption ?? "",
+                    uploadedBy: meta.uploaded_by ?? null,
+                    uploadedAt: meta.uploaded_at ?? review.created_at ?? null,
+                    uploaderName: review.nickname || "an anonymous reviewer",
+                    hidden: !!meta.hidden,
+                    source: "review",
+                    sourceId: review.id,
+                };
+            })
+            .filter((photo) => includeHidden || !photo.hidden)
+    );
+}
+
+// Newest first; photos with no date (legacy uploads) keep their order
+// at the end
+export function sortPhotosByDate(photos) {
+    return [...photos].sort((a, b) => {
+        if (a.uploadedAt && b.uploadedAt) {
+            return b.uploadedAt.localeCompare(a.uploadedAt);
+        }
+        return (a.uploadedAt ? 0 : 1) - (b.uploadedAt ? 0 : 1);
+    });
+}
+
+// Older uploads have no thumbnail: show the full image instead, and if
+// that fails too (dead external link) swap in a placeholder.
+export function showFullImageOnError(e, url) {
+    const img = e.currentTarget;
+    if (img.src !== url) img.src = url;
+    else img.classList.add("photo-broken");
+}
@@ -0,0 +1,76 @@
+// Geometry helpers shared by lists, search and route planning
+
+// Haversine distance in km (for "Spots nearby" list)
+export function haversineDistanceKm(a, b) {
+    if (!a || !b) return null;
+    const R = 6371;
+    const dLat = ((b.lat - a.lat) * Math.PI) / 180;
+    const dLng = ((b.lng - a.lng) * Math.PI) / 180;
+    const lat1 = (a.lat * Math.PI) / 180;
+    const lat2 = (b.lat * Math.PI) / 180;
+
+    const sinDLat = Math.sin(dLat / 2);
+    const sinDLng = Math.sin(dLng / 2);
+
+    const aa =
+        sinDLat * sinDLat +
+        Math.cos(lat1) * Math.cos(lat2) * sinDLng * sinDLng;
+    const c = 2 * Math.atan2(Math.sqrt(aa), Math.sqrt(1 - aa));
+
+    return R * c;
+}
+
+// Missing or blank coordinates must not turn into 0 (Number("") === 0)
+export function toCoordinate(value) {
+    if (value == null || String(value).trim() === "") return NaN;
+    return Number(value);
+}
+
+export function hasValidCoordinates(point) {
+    return (
+        Number.isFinite(point.lat) &&
+        Number.isFinite(point.lng) &&
+        Math.abs(point.lat) <= 90 &&
+        Math.abs(point.lng) <= 180
+    );
+}
+
+// Rough km-per-degree factors around a latitude (fine for short distances)
+function kmPerDegree(lat) {
+    return {
+        x: 111.32 * Math.cos((lat * Math.PI) / 180),
+        y: 110.574,
+    };
+}
+
+// Point `distanceKm` away from `point` at `bearing` radians (0 = north),
+// using the flat-earth approximation above.
+export function offsetPoint(point, bearing, distanceKm) {
+    const k = kmPerDegree(point.lat);
+    return {
+        lat: point.lat + (Math.cos(bearing) * distanceKm) / k.y,
+        lng: point.lng + (Math.sin(bearing) * distanceKm) / k.x,
+    };
+}
+
+// Closest point on segment a-b to p: distance in km plus how far along
+// the segment (0..1) it is.
+export function projectOntoSegment(p, a, b) {
+    const k = kmPerDegree(p.lat);
+    const ax = a.lng * k.x;
+    const ay = a.lat * k.y;
+    const bx = b.lng * k.x - ax;
+    const by = b.lat * k.y - ay;
+    const px = p.lng * k.x - ax;
+    const py = p.lat * k.y - ay;
+
+    const lenSq = bx * bx + by * by;
+    const t =
+        lenSq === 0
+            ? 0
+            : Math.min(Math.max((px * bx + py * by) / lenSq, 0), 1);
+    const dx = px - t * bx;
+    const dy = py - t * by;
+
+    return { distanceKm: Math.sqrt(dx * dx + dy * dy), t };
+}
@@ -0,0 +1,96 @@
+// Place-name lookup behind a small interface so the provider can be
+// swapped. A geocoder is `{ search(query, { signal }) }` resolving to
+// `[{ label, lat, lng, bounds? }]`, where bounds is
+// `{ south, west, north, east }` when the provider knows the extent.
+
+export function createNominatimGeocoder({
+    endpoint = "https://nominatim.openstreetmap.org/search",
+    countryCodes = "us,ca,mx",
+    limit = 5,
+} = {}) {
+    return {
+        async search(query, { signal } = {}) {
+            const params = new URLSearchParams({
+                q: query,
+                format: "jsonv2",
+                limit: String(limit),
+                countrycodes: countryCodes,
+            });
+            const res = await fetch(`${endpoint}?${params}`, {
+                signal,
+                headers: { Accept: "application/json" },
+            });
+            if (!res.ok) throw new Error(`Geocoder error ${res.status}`);
+
+            const rows = await res.json();
+            return rows.map((row) => {
+                const [south, north, west, east] = (row.boundingbox ?? []).map(
+                    Number
+                );
+                return {
+                    label: row.display_name,
+                    lat: Number(row.lat),
+                    lng: Number(row.lon),
+                    bounds:
+                        row.boundingbox != null
+                            ? { south, west, north, east }
+                            : null,
+                };
+            });
+        },
+    };
+}
+
+// Offline / local stand-in: substring match over a fixed list of places
+export function createLocalGeocoder(places = LOCAL_PLACES) {
+    return {
+        async search(query) {
+            const q = query.trim().toLowerCase();
+            if (!q) return [];
+            return places
+                .filter((place) => place.label.toLowerCase().includes(q))
+                .map((place) => ({ ...place, bounds: place.bounds ?? null }));
+        },
+    };
+}
+
+export const LOCAL_PLACES = [
+    { label: "Moab, Utah", lat: 38.5733, lng: -109.5498 },
+    { label: "Flagstaff, Arizona", lat: 35.1983, lng: -111.6513 },
+    { label: "Quartzsite, Arizona", lat: 33.6639, lng: -114.2299 },
+    { label: "Sedona, Arizona", lat: 34.8697, lng: -111.761 },
+    { label: "Joshua Tree, California", lat: 34.1347, lng: -116.3131 },
+    { label: "Bend, Oregon", lat: 44.0582, lng: -121.3153 },
+    { label: "Bozeman, Montana", lat: 45.677, lng: -111.0429 },
+    { label: "Taos, New Mexico", lat: 36.4072, lng: -105.5731 },
+];
+
+// Tries `primary` first; if it fails (offline, rate limited) and the
+// fallback knows the place, answer from there instead.
+export function createFallbackGeocoder(primary, fallback) {
+    return {
+        async search(query, options = {}) {
+            try {
+                return await primary.search(query, options);
+            } catch (err) {
+                if (err.name === "AbortError") throw err;
+                const places = await fallback.search(query, options);
+                if (places.length === 0) throw err;
+                return places;
+            }
+        },
+    };
+}
+
+// VITE_GEOCODER=local uses the built-in list (dev without network), as
+// does searching while offline. Otherwise Nominatim, with the built-in
+// list as a backup.
+export function getGeocoder({ offline = false } = {}) {
+    if (offline || import.meta.env.VITE_GEOCODER === "local") {
+        return createLocalGeocoder();
+    }
+    return createFallbackGeocoder(
+        createNominatimGeocoder(),
+        createLocalGeocoder()
+    );
+}
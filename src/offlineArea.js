@@ -0,0 +1,184 @@
+// "Download this area": snapshot spots + reviews into IndexedDB and warm
+// the service worker's media cache with map tiles and spot photos.
+import { getAllRows, getMeta, putRows, setMeta } from "./offlineStore";
+import { thumbnailUrl } from "./photoUpload";
+import { fetchSpotsInBounds, normalizePhotoUrls } from "./spotData";
+
+// Must match MEDIA_CACHE and SHELL_CACHE in public/sw.js
+export const OFFLINE_MEDIA_CACHE = "nomad-offline-media-v1";
+const OFFLINE_SHELL_CACHE = "nomad-shell-v1";
+
+// Kept small on purpose: the OSM tile usage policy forbids bulk
+// downloading, so we only take the visible area at this zoom and one
+// closer, a few screens' worth.
+// https://operations.osmfoundation.org/policies/tiles/
+const MAX_OFFLINE_TILES = 150;
+const MAX_TILE_ZOOM = 17;
+const FETCH_BATCH = 6;
+
+function lngToTileX(lng, z) {
+    return Math.floor(((lng + 180) / 360) * 2 ** z);
+}
+
+function latToTileY(lat, z) {
+    const clamped = Math.max(Math.min(lat, 85.0511), -85.0511);
+    const rad = (clamped * Math.PI) / 180;
+    return Math.floor(
+        ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) *
+            2 ** z
+    );
+}
+
+// Tile URLs covering `bounds` from minZoom upward, stopping before the
+// zoom level that would push the total past `limit`.
+export function tileUrlsForBounds(template, bounds, minZoom, maxZoom, limit) {
+    const urls = [];
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const x0 = lngToTileX(bounds.west, z);
+        const x1 = lngToTileX(bounds.east, z);
+        const y0 = latToTileY(bounds.north, z);
+        const y1 = latToTileY(bounds.south, z);
+        const count = (x1 - x0 + 1) * (y1 - y0 + 1);
+        if (urls.length + count > limit) break;
+
+        for (let x = x0; x <= x1; x++) {
+            for (let y = y0; y <= y1; y++) {
+                urls.push(
+                    template
+                        .replace("{z}", z)
+                        .replace("{x}", x)
+                        .replace("{y}", y)
+                );
+            }
+        }
+    }
+    return urls;
+}
+
+// Opaque (no-cors) responses are fine here: <img> tags and Leaflet tiles
+// request the same way, so the service worker can hand them back as-is.
+async function cacheUrls(urls, onProgress) {
+    const cache = await caches.open(OFFLINE_MEDIA_CACHE);
+    let done = 0;
+    let failed = 0;
+
+    for (let i = 0; i < urls.length; i += FETCH_BATCH) {
+        const batch = urls.slice(i, i + FETCH_BATCH);
+        await Promise.all(
+            batch.map(async (url) => {
+                try {
+                    if (await cache.match(url)) return;
+                    const res = await fetch(url, { mode: "no-cors" });
+                    await cache.put(url, res);
+                } catch (err) {
+                    console.warn("Could not cache", url, err);
+                    failed += 1;
+                } finally {
+                    done += 1;
+                }
+            })
+        );
+        onProgress?.(done, urls.length);
+    }
+
+    return { cached: done - failed, failed };
+}
+
+// The service worker only pre-caches index.html, and it registers after
+// the page has already loaded its hashed bundle, so save the scripts and
+// stylesheets this page runs on (plus `extraUrls`, e.g. marker images)
+// or the app can't start with no signal.
+async function cacheAppShell(extraUrls) {
+    const urls = [
+        ...Array.from(document.querySelectorAll("script[src]"), (el) => el.src),
+        ...Array.from(
+            document.querySelectorAll(
+                'link[rel="stylesheet"], link[rel="modulepreload"]'
+            ),
+            (el) => el.href
+        ),
+        ...extraUrls,
+    ]
+        .map((url) => new URL(url, document.baseURI))
+        // inlined (data:) assets need no caching
+        .filter((url) => url.origin === window.location.origin)
+        .map((url) => url.href);
+
+    const cache = await caches.open(OFFLINE_SHELL_CACHE);
+    let failed = 0;
+    await Promise.all(
+        Array.from(new Set(urls), async (url) => {
+            try {
+                await cache.add(url);
+            } catch (err) {
+                console.warn("Could not cache", url, err);
+                failed += 1;
+            }
+        })
+    );
+    return { failed };
+}
+
+export async function downloadArea({
+    bounds,
+    zoom,
+    tileTemplate,
+    shellUrls = [],
+    onProgress,
+}) {
+    onProgress?.("Saving spots and reviews…");
+
+    const { spots, reviews, error } = await fetchSpotsInBounds(bounds);
+    if (error) return { error };
+
+    await putRows("spots", spots);
+    await putRows("reviews", reviews);
+
+    const tileUrls = tileUrlsForBounds(
+        tileTemplate,
+        bounds,
+        Math.min(zoom, MAX_TILE_ZOOM),
+        Math.min(zoom + 1, MAX_TILE_ZOOM),
+        MAX_OFFLINE_TILES
+    );
+    // Spot and review photos, each with its thumbnail
+    const photoUrls = [...spots, ...reviews].flatMap((row) =>
+        normalizePhotoUrls(row.photo_urls).flatMap((url) => {
+            const thumb = thumbnailUrl(url);
+            return thumb === url ? [url] : [thumb, url];
+        })
+    );
+
+    let media = { cached: 0, failed: 0 };
+    if (typeof caches !== "undefined") {
+        onProgress?.("Saving the app for offline use…");
+        const shell = await cacheAppShell(shellUrls);
+        media = await cacheUrls([...photoUrls, ...tileUrls], (done, total) =>
+            onProgress?.(`Saving map tiles and photos… ${done}/${total}`)
+        );
+        media.failed += shell.failed;
+    }
+
+    const syncedAt = new Date().toISOString();
+    const areas = (await getMeta("areas")) ?? [];
+    await setMeta("areas", [...areas, { bounds, zoom, syncedAt }]);
+    await setMeta("lastSyncedAt", syncedAt);
+
+    return {
+        spotCount: spots.length,
+        reviewCount: reviews.length,
+        mediaCount: media.cached,
+        failedCount: media.failed,
+        syncedAt,
+        error: null,
+    };
+}
+
+export async function loadOfflineSnapshot() {
+    const [spots, reviews, lastSyncedAt] = await Promise.all([
+        getAllRows("spots"),
+        getAllRows("reviews"),
+        getMeta("lastSyncedAt"),
+    ]);
+    return { spots, reviews, lastSyncedAt: lastSyncedAt ?? null };
+}
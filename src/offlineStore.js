@@ -0,0 +1,87 @@
+// Tiny promise wrapper around the IndexedDB database that backs offline mode
+const DB_NAME = "nomad-safe-spots";
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains("spots")) {
+                db.createObjectStore("spots", { keyPath: "id" });
+            }
+            if (!db.objectStoreNames.contains("reviews")) {
+                db.createObjectStore("reviews", { keyPath: "id" });
+            }
+            if (!db.objectStoreNames.contains("meta")) {
+                db.createObjectStore("meta");
+            }
+            // v2: writes made while offline, replayed on reconnect
+            if (!db.objectStoreNames.contains("outbox")) {
+                db.createObjectStore("outbox", { keyPath: "id" });
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+            dbPromise = null;
+            reject(req.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+function requestToPromise(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(tx.error);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+export async function putRows(storeName, rows) {
+    const db = await openDb();
+    const tx = db.transaction(storeName, "readwrite");
+    const store = tx.objectStore(storeName);
+    for (const row of rows) store.put(row);
+    return transactionDone(tx);
+}
+
+export async function getAllRows(storeName) {
+    const db = await openDb();
+    const tx = db.transaction(storeName, "readonly");
+    return requestToPromise(tx.objectStore(storeName).getAll());
+}
+
+export async function deleteRows(storeName, ids) {
+    const db = await openDb();
+    const tx = db.transaction(storeName, "readwrite");
+    const store = tx.objectStore(storeName);
+    for (const id of ids) store.delete(id);
+    return transactionDone(tx);
+}
+
+export async function getMeta(key) {
+    const db = await openDb();
+    const tx = db.transaction("meta", "readonly");
+    return requestToPromise(tx.objectStore("meta").get(key));
+}
+
+export async function setMeta(key, value) {
+    const db = await openDb();
+    const tx = db.transaction("meta", "readwrite");
+    tx.objectStore("meta").put(value, key);
+    return transactionDone(tx);
+}
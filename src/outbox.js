@@ -0,0 +1,170 @@
+// Offline write queue. Spot, review and check-in submissions that can't
+// reach Supabase are stored in IndexedDB (photo Files included) and
+// replayed in order once we're back online.
+import { saveCheckin } from "./checkins";
+import { deleteRows, getAllRows, putRows } from "./offlineStore";
+import { fetchSpotById, saveReview, saveSpot } from "./spotData";
+
+// Spot fields checked for server-side changes before replaying an edit
+const CONFLICT_FIELDS = [
+    "name",
+    "description",
+    "lat",
+    "lng",
+    "overnight_allowed",
+    "has_bathroom",
+    "cell_signal",
+    "noise_level",
+    "safety_rating",
+    "spot_type",
+    "photo_urls",
+    "photo_meta",
+    "status",
+    "open_months",
+    "closure_reason",
+];
+
+export function isNetworkError(error) {
+    if (typeof navigator !== "undefined" && !navigator.onLine) return true;
+    const message = error?.message ?? "";
+    return /failed to fetch|networkerror|load failed|network request failed/i.test(
+        message
+    );
+}
+
+// Another offline edit of a spot that's already queued folds into that
+// entry: it keeps the first edit's `base`, so replay compares against the
+// server copy the user started from, not one their own edit changed.
+export async function enqueue(entry) {
+    if (entry.kind === "spot" && entry.editingSpotId) {
+        const earlier = (await listOutbox()).find(
+            (e) => e.kind === "spot" && e.editingSpotId === entry.editingSpotId
+        );
+        if (earlier) {
+            return updateEntry(earlier, {
+                payload: entry.payload,
+                photoFiles: [
+                    ...(earlier.photoFiles ?? []),
+                    ...(entry.photoFiles ?? []),
+                ],
+                status: "pending",
+                error: null,
+                conflict: null,
+            });
+        }
+    }
+
+    const row = {
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString(),
+        status: "pending",
+        error: null,
+        ...entry,
+    };
+    await putRows("outbox", [row]);
+    return row;
+}
+
+export async function listOutbox() {
+    const rows = await getAllRows("outbox");
+    return rows.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export function removeOutboxEntry(id) {
+    return deleteRows("outbox", [id]);
+}
+
+async function updateEntry(entry, changes) {
+    const next = { ...entry, ...changes };
+    await putRows("outbox", [next]);
+    return next;
+}
+
+// Put a conflicted / failed entry back in line. `force` skips the
+// conflict check, i.e. "keep my version".
+export async function retryOutboxEntry(entry, { force = false } = {}) {
+    return updateEntry(entry, {
+        status: "pending",
+        error: null,
+        conflict: null,
+        force,
+    });
+}
+
+// Fields where the server copy no longer matches what the user edited from
+export function conflictingFields(base, server) {
+    return CONFLICT_FIELDS.filter(
+        (field) =>
+            JSON.stringify(base?.[field] ?? null) !==
+            JSON.stringify(server?.[field] ?? null)
+    );
+}
+
+async function replayEntry(entry) {
+    if (entry.kind === "review") {
+        return saveReview(entry.payload, entry.photoFiles ?? []);
+    }
+    if (entry.kind === "checkin") {
+        return saveCheckin(entry.payload);
+    }
+
+    if (entry.editingSpotId && !entry.force) {
+        const { data: server, error } = await fetchSpotById(
+            entry.editingSpotId
+        );
+        if (error) return { data: null, error };
+
+        const fields = conflictingFields(entry.base, server);
+        if (fields.length > 0) {
+            return { data: null, error: null, conflict: { server, fields } };
+        }
+    }
+
+    return saveSpot({
+        payload: entry.payload,
+        photoFiles: entry.photoFiles ?? [],
+        editingSpotId: entry.editingSpotId,
+    });
+}
+
+// Replays pending entries oldest first. Stops at the first network failure
+// so order is preserved; conflicts and other errors are parked on the
+// entry for the user to resolve.
+export async function replayOutbox({ onSaved } = {}) {
+    const entries = await listOutbox();
+    let synced = 0;
+
+    for (const entry of entries) {
+        if (entry.status !== "pending") continue;
+
+        let result;
+        try {
+            result = await replayEntry(entry);
+        } catch (err) {
+            result = { data: null, error: err };
+        }
+
+        if (result.conflict) {
+            await updateEntry(entry, {
+                status: "conflict",
+                conflict: result.conflict,
+            });
+            continue;
+        }
+
+        if (result.error) {
+            if (isNetworkError(result.error)) break;
+            await updateEntry(entry, {
+                status: "failed",
+                error: result.error.message,
+            });
+            continue;
+        }
+
+        await removeOutboxEntry(entry.id);
+        onSaved?.(entry, result.data);
+        synced += 1;
+    }
+
+    return { synced, entries: await listOutbox() };
+}
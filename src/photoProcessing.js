@@ -0,0 +1,84 @@
+// Shrinks photos in the browser before upload. Drawing to a canvas and
+// re-encoding as JPEG drops all EXIF data, including GPS and device info.
+
+// Both limits are also check constraints on the spots / reviews tables
+export const MAX_PHOTOS = 6;
+export const MAX_REVIEW_PHOTOS = 3;
+export const MAX_PHOTO_BYTES = 20 * 1024 * 1024;
+
+const FULL_MAX_PX = 1600;
+const THUMB_MAX_PX = 320;
+const FULL_QUALITY = 0.82;
+const THUMB_QUALITY = 0.7;
+// One bar of signal: keep each upload under ~1 MB
+const FULL_TARGET_BYTES = 1024 * 1024;
+
+function formatMb(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(0)} MB`;
+}
+
+// Returns an error message, or "" when the selection is fine
+export function validatePhotoFiles(
+    files,
+    existingCount = 0,
+    maxPhotos = MAX_PHOTOS
+) {
+    if (existingCount + files.length > maxPhotos) {
+        return `You can add up to ${maxPhotos} photos.`;
+    }
+    const notImage = files.find((file) => !file.type.startsWith("image/"));
+    if (notImage) return `${notImage.name} isn't an image.`;
+    const tooBig = files.find((file) => file.size > MAX_PHOTO_BYTES);
+    if (tooBig) {
+        return `${tooBig.name} is larger than ${formatMb(MAX_PHOTO_BYTES)}.`;
+    }
+    return "";
+}
+
+function canvasToBlob(canvas, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            (blob) =>
+                blob ? resolve(blob) : reject(new Error("Encoding failed")),
+            "image/jpeg",
+            quality
+        );
+    });
+}
+
+async function encodeScaled(bitmap, maxPx, quality) {
+    const scale = Math.min(1, maxPx / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas
+        .getContext("2d")
+        .drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return canvasToBlob(canvas, quality);
+}
+
+// File -> { full, thumb } JPEG blobs with no metadata
+export async function processPhoto(file) {
+    let bitmap;
+    try {
+        // Applies the EXIF rotation before we throw the EXIF away
+        bitmap = await createImageBitmap(file, {
+            imageOrientation: "from-image",
+        });
+    } catch {
+        throw new Error(
+            `Couldn't read ${file.name} – try a JPEG or PNG instead.`
+        );
+    }
+
+    try {
+        let full = await encodeScaled(bitmap, FULL_MAX_PX, FULL_QUALITY);
+        if (full.size > FULL_TARGET_BYTES) {
+            full = await encodeScaled(bitmap, FULL_MAX_PX, FULL_QUALITY - 0.2);
+        }
+        const thumb = await encodeScaled(bitmap, THUMB_MAX_PX, THUMB_QUALITY);
+        return { full, thumb };
+    } finally {
+        bitmap.close();
+    }
+}
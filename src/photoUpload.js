@@ -0,0 +1,164 @@
+// Uploads to the public `spot-photos` storage bucket. Processed photos go
+// to photos/<id>.jpg with a matching thumbs/<id>.jpg; older uploads sit
+// at the bucket root and have no thumbnail.
+import { processPhoto, validatePhotoFiles } from "./photoProcessing";
+import { supabase, supabaseAnonKey, supabaseUrl } from "./supabaseClient";
+
+export const SPOT_PHOTO_BUCKET = "spot-photos";
+
+const PHOTO_DIR = `/${SPOT_PHOTO_BUCKET}/photos/`;
+const THUMB_DIR = `/${SPOT_PHOTO_BUCKET}/thumbs/`;
+
+export function thumbnailUrl(url) {
+    return url.includes(PHOTO_DIR) ? url.replace(PHOTO_DIR, THUMB_DIR) : url;
+}
+
+// supabase-js has no upload progress, so talk to the Storage API directly
+function uploadBlob(path, blob, { token, onProgress }) {
+    return new Promise((resolve) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open(
+            "POST",
+            `${supabaseUrl}/storage/v1/object/${SPOT_PHOTO_BUCKET}/${path}`
+        );
+        xhr.setRequestHeader("Authorization", `Bearer ${token}`);
+        xhr.setRequestHeader("apikey", supabaseAnonKey);
+        xhr.setRequestHeader("Content-Type", "image/jpeg");
+        xhr.setRequestHeader("Cache-Control", "max-age=3600");
+        xhr.setRequestHeader("x-upsert", "false");
+
+        xhr.upload.onprogress = (e) => {
+            if (e.lengthComputable) onProgress?.(e.loaded / e.total);
+        };
+        xhr.onload = () => {
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve({ error: null });
+                return;
+            }
+            let message = xhr.statusText || `HTTP ${xhr.status}`;
+            try {
+                message = JSON.parse(xhr.responseText).message ?? message;
+            } catch {
+                // keep the status text
+            }
+            resolve({ error: new Error(message) });
+        };
+        // Same wording as fetch, so isNetworkError() recognises it
+        xhr.onerror = () =>
+            resolve({ error: new TypeError("Failed to fetch") });
+        xhr.send(blob);
+    });
+}
+
+function publicUrl(path) {
+    return supabase.storage.from(SPOT_PHOTO_BUCKET).getPublicUrl(path).data
+        .publicUrl;
+}
+
+// Processes and uploads one photo (full image + thumbnail). Progress is
+// reported from 0 to 1 across both files.
+export async function uploadPhoto(file, { onProgress } = {}) {
+    let processed;
+    try {
+        processed = await processPhoto(file);
+    } catch (err) {
+        return { url: null, error: err };
+    }
+
+    const {
+        data: { session },
+    } = await supabase.auth.getSession();
+    const token = session?.access_token ?? supabaseAnonKey;
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const total = processed.full.size + processed.thumb.size;
+    const loaded = { full: 0, thumb: 0 };
+    const report = (key, fraction) => {
+        loaded[key] = fraction * processed[key].size;
+        onProgress?.((loaded.full + loaded.thumb) / total);
+    };
+
+    const [full, thumb] = await Promise.all([
+        uploadBlob(`photos/${id}.jpg`, processed.full, {
+            token,
+            onProgress: (f) => report("full", f),
+        }),
+        uploadBlob(`thumbs/${id}.jpg`, processed.thumb, {
+            token,
+            onProgress: (f) => report("thumb", f),
+        }),
+    ]);
+
+    const url = publicUrl(`photos/${id}.jpg`);
+    const error = full.error || thumb.error;
+    if (error) {
+        // Don't leave half a photo behind
+        await removeUploadedPhotos([url]);
+        return { url: null, error };
+    }
+    return { url, error: null };
+}
+
+// Deletes photos (and their thumbnails) from storage: uploads that were
+// never saved, or photos a moderator deleted. Legacy bucket-root photos
+// are left alone.
+export async function removeUploadedPhotos(urls) {
+    const paths = urls
+        .filter((url) => url.includes(PHOTO_DIR))
+        .flatMap((url) => {
+            const name = url.split(PHOTO_DIR)[1];
+            return [`photos/${name}`, `thumbs/${name}`];
+        });
+    if (paths.length === 0) return { error: null };
+
+    const { error } = await supabase.storage
+        .from(SPOT_PHOTO_BUCKET)
+        .remove(paths);
+    if (error) console.warn("Couldn't delete photos from storage:", error);
+    return { error };
+}
+
+// Details stored in spots.photo_meta for a freshly uploaded photo
+export function newPhotoMeta(caption, userId) {
+    return {
+        caption: caption?.trim() ?? "",
+        uploaded_by: userId ?? null,
+        uploaded_at: new Date().toISOString(),
+    };
+}
+
+// Uploads queued photos in one go (used when replaying the offline
+// outbox). `photos` are { file, caption } or bare Files from older builds.
+// On failure everything uploaded so far is removed again.
+export async function uploadSpotPhotos(photos) {
+    const items = photos.map((photo) =>
+        photo instanceof Blob ? { file: photo, caption: "" } : photo
+    );
+    const urls = [];
+    const meta = {};
+
+    const invalid = validatePhotoFiles(items.map((item) => item.file));
+    if (invalid) return { urls, meta, error: new Error(invalid) };
+
+    const {
+        data: { session },
+    } = await supabase.auth.getSession();
+
+    for (const item of items) {
+        const { url, error } = await uploadPhoto(item.file);
+        if (error) {
+            await removeUploadedPhotos(urls);
+            return {
+                urls: [],
+                meta: {},
+                error: new Error(
+                    "Failed to upload one of the photos: " + error.message
+                ),
+            };
+        }
+        urls.push(url);
+        meta[url] = newPhotoMeta(item.caption, session?.user?.id);
+    }
+
+    return { urls, meta, error: null };
+}
@@ -0,0 +1,37 @@
+// Supabase realtime subscription for spot + review changes
+import { supabase } from "./supabaseClient";
+import { normalizeSpot } from "./spotData";
+
+// Callbacks receive (eventType, row) where eventType is
+// "INSERT" | "UPDATE" | "DELETE". For deletes only the primary key is
+// guaranteed to be present on `row`.
+export function subscribeToSpotChanges({ onSpotChange, onReviewChange }) {
+    const channel = supabase
+        .channel("spots-and-reviews")
+        .on(
+            "postgres_changes",
+            { event: "*", schema: "public", table: "spots" },
+            (payload) => {
+                const row =
+                    payload.eventType === "DELETE"
+                        ? payload.old
+                        : normalizeSpot(payload.new);
+                onSpotChange(payload.eventType, row);
+            }
+        )
+        .on(
+            "postgres_changes",
+            { event: "*", schema: "public", table: "reviews" },
+            (payload) => {
+                onReviewChange(
+                    payload.eventType,
+                    payload.eventType === "DELETE" ? payload.old : payload.new
+                );
+            }
+        )
+        .subscribe();
+
+    return () => {
+        supabase.removeChannel(channel);
+    };
+}
@@ -0,0 +1,94 @@
+// Grid bookkeeping for which parts of the map have already been fetched.
+// Cell sizes nest (10° > 2° > 0.5°), so a coarse fetch at low zoom also
+// covers every finer cell inside it when the user zooms in later.
+
+const CELL_SIZES = [10, 2, 0.5];
+
+export function cellSizeForZoom(zoom) {
+    if (zoom <= 6) return CELL_SIZES[0];
+    if (zoom <= 9) return CELL_SIZES[1];
+    return CELL_SIZES[2];
+}
+
+// Grow bounds by a fraction of their span on every side (clamped to the globe)
+export function padBounds(bounds, ratio) {
+    const latPad = (bounds.north - bounds.south) * ratio;
+    const lngPad = (bounds.east - bounds.west) * ratio;
+    return {
+        south: Math.max(bounds.south - latPad, -90),
+        north: Math.min(bounds.north + latPad, 90),
+        west: Math.max(bounds.west - lngPad, -180),
+        east: Math.min(bounds.east + lngPad, 180),
+    };
+}
+
+export function boundsFromLeaflet(leafletBounds) {
+    return {
+        south: leafletBounds.getSouth(),
+        west: leafletBounds.getWest(),
+        north: leafletBounds.getNorth(),
+        east: leafletBounds.getEast(),
+    };
+}
+
+function cellKey(size, x, y) {
+    return `${size}:${x}:${y}`;
+}
+
+export function createRegionCache() {
+    const loaded = new Set();
+
+    function isCovered(size, x, y) {
+        for (const s of CELL_SIZES) {
+            if (s < size) break;
+            const cx = Math.floor((x * size) / s);
+            const cy = Math.floor((y * size) / s);
+            if (loaded.has(cellKey(s, cx, cy))) return true;
+        }
+        return false;
+    }
+
+    // Returns the cells in `bounds` not fetched yet, plus one bounding box
+    // that spans all of them, or null when the whole area is cached.
+    function missing(bounds, zoom) {
+        const size = cellSizeForZoom(zoom);
+        const cells = [];
+        let south = Infinity;
+        let west = Infinity;
+        let north = -Infinity;
+        let east = -Infinity;
+
+        const x0 = Math.floor(bounds.west / size);
+        const x1 = Math.floor(bounds.east / size);
+        const y0 = Math.floor(bounds.south / size);
+        const y1 = Math.floor(bounds.north / size);
+
+        for (let x = x0; x <= x1; x++) {
+            for (let y = y0; y <= y1; y++) {
+                if (isCovered(size, x, y)) continue;
+                cells.push(cellKey(size, x, y));
+                west = Math.min(west, x * size);
+                east = Math.max(east, (x + 1) * size);
+                south = Math.min(south, y * size);
+                north = Math.max(north, (y + 1) * size);
+            }
+        }
+
+        if (cells.length === 0) return null;
+        return { cells, bounds: { south, west, north, east } };
+    }
+
+    function markLoaded(cells) {
+        for (const key of cells) loaded.add(key);
+    }
+
+    function unmark(cells) {
+        for (const key of cells) loaded.delete(key);
+    }
+
+    function clear() {
+        loaded.clear();
+    }
+
+    return { missing, markLoaded, unmark, clear };
+}
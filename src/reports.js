@@ -0,0 +1,199 @@
+// Reporting spots / reviews / photos and resolving reports as a moderator
+import { removeUploadedPhotos } from "./photoUpload";
+import { normalizePhotoUrls } from "./spotData";
+import { supabase } from "./supabaseClient";
+
+const PHOTO_REPORT_REASONS = [
+    { key: "inappropriate", label: "Inappropriate" },
+    { key: "privacy", label: "Shows people, plates or private info" },
+    { key: "wrong_location", label: "Not this spot" },
+    { key: "other", label: "Something else" },
+];
+
+export const REPORT_REASONS = {
+    spot: [
+        { key: "unsafe", label: "Became unsafe" },
+        { key: "closed", label: "Closed, seasonal or open again" },
+        { key: "fake", label: "Fake or doesn't exist" },
+        { key: "wrong_location", label: "Wrong location" },
+        { key: "other", label: "Something else" },
+    ],
+    review: [
+        { key: "abusive", label: "Abusive or harassing" },
+        { key: "spam", label: "Spam or advertising" },
+        { key: "off_topic", label: "Off-topic / not about this spot" },
+        { key: "other", label: "Something else" },
+    ],
+    spot_photo: PHOTO_REPORT_REASONS,
+    review_photo: PHOTO_REPORT_REASONS,
+};
+
+export const REPORT_TARGET_LABELS = {
+    spot: "spot",
+    review: "review",
+    spot_photo: "photo",
+    review_photo: "photo",
+};
+
+export function reportReasonLabel(targetType, reason) {
+    return (
+        REPORT_REASONS[targetType]?.find((r) => r.key === reason)?.label ??
+        reason
+    );
+}
+
+const TARGET_TABLES = {
+    spot: "spots",
+    review: "reviews",
+    spot_photo: "spots",
+    review_photo: "reviews",
+};
+
+const RESOLVED_STATUS = {
+    dismiss: "dismissed",
+    hide: "hidden",
+    delete: "deleted",
+    apply: "applied",
+};
+
+export async function submitReport({
+    targetType,
+    targetId,
+    photoUrl = null,
+    reason,
+    note,
+    proposedStatus = null,
+    proposedOpenMonths = null,
+}) {
+    const { error } = await supabase.from("reports").insert({
+        target_type: targetType,
+        target_id: targetId,
+        photo_url: photoUrl,
+        reason,
+        note: note?.trim() || null,
+        proposed_status: proposedStatus,
+        proposed_open_months: proposedOpenMonths,
+    });
+    return { error };
+}
+
+export async function fetchOpenReports() {
+    const { data, error } = await supabase
+        .from("reports")
+        .select(
+            "id, target_type, target_id, photo_url, reason, note, created_at, proposed_status, proposed_open_months"
+        )
+        .eq("status", "open")
+        .order("created_at", { ascending: true });
+
+    if (error) return { data: [], error };
+    return { data: data ?? [], error: null };
+}
+
+// Photos live inside their spot or review row: hiding flags the photo
+// in photo_meta, deleting drops it from photo_urls.
+export function photoFieldsAfterReport(row, url, action) {
+    const photo_meta = { ...(row.photo_meta ?? {}) };
+    let photo_urls = normalizePhotoUrls(row.photo_urls);
+    if (action === "hide") {
+        photo_meta[url] = { ...photo_meta[url], hidden: true };
+    } else {
+        photo_urls = photo_urls.filter((u) => u !== url);
+        delete photo_meta[url];
+    }
+    return { photo_urls, photo_meta };
+}
+
+// The spot columns an applied status proposal sets
+export function statusFieldsFromReport(report) {
+    const status = report.proposed_status;
+    return {
+        status,
+        open_months:
+            status === "seasonal" ? report.proposed_open_months : null,
+        closure_reason:
+            status !== "open" ? report.note?.trim() || null : null,
+    };
+}
+
+async function resolvePhotoReport(report, action) {
+    const table = TARGET_TABLES[report.target_type];
+    const { data, error } = await supabase
+        .from(table)
+        .select("photo_urls, photo_meta")
+        .eq("id", report.target_id)
+        .single();
+    if (error) return { error };
+
+    const { photo_urls, photo_meta } = photoFieldsAfterReport(
+        data,
+        report.photo_url,
+        action
+    );
+
+    const { error: updateError } = await supabase
+        .from(table)
+        .update({ photo_urls, photo_meta })
+        .eq("id", report.target_id);
+    if (updateError || action !== "delete") return { error: updateError };
+
+    // The bucket is public, so a deleted photo has to go from storage too.
+    // If this fails the report stays open and can simply be retried.
+    return removeUploadedPhotos([report.photo_url]);
+}
+
+// action: "dismiss" | "hide" | "delete" | "apply" (a status proposal)
+export async function resolveReport(report, action, moderatorId) {
+    const table = TARGET_TABLES[report.target_type];
+
+    if (action === "apply") {
+        const { error } = await supabase
+            .from("spots")
+            .update(statusFieldsFromReport(report))
+            .eq("id", report.target_id);
+        if (error) return { error };
+    } else if (report.photo_url && action !== "dismiss") {
+        const { error } = await resolvePhotoReport(report, action);
+        if (error) return { error };
+    } else if (action === "hide") {
+        const { error } = await supabase
+            .from(table)
+            .update({ hidden: true })
+            .eq("id", report.target_id);
+        if (error) return { error };
+    } else if (action === "delete") {
+        const { error } = await supabase
+            .from(table)
+            .delete()
+            .eq("id", report.target_id);
+        if (error) return { error };
+    }
+
+    const status = RESOLVED_STATUS[action];
+
+    // Every open report on the same target is settled by one decision
+    let query = supabase
+        .from("reports")
+        .update({
+            status,
+            resolved_by: moderatorId,
+            resolved_at: new Date().toISOString(),
+        })
+        .eq("status", "open");
+    query =
+        action === "dismiss"
+            ? query.eq("id", report.id)
+            : query
+                .eq("target_type", report.target_type)
+                .eq("target_id", report.target_id);
+    if (action !== "dismiss" && report.photo_url) {
+        query = query.eq("photo_url", report.photo_url);
+    }
+    // Other proposals on the spot stay open for the moderator to judge
+    if (action === "apply") {
+        query = query.eq("proposed_status", report.proposed_status);
+    }
+
+    const { error } = await query;
+    return { error };
+}
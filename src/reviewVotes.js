@@ -0,0 +1,116 @@
+// Helpful / not helpful votes on reviews, review sorting and reviewer
+// reputation. Vote totals live on the review row; per-author totals come
+// from the reviewer_reputation view.
+import { supabase } from "./supabaseClient";
+
+export const REVIEW_SORTS = [
+    { key: "helpful", label: "Most helpful" },
+    { key: "newest", label: "Newest" },
+    { key: "lowest", label: "Lowest rating" },
+];
+
+// Same URL-length limit as review lookups
+const REPUTATION_ID_CHUNK = 150;
+
+// Reputation needs a few votes before we show it
+export const MIN_REPUTATION_VOTES = 3;
+
+// Share of helpful votes, pulled toward 50% while there are only a few,
+// so one early vote doesn't decide anything. 0–1, 0.5 with no votes.
+export function helpfulShare(helpful = 0, notHelpful = 0) {
+    return (helpful + 1) / (helpful + notHelpful + 2);
+}
+
+// How much an author's input counts when ratings are aggregated:
+// 0.5x for consistently unhelpful reviewers up to 1.5x for helpful ones.
+// Anonymous and unvoted authors count 1x.
+export function reputationWeight(reputation) {
+    if (!reputation) return 1;
+    return 0.5 + helpfulShare(reputation.helpful, reputation.notHelpful);
+}
+
+function newestFirst(a, b) {
+    return (b.created_at || "").localeCompare(a.created_at || "");
+}
+
+export function sortReviews(reviews, sortKey) {
+    const sorted = reviews.slice();
+    if (sortKey === "helpful") {
+        sorted.sort(
+            (a, b) =>
+                helpfulShare(b.helpful_count, b.not_helpful_count) -
+                helpfulShare(a.helpful_count, a.not_helpful_count) ||
+                newestFirst(a, b)
+        );
+    } else if (sortKey === "lowest") {
+        sorted.sort(
+            (a, b) => (a.rating ?? 0) - (b.rating ?? 0) || newestFirst(a, b)
+        );
+    } else {
+        sorted.sort(newestFirst);
+    }
+    return sorted;
+}
+
+// userId -> { reviewCount, helpful, notHelpful }
+export async function fetchReviewerReputation(userIds) {
+    const reputation = new Map();
+    for (let i = 0; i < userIds.length; i += REPUTATION_ID_CHUNK) {
+        const { data, error } = await supabase
+            .from("reviewer_reputation")
+            .select("user_id, review_count, helpful_count, not_helpful_count")
+            .in("user_id", userIds.slice(i, i + REPUTATION_ID_CHUNK));
+
+        if (error) return { data: new Map(), error };
+        for (const row of data ?? []) {
+            reputation.set(row.user_id, {
+                reviewCount: row.review_count ?? 0,
+                helpful: row.helpful_count ?? 0,
+                notHelpful: row.not_helpful_count ?? 0,
+            });
+        }
+    }
+    return { data: reputation, error: null };
+}
+
+// reviewId -> true (helpful) / false (not helpful)
+export async function fetchMyReviewVotes(userId) {
+    const { data, error } = await supabase
+        .from("review_votes")
+        .select("review_id, helpful")
+        .eq("user_id", userId);
+
+    if (error) return { data: new Map(), error };
+    return {
+        data: new Map((data ?? []).map((row) => [row.review_id, row.helpful])),
+        error: null,
+    };
+}
+
+// helpful: true / false, or null to take the vote back
+export async function saveReviewVote(reviewId, userId, helpful) {
+    if (helpful === null) {
+        const { error } = await supabase
+            .from("review_votes")
+            .delete()
+            .eq("review_id", reviewId)
+            .eq("user_id", userId);
+        return { error };
+    }
+    const { error } = await supabase
+        .from("review_votes")
+        .upsert(
+            { review_id: reviewId, user_id: userId, helpful },
+            { onConflict: "review_id,user_id" }
+        );
+    return { error };
+}
+
+// Vote totals on a review after the viewer's vote goes from `from` to `to`
+export function countsAfterVote(review, from, to) {
+    const delta = (value) => (to === value ? 1 : 0) - (from === value ? 1 : 0);
+    return {
+        helpful_count: (review.helpful_count ?? 0) + delta(true),
+        not_helpful_count: (review.not_helpful_count ?? 0) + delta(false),
+    };
+}
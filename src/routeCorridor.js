@@ -0,0 +1,229 @@
+// Spots within a corridor around a route, ordered by distance along it,
+// plus route import (GPX / GeoJSON / encoded polyline) and the overlay
+// polygon drawn on the map.
+import {
+    hasValidCoordinates,
+    haversineDistanceKm,
+    offsetPoint,
+    projectOntoSegment,
+    toCoordinate,
+} from "./geo";
+
+// Enough detail for corridor maths without slowing down long routes
+const MAX_ROUTE_POINTS = 1500;
+
+export function simplifyRoute(coordinates, maxPoints = MAX_ROUTE_POINTS) {
+    if (coordinates.length <= maxPoints) return coordinates;
+    const step = Math.ceil(coordinates.length / maxPoints);
+    const kept = coordinates.filter((_, i) => i % step === 0);
+    kept.push(coordinates[coordinates.length - 1]);
+    return kept;
+}
+
+export function routeLengthKm(coordinates) {
+    let total = 0;
+    for (let i = 1; i < coordinates.length; i++) {
+        const [lat1, lng1] = coordinates[i - 1];
+        const [lat2, lng2] = coordinates[i];
+        total += haversineDistanceKm(
+            { lat: lat1, lng: lng1 },
+            { lat: lat2, lng: lng2 }
+        );
+    }
+    return total;
+}
+
+function routeBounds(coordinates, padKm) {
+    let south = Infinity;
+    let west = Infinity;
+    let north = -Infinity;
+    let east = -Infinity;
+    for (const [lat, lng] of coordinates) {
+        south = Math.min(south, lat);
+        north = Math.max(north, lat);
+        west = Math.min(west, lng);
+        east = Math.max(east, lng);
+    }
+    const padLat = padKm / 110.574;
+    const midLat = ((south + north) / 2) * (Math.PI / 180);
+    const padLng = padKm / (111.32 * Math.cos(midLat));
+    return {
+        south: south - padLat,
+        north: north + padLat,
+        west: west - padLng,
+        east: east + padLng,
+    };
+}
+
+// [{ spot, alongKm, offRouteKm }] for spots within corridorKm of the route
+export function spotsAlongRoute(spots, coordinates, corridorKm) {
+    if (coordinates.length < 2) return [];
+
+    const points = simplifyRoute(coordinates).map(([lat, lng]) => ({
+        lat,
+        lng,
+    }));
+    const cumulative = [0];
+    for (let i = 1; i < points.length; i++) {
+        cumulative.push(
+            cumulative[i - 1] + haversineDistanceKm(points[i - 1], points[i])
+        );
+    }
+
+    const box = routeBounds(coordinates, corridorKm);
+    const results = [];
+
+    for (const spot of spots) {
+        if (
+            spot.lat < box.south ||
+            spot.lat > box.north ||
+            spot.lng < box.west ||
+            spot.lng > box.east
+        ) {
+            continue;
+        }
+
+        let best = null;
+        for (let i = 0; i < points.length - 1; i++) {
+            const hit = projectOntoSegment(spot, points[i], points[i + 1]);
+            if (!best || hit.distanceKm < best.offRouteKm) {
+                best = {
+                    offRouteKm: hit.distanceKm,
+                    alongKm:
+                        cumulative[i] +
+                        hit.t * (cumulative[i + 1] - cumulative[i]),
+                };
+            }
+        }
+
+        if (best && best.offRouteKm <= corridorKm) {
+            results.push({ spot, ...best });
+        }
+    }
+
+    return results.sort((a, b) => a.alongKm - b.alongKm);
+}
+
+// Outline of the corridor: the route offset to each side, joined up.
+// Good enough to draw; sharp turns may overlap themselves slightly.
+export function corridorPolygon(coordinates, corridorKm) {
+    const points = simplifyRoute(coordinates, 400).map(([lat, lng]) => ({
+        lat,
+        lng,
+    }));
+    if (points.length < 2) return [];
+
+    const left = [];
+    const right = [];
+    for (let i = 0; i < points.length; i++) {
+        const prev = points[Math.max(i - 1, 0)];
+        const next = points[Math.min(i + 1, points.length - 1)];
+        const kx = Math.cos((points[i].lat * Math.PI) / 180);
+        const bearing = Math.atan2(
+            (next.lng - prev.lng) * kx,
+            next.lat - prev.lat
+        );
+
+        const l = offsetPoint(points[i], bearing - Math.PI / 2, corridorKm);
+        const r = offsetPoint(points[i], bearing + Math.PI / 2, corridorKm);
+        left.push([l.lat, l.lng]);
+        right.push([r.lat, r.lng]);
+    }
+    return [...left, ...right.reverse()];
+}
+
+// Google encoded polyline (precision 5) -> [[lat, lng], ...]
+export function decodePolyline(encoded) {
+    const coordinates = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    while (index < encoded.length) {
+        for (const axis of ["lat", "lng"]) {
+            let result = 0;
+            let shift = 0;
+            let byte;
+            do {
+                byte = encoded.charCodeAt(index++) - 63;
+                result |= (byte & 0x1f) << shift;
+                shift += 5;
+            } while (byte >= 0x20 && index < encoded.length);
+            const delta = result & 1 ? ~(result >> 1) : result >> 1;
+            if (axis === "lat") lat += delta;
+            else lng += delta;
+        }
+        coordinates.push([lat / 1e5, lng / 1e5]);
+    }
+    return coordinates;
+}
+
+function lineFromGeoJson(geojson) {
+    if (!geojson) return null;
+    switch (geojson.type) {
+        case "FeatureCollection":
+            for (const feature of geojson.features ?? []) {
+                const line = lineFromGeoJson(feature);
+                if (line) return line;
+            }
+            return null;
+        case "Feature":
+            return lineFromGeoJson(geojson.geometry);
+        case "LineString":
+            return Array.isArray(geojson.coordinates)
+                ? geojson.coordinates
+                : null;
+        case "MultiLineString":
+            return Array.isArray(geojson.coordinates)
+                ? geojson.coordinates.flat()
+                : null;
+        default:
+            return null;
+    }
+}
+
+// Drops points with missing or out-of-range coordinates; a route needs
+// at least two that are left.
+function validRoute(points, message) {
+    const valid = points.filter(hasValidCoordinates);
+    if (valid.length < 2) throw new Error(message);
+    return valid.map(({ lat, lng }) => [lat, lng]);
+}
+
+// Accepts GPX (track or route points), GeoJSON (first line found) or an
+// encoded polyline string. Returns [[lat, lng], ...] or throws.
+export function parseRouteText(text) {
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith("<")) {
+        const doc = new DOMParser().parseFromString(trimmed, "application/xml");
+        const pts = [...doc.querySelectorAll("trkpt, rtept")];
+        return validRoute(
+            pts.map((pt) => ({
+                lat: toCoordinate(pt.getAttribute("lat")),
+                lng: toCoordinate(pt.getAttribute("lon")),
+            })),
+            "No track in that GPX file."
+        );
+    }
+
+    if (trimmed.startsWith("{")) {
+        const line = lineFromGeoJson(JSON.parse(trimmed)) ?? [];
+        return validRoute(
+            line.map((position) =>
+                Array.isArray(position)
+                    ? {
+                        lat: toCoordinate(position[1]),
+                        lng: toCoordinate(position[0]),
+                    }
+                    : { lat: NaN, lng: NaN }
+            ),
+            "No LineString in that GeoJSON."
+        );
+    }
+
+    return validRoute(
+        decodePolyline(trimmed).map(([lat, lng]) => ({ lat, lng })),
+        "That doesn't look like a route."
+    );
+}
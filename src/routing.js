@@ -0,0 +1,60 @@
+// Driving routes behind a provider interface. A router is
+// `{ route(start, end, { signal }) }` where start / end are { lat, lng },
+// resolving to `{ coordinates: [[lat, lng], ...], distanceKm }`.
+import { haversineDistanceKm } from "./geo";
+
+export function createOsrmRouter({
+    endpoint = "https://router.project-osrm.org/route/v1/driving",
+} = {}) {
+    return {
+        async route(start, end, { signal } = {}) {
+            const points = `${start.lng},${start.lat};${end.lng},${end.lat}`;
+            const res = await fetch(
+                `${endpoint}/${points}?overview=full&geometries=geojson`,
+                { signal }
+            );
+            if (!res.ok) throw new Error(`Routing error ${res.status}`);
+
+            const body = await res.json();
+            const best = body.routes?.[0];
+            if (body.code !== "Ok" || !best) {
+                throw new Error("No driving route found between those places.");
+            }
+
+            return {
+                coordinates: best.geometry.coordinates.map(([lng, lat]) => [
+                    lat,
+                    lng,
+                ]),
+                distanceKm: best.distance / 1000,
+            };
+        },
+    };
+}
+
+// Local stand-in: a straight line split into `steps` segments
+export function createStraightLineRouter({ steps = 50 } = {}) {
+    return {
+        async route(start, end) {
+            const coordinates = [];
+            for (let i = 0; i <= steps; i++) {
+                const t = i / steps;
+                coordinates.push([
+                    start.lat + (end.lat - start.lat) * t,
+                    start.lng + (end.lng - start.lng) * t,
+                ]);
+            }
+            return {
+                coordinates,
+                distanceKm: haversineDistanceKm(start, end),
+            };
+        },
+    };
+}
+
+// VITE_ROUTER=local uses the straight-line stand-in
+export function getRouter() {
+    return import.meta.env.VITE_ROUTER === "local"
+        ? createStraightLineRouter()
+        : createOsrmRouter();
+}
@@ -0,0 +1,149 @@
+// Safety, cell signal and noise as travellers report them now: the
+// poster's values blended with the last year of reviews, newer stays
+// counting more. Also tallies recent incidents.
+import { normalizeNoiseLevel } from "./spotFilters";
+import { formatNoiseLevel } from "./spotFormat";
+import { recencyWeight } from "./spotTrust";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reviews older than this no longer move the displayed attributes
+export const RECENT_REVIEW_DAYS = 365;
+
+export const INCIDENT_TYPES = [
+    { key: "asked_to_leave", label: "Asked to leave", icon: "🚪" },
+    { key: "police_knock", label: "Police knock", icon: "🚓" },
+    { key: "break_in", label: "Break-in or theft", icon: "🔓" },
+    { key: "harassment", label: "Harassment", icon: "⚠️" },
+    { key: "ticket", label: "Parking ticket", icon: "🧾" },
+];
+
+export function formatIncident(key) {
+    const type = INCIDENT_TYPES.find((t) => t.key === key);
+    return type ? `${type.icon} ${type.label}` : key;
+}
+
+// Short labels for what a review reported, e.g. ["🌙 12 Oct", "📶 3/5"]
+export function reviewDetails(review) {
+    const details = [];
+    if (review.stayed_on) {
+        const night = new Date(`${review.stayed_on}T12:00:00`);
+        details.push(
+            `🌙 ${night.toLocaleDateString(undefined, {
+                month: "short",
+                day: "numeric",
+                year: "numeric",
+            })}`
+        );
+    }
+    if (review.safety_rating != null) {
+        details.push(`🛡️ ${review.safety_rating}/5`);
+    }
+    if (review.cell_signal != null) {
+        details.push(`📶 ${review.cell_signal}/5`);
+    }
+    if (review.noise_level) {
+        details.push(`🔇 ${formatNoiseLevel(review.noise_level)}`);
+    }
+    for (const key of review.incidents ?? []) {
+        details.push(formatIncident(key));
+    }
+    return details;
+}
+
+// The night of the stay, else when the review was posted. Never later
+// than the review itself, so a future stay date can't keep it fresh.
+function reviewDate(review) {
+    if (!review.stayed_on) return review.created_at;
+    const stayedAt = `${review.stayed_on}T12:00:00`;
+    return review.created_at &&
+        new Date(stayedAt) > new Date(review.created_at)
+        ? review.created_at
+        : stayedAt;
+}
+
+function weightedMean(entries) {
+    const weights = entries.reduce((sum, e) => sum + e.weight, 0);
+    if (weights === 0) return null;
+    const total = entries.reduce((sum, e) => sum + e.value * e.weight, 0);
+    return Math.round((total / weights) * 10) / 10;
+}
+
+function weightedMode(entries) {
+    const totals = new Map();
+    for (const { value, weight } of entries) {
+        totals.set(value, (totals.get(value) ?? 0) + weight);
+    }
+    let best = null;
+    for (const [value, total] of totals) {
+        if (best === null || total > totals.get(best)) best = value;
+    }
+    return best;
+}
+
+// Returns { attributes: { safety_rating, cell_signal, noise_level },
+// attributeReviewCount, recentIncidents: [{ key, count, lastAt }] }
+export function aggregateSpotAttributes(spot, reviews, now = Date.now()) {
+    const recent = reviews.filter((review) => {
+        const date = reviewDate(review);
+        return (
+            date &&
+            now - new Date(date).getTime() <= RECENT_REVIEW_DAYS * DAY_MS
+        );
+    });
+
+    const posterWeight = recencyWeight(spot.created_at, now);
+    const entriesFor = (field, normalize = (v) => v) => {
+        const entries = recent
+            .filter((review) => review[field] != null)
+            .map((review) => ({
+                value: normalize(review[field]),
+                weight:
+                    recencyWeight(reviewDate(review), now) *
+                    (review.authorWeight ?? 1),
+            }));
+        if (spot[field] != null) {
+            entries.push({
+                value: normalize(spot[field]),
+                weight: posterWeight,
+            });
+        }
+        return entries;
+    };
+
+    const attributeReviewCount = recent.filter(
+        (review) =>
+            review.safety_rating != null ||
+            review.cell_signal != null ||
+            review.noise_level != null
+    ).length;
+
+    const incidents = new Map();
+    for (const review of recent) {
+        for (const key of review.incidents ?? []) {
+            const date = reviewDate(review);
+            const tally = incidents.get(key) ?? {
+                key,
+                count: 0,
+                lastAt: null,
+            };
+            tally.count += 1;
+            if (!tally.lastAt || date > tally.lastAt) tally.lastAt = date;
+            incidents.set(key, tally);
+        }
+    }
+
+    return {
+        attributes: {
+            safety_rating: weightedMean(entriesFor("safety_rating")),
+            cell_signal: weightedMean(entriesFor("cell_signal")),
+            noise_level: weightedMode(
+                entriesFor("noise_level", normalizeNoiseLevel)
+            ),
+        },
+        attributeReviewCount,
+        recentIncidents: [...incidents.values()].sort(
+            (a, b) => b.count - a.count
+        ),
+    };
+}
@@ -0,0 +1,298 @@
+// Supabase queries + normalization for spots and reviews
+import { removeUploadedPhotos, uploadSpotPhotos } from "./photoUpload";
+import { INCIDENT_TYPES } from "./spotAttributes";
+import { buildStatusFields } from "./spotStatus";
+import { supabase } from "./supabaseClient";
+
+export const SPOT_COLUMNS =
+    "id, name, description, lat, lng, overnight_allowed, has_bathroom, cell_signal, noise_level, safety_rating, spot_type, created_at, photo_urls, photo_meta, created_by, hidden, merged_into, status, open_months, closure_reason, status_changed_at";
+
+export const REVIEW_COLUMNS =
+    "id, spot_id, rating, comment, nickname, created_at, hidden, photo_urls, photo_meta, safety_rating, cell_signal, noise_level, stayed_on, incidents, proposed_status, proposed_open_months, closure_reason, user_id, helpful_count, not_helpful_count";
+
+// PostgREST puts `in (...)` filters in the URL, so keep id lists short
+const REVIEW_ID_CHUNK = 150;
+// Rows asked for per request; the server may return fewer
+const PAGE_SIZE = 1000;
+
+export function normalizePhotoUrls(photo_urls) {
+    if (!photo_urls) return [];
+    if (Array.isArray(photo_urls)) return photo_urls;
+    if (typeof photo_urls !== "string" || photo_urls.trim().length === 0) {
+        return [];
+    }
+
+    // handle legacy comma-separated string
+    try {
+        // if it's actually JSON, parse it; otherwise treat as CSV
+        const maybeJson = JSON.parse(photo_urls);
+        if (Array.isArray(maybeJson)) return maybeJson;
+    } catch {
+        // fall through to CSV
+    }
+    return photo_urls
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+}
+
+export function normalizeSpot(spot) {
+    return {
+        ...spot,
+        photo_urls: normalizePhotoUrls(spot.photo_urls),
+        photo_meta: spot.photo_meta ?? {},
+        status: spot.status ?? "open",
+        open_months: spot.open_months ?? [],
+    };
+}
+
+function clampInt(value, min, max) {
+    const num = parseInt(value, 10);
+    if (Number.isNaN(num)) return min;
+    return Math.min(Math.max(num, min), max);
+}
+
+// Validates add/edit form fields (also used for file imports) and turns
+// them into a spots row. Returns { payload } or { error }.
+export function buildSpotPayload(form, location) {
+    if (!location) {
+        return { error: "Tap on the map to choose a location." };
+    }
+    const { lat, lng } = location;
+    if (
+        !Number.isFinite(lat) ||
+        !Number.isFinite(lng) ||
+        Math.abs(lat) > 90 ||
+        Math.abs(lng) > 180
+    ) {
+        return { error: "That location isn't a valid coordinate." };
+    }
+
+    if (!form.name?.trim()) {
+        return { error: "Please give this spot a name." };
+    }
+
+    const status = buildStatusFields({
+        status: form.status || "open",
+        openMonths: form.openMonths,
+        closureReason: form.closureReason,
+    });
+    if (status.error) return { error: status.error };
+
+    return {
+        payload: {
+            name: form.name.trim(),
+            description: (form.description ?? "").trim(),
+            lat,
+            lng,
+            overnight_allowed: !!form.overnightAllowed,
+            has_bathroom: !!form.hasBathroom,
+            cell_signal: clampInt(form.cellSignal, 0, 5),
+            safety_rating: clampInt(form.safetyRating, 1, 5),
+            noise_level: form.noiseLevel,
+            spot_type: form.spotType,
+            // any manual URLs typed in, comma-separated
+            photo_urls: normalizePhotoUrls(form.photoUrls),
+            ...status.fields,
+        },
+    };
+}
+
+// Today as YYYY-MM-DD in the traveller's timezone
+export function todayDateString() {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000)
+        .toISOString()
+        .slice(0, 10);
+}
+
+// Validates the review form. The structured fields are optional and
+// stored as null when left blank. Returns { payload } or { error }.
+export function buildReviewPayload(form, spotId) {
+    if (!form.comment.trim()) {
+        return { error: "Please add a short comment." };
+    }
+    if (form.stayedOn && form.stayedOn > todayDateString()) {
+        return { error: "The night you stayed can't be in the future." };
+    }
+    const proposal = buildStatusFields({
+        status: form.proposedStatus,
+        openMonths: form.proposedOpenMonths,
+        closureReason: form.closureReason,
+    });
+    if (proposal.error) return { error: proposal.error };
+
+    const optionalInt = (value, min, max) =>
+        value === "" || value == null ? null : clampInt(value, min, max);
+    const incidentKeys = INCIDENT_TYPES.map((t) => t.key);
+
+    return {
+        payload: {
+            spot_id: spotId,
+            rating: clampInt(form.rating, 1, 5),
+            comment: form.comment.trim(),
+            nickname: form.nickname.trim() || null,
+            safety_rating: optionalInt(form.safetyRating, 1, 5),
+            cell_signal: optionalInt(form.cellSignal, 0, 5),
+            noise_level: form.noiseLevel || null,
+            stayed_on: form.stayedOn || null,
+            incidents: (form.incidents ?? []).filter((key) =>
+                incidentKeys.includes(key)
+            ),
+            // a status change for the spot; filed as a report server-side
+            proposed_status: proposal.fields.status,
+            proposed_open_months: proposal.fields.open_months,
+            closure_reason: proposal.fields.closure_reason,
+        },
+    };
+}
+
+// Merge rows into a list by id. Known rows are replaced in place; unseen
+// rows go to the front, since our lists are newest-first.
+export function mergeById(prev, incoming) {
+    if (!incoming || incoming.length === 0) return prev;
+    const incomingById = new Map(incoming.map((row) => [row.id, row]));
+    const merged = prev.map((row) => {
+        const next = incomingById.get(row.id);
+        if (!next) return row;
+        incomingById.delete(row.id);
+        return next;
+    });
+    return [...incomingById.values(), ...merged];
+}
+
+// PostgREST caps every response (max-rows, 1000 by default, but a project
+// may set it lower), so a short page doesn't mean we're done: carry on
+// from where the last page ended until one comes back empty.
+// `buildQuery` must give a stable order.
+async function fetchAllRows(buildQuery) {
+    const rows = [];
+    for (;;) {
+        const { data, error } = await buildQuery().range(
+            rows.length,
+            rows.length + PAGE_SIZE - 1
+        );
+        if (error) return { data: [], error };
+        if (!data || data.length === 0) return { data: rows, error: null };
+        rows.push(...data);
+    }
+}
+
+export async function fetchReviewsForSpots(spotIds) {
+    const reviews = [];
+    for (let i = 0; i < spotIds.length; i += REVIEW_ID_CHUNK) {
+        const chunk = spotIds.slice(i, i + REVIEW_ID_CHUNK);
+        const { data, error } = await fetchAllRows(() =>
+            supabase
+                .from("reviews")
+                .select(REVIEW_COLUMNS)
+                .in("spot_id", chunk)
+                .order("created_at", { ascending: false })
+                .order("id")
+        );
+
+        if (error) return { reviews: [], error };
+        reviews.push(...data);
+    }
+    return { reviews, error: null };
+}
+
+// Spots inside a lat/lng box plus the reviews needed for their stats
+export async function fetchSpotsInBounds({ south, west, north, east }) {
+    const spotsRes = await fetchAllRows(() =>
+        supabase
+            .from("spots")
+            .select(SPOT_COLUMNS)
+            .gte("lat", south)
+            .lte("lat", north)
+            .gte("lng", west)
+            .lte("lng", east)
+            .order("created_at", { ascending: false })
+            .order("id")
+    );
+
+    if (spotsRes.error) {
+        return { spots: [], reviews: [], error: spotsRes.error };
+    }
+
+    const spots = spotsRes.data.map(normalizeSpot);
+    const { reviews, error } = await fetchReviewsForSpots(
+        spots.map((s) => s.id)
+    );
+
+    return { spots, reviews, error };
+}
+
+export async function fetchSpotById(id) {
+    const { data, error } = await supabase
+        .from("spots")
+        .select(SPOT_COLUMNS)
+        .eq("id", id)
+        .single();
+
+    if (error) return { data: null, error };
+    return { data: normalizeSpot(data), error: null };
+}
+
+// Insert (or update, when editingSpotId is set) a spot. Queued photo
+// files ({ file, caption }) are uploaded first and appended to
+// payload.photo_urls; if the row can't be saved they're removed again.
+export async function saveSpot({
+    payload,
+    photoFiles = [],
+    editingSpotId = null,
+    onUploadStart,
+}) {
+    let photo_urls = payload.photo_urls ?? [];
+    let photo_meta = payload.photo_meta ?? {};
+    let uploadedUrls = [];
+
+    if (photoFiles.length > 0) {
+        onUploadStart?.();
+        const upload = await uploadSpotPhotos(photoFiles);
+        if (upload.error) return { data: null, error: upload.error };
+        uploadedUrls = upload.urls;
+        photo_urls = [...photo_urls, ...upload.urls];
+        photo_meta = { ...photo_meta, ...upload.meta };
+    }
+
+    const row = { ...payload, photo_urls, photo_meta };
+    const query = editingSpotId
+        ? supabase.from("spots").update(row).eq("id", editingSpotId)
+        : supabase.from("spots").insert(row);
+
+    const { data, error } = await query.select().single();
+    if (error) {
+        await removeUploadedPhotos(uploadedUrls);
+        return { data: null, error };
+    }
+    return { data: normalizeSpot(data), error: null };
+}
+
+// Queued photo files (from the offline outbox) are uploaded first and
+// appended to payload.photo_urls; if the review can't be saved they're
+// removed again.
+export async function saveReview(payload, photoFiles = []) {
+    if (photoFiles.length === 0) {
+        return supabase.from("reviews").insert(payload).select().single();
+    }
+
+    const upload = await uploadSpotPhotos(photoFiles);
+    if (upload.error) return { data: null, error: upload.error };
+
+    const row = {
+        ...payload,
+        photo_urls: [...(payload.photo_urls ?? []), ...upload.urls],
+        photo_meta: { ...payload.photo_meta, ...upload.meta },
+    };
+    const { data, error } = await supabase
+        .from("reviews")
+        .insert(row)
+        .select()
+        .single();
+    if (error) {
+        await removeUploadedPhotos(upload.urls);
+        return { data: null, error };
+    }
+    return { data, error: null };
+}
@@ -0,0 +1,53 @@
+// "Is this spot already on the map?" heuristics, by distance and name
+import { haversineDistanceKm } from "./geo";
+
+// Anything this close is almost certainly the same place
+const SAME_PLACE_KM = 0.15;
+
+// How far from a new pin we look for an existing spot with a similar name
+// or the same type. Deployments can tune it with VITE_DUPLICATE_RADIUS_M.
+export const DUPLICATE_RADIUS_KM =
+    Number(import.meta.env.VITE_DUPLICATE_RADIUS_M) / 1000 || 1;
+
+const STOP_WORDS = new Set(["the", "a", "of", "at", "near", "and"]);
+
+function nameTokens(name) {
+    return (name ?? "")
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word && !STOP_WORDS.has(word));
+}
+
+export function namesLookAlike(a, b) {
+    const aTokens = nameTokens(a);
+    const bTokens = new Set(nameTokens(b));
+    if (aTokens.length === 0 || bTokens.size === 0) return false;
+    const shared = aTokens.filter((word) => bTokens.has(word)).length;
+    return shared / Math.min(aTokens.length, bTokens.size) >= 0.5;
+}
+
+// Existing spots that likely describe the same place as `candidate`
+// ({ lat, lng, name?, spot_type? }), closest first.
+export function findSimilarSpots(
+    candidate,
+    spots,
+    { radiusKm = DUPLICATE_RADIUS_KM } = {}
+) {
+    return spots
+        .filter((spot) => spot.id !== candidate.id)
+        .map((spot) => ({
+            spot,
+            distanceKm: haversineDistanceKm(candidate, spot),
+        }))
+        .filter(
+            ({ spot, distanceKm }) =>
+                distanceKm <= SAME_PLACE_KM ||
+                (distanceKm <= radiusKm &&
+                    (namesLookAlike(candidate.name, spot.name) ||
+                        (!!candidate.spot_type &&
+                            candidate.spot_type === spot.spot_type)))
+        )
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+}
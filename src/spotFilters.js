@@ -0,0 +1,186 @@
+// Advanced spot filters (cell, safety, noise, bathrooms, rating, distance,
+// review recency, closed spots), their chip labels and localStorage
+// persistence.
+import { formatNoiseLevel } from "./spotFormat";
+
+const STORAGE_KEY = "nomad_safe_spots_filters";
+
+// Quietest first; legacy values map onto the closest current level
+export const NOISE_LEVELS = [
+    "silent",
+    "very_quiet",
+    "quiet",
+    "some_road",
+    "steady_noise",
+    "party",
+];
+
+const LEGACY_NOISE = {
+    some_road_noise: "some_road",
+    medium: "some_road",
+    noisy: "steady_noise",
+};
+
+export const DEFAULT_ADVANCED_FILTERS = {
+    minCell: 0,
+    minSafety: 0,
+    noiseLevels: [],
+    bathroomOnly: false,
+    minRating: 0,
+    maxDistanceKm: null,
+    reviewedWithinMonths: null,
+    // closed and out-of-season spots are hidden unless asked for
+    showClosed: false,
+};
+
+export function normalizeNoiseLevel(level) {
+    return LEGACY_NOISE[level] ?? level;
+}
+
+// e.g. "quiet" -> ["silent", "very_quiet", "quiet"]
+export function noiseLevelsUpTo(level) {
+    return NOISE_LEVELS.slice(0, NOISE_LEVELS.indexOf(level) + 1);
+}
+
+// Saved value for `key` if it has the right type, otherwise the default.
+// Nullable defaults (distance, recency) take a number or null.
+function savedFilterValue(key, value) {
+    const fallback = DEFAULT_ADVANCED_FILTERS[key];
+    if (key === "noiseLevels") {
+        if (!Array.isArray(value)) return fallback;
+        const levels = value.map(normalizeNoiseLevel);
+        return levels.every((level) => NOISE_LEVELS.includes(level))
+            ? Array.from(new Set(levels))
+            : fallback;
+    }
+    if (fallback === null) {
+        return value === null || Number.isFinite(value) ? value : fallback;
+    }
+    if (typeof fallback === "number") {
+        return Number.isFinite(value) ? value : fallback;
+    }
+    return typeof value === typeof fallback ? value : fallback;
+}
+
+export function loadSavedFilters() {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_KEY);
+        if (!raw) return DEFAULT_ADVANCED_FILTERS;
+        const saved = JSON.parse(raw);
+        if (saved === null || typeof saved !== "object") {
+            return DEFAULT_ADVANCED_FILTERS;
+        }
+        return Object.fromEntries(
+            Object.keys(DEFAULT_ADVANCED_FILTERS).map((key) => [
+                key,
+                savedFilterValue(key, saved[key]),
+            ])
+        );
+    } catch {
+        return DEFAULT_ADVANCED_FILTERS;
+    }
+}
+
+export function saveFilters(filters) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(filters));
+    } catch (err) {
+        console.warn("Error saving filters:", err);
+    }
+}
+
+function monthsAgo(months) {
+    const date = new Date();
+    date.setMonth(date.getMonth() - months);
+    return date;
+}
+
+// `spot` is a spotsWithStats row (avgRating, distanceKm, lastReviewAt,
+// attributes aggregated from recent reviews, closedNow)
+export function matchesAdvancedFilters(spot, filters) {
+    if (spot.closedNow && !filters.showClosed) return false;
+    const attributes = spot.attributes ?? spot;
+    if ((attributes.cell_signal ?? 0) < filters.minCell) return false;
+    if ((attributes.safety_rating ?? 0) < filters.minSafety) return false;
+    if (
+        filters.noiseLevels.length > 0 &&
+        !filters.noiseLevels.includes(
+            normalizeNoiseLevel(attributes.noise_level)
+        )
+    ) {
+        return false;
+    }
+    if (filters.bathroomOnly && !spot.has_bathroom) return false;
+    if (filters.minRating > 0 && (spot.avgRating ?? 0) < filters.minRating) {
+        return false;
+    }
+    // Distance is unknown until we have a location, so don't hide anything
+    if (
+        filters.maxDistanceKm != null &&
+        spot.distanceKm != null &&
+        spot.distanceKm > filters.maxDistanceKm
+    ) {
+        return false;
+    }
+    if (filters.reviewedWithinMonths != null) {
+        if (!spot.lastReviewAt) return false;
+        if (
+            new Date(spot.lastReviewAt) < monthsAgo(filters.reviewedWithinMonths)
+        ) {
+            return false;
+        }
+    }
+    return true;
+}
+
+export function activeFilterChips(filters) {
+    const chips = [];
+    if (filters.minCell > 0) {
+        chips.push({ key: "minCell", label: `📶 Cell ≥ ${filters.minCell}` });
+    }
+    if (filters.minSafety > 0) {
+        chips.push({
+            key: "minSafety",
+            label: `🛡️ Safety ≥ ${filters.minSafety}`,
+        });
+    }
+    if (filters.noiseLevels.length > 0) {
+        const loudest = NOISE_LEVELS.filter((l) =>
+            filters.noiseLevels.includes(l)
+        ).pop();
+        const isRange =
+            noiseLevelsUpTo(loudest).length === filters.noiseLevels.length;
+        chips.push({
+            key: "noiseLevels",
+            label: isRange
+                ? `🔇 ${formatNoiseLevel(loudest)} or quieter`
+                : `🔇 ${filters.noiseLevels.map(formatNoiseLevel).join(", ")}`,
+        });
+    }
+    if (filters.bathroomOnly) {
+        chips.push({ key: "bathroomOnly", label: "🚻 Bathrooms" });
+    }
+    if (filters.minRating > 0) {
+        chips.push({ key: "minRating", label: `★ ≥ ${filters.minRating}` });
+    }
+    if (filters.maxDistanceKm != null) {
+        chips.push({
+            key: "maxDistanceKm",
+            label: `📍 ≤ ${filters.maxDistanceKm} km away`,
+        });
+    }
+    if (filters.reviewedWithinMonths != null) {
+        chips.push({
+            key: "reviewedWithinMonths",
+            label: `🗓️ Reviewed in last ${filters.reviewedWithinMonths} mo`,
+        });
+    }
+    if (filters.showClosed) {
+        chips.push({ key: "showClosed", label: "⛔ Including closed" });
+    }
+    return chips;
+}
+
+export function clearFilter(filters, key) {
+    return { ...filters, [key]: DEFAULT_ADVANCED_FILTERS[key] };
+}
@@ -0,0 +1,66 @@
+// Display helpers for spot fields
+
+export const SPOT_TYPES = [
+    "forest_road",
+    "campground",
+    "store",
+    "rest_area",
+    "trailhead",
+    "other",
+];
+
+export function formatNoiseLevel(level) {
+    if (!level) return "Unknown";
+    switch (level) {
+        case "silent":
+            return "Silent";
+        case "very_quiet":
+            return "Very quiet";
+        case "quiet":
+            return "Quiet";
+        case "some_road":
+        case "some_road_noise":
+            return "Some road noise";
+        case "steady_noise":
+            return "Loud but steady";
+        case "party":
+            return "Party / unpredictable";
+        case "medium": // legacy
+            return "Medium";
+        case "noisy":
+            return "Noisy";
+        default:
+            return level;
+    }
+}
+
+export function getSpotTypeIcon(type) {
+    switch (type) {
+        case "forest_road":
+            return "🌲";
+        case "campground":
+            return "🏕️";
+        case "store":
+            return "🛒";
+        case "rest_area":
+            return "🛣️";
+        case "trailhead":
+            return "🥾";
+        case "other":
+        default:
+            return "📍";
+    }
+}
+
+// "today", "3 days ago", "2 months ago"… for review / confirmation dates
+export function formatTimeAgo(iso, now = Date.now()) {
+    if (!iso) return "never";
+    const days = Math.floor((now - new Date(iso).getTime()) / 86400000);
+    if (days < 1) return "today";
+    if (days < 2) return "yesterday";
+    if (days < 14) return `${days} days ago`;
+    if (days < 60) return `${Math.round(days / 7)} weeks ago`;
+    if (days < 365) return `${Math.round(days / 30)} months ago`;
+    const years = Math.round(days / 365);
+    return years === 1 ? "a year ago" : `${years} years ago`;
+}
@@ -0,0 +1,123 @@
+// Spot revision history: fetching, field-level diffs and revert payloads
+import { normalizePhotoUrls } from "./spotData";
+import { formatNoiseLevel, getSpotTypeIcon } from "./spotFormat";
+import { formatSpotStatus } from "./spotStatus";
+import { supabase } from "./supabaseClient";
+
+// Columns a revert writes back (everything a spot edit can change)
+const EDITABLE_FIELDS = [
+    "name",
+    "description",
+    "lat",
+    "lng",
+    "overnight_allowed",
+    "has_bathroom",
+    "cell_signal",
+    "noise_level",
+    "safety_rating",
+    "spot_type",
+    "photo_urls",
+    "photo_meta",
+    "status",
+    "open_months",
+    "closure_reason",
+];
+
+function yesNo(value) {
+    return value ? "Yes" : "No";
+}
+
+const HISTORY_FIELDS = [
+    { key: "name", label: "Name", format: (s) => s.name || "—" },
+    {
+        key: "coordinates",
+        label: "Coordinates",
+        format: (s) =>
+            `${Number(s.lat).toFixed(5)}, ${Number(s.lng).toFixed(5)}`,
+    },
+    {
+        key: "spot_type",
+        label: "Type",
+        format: (s) =>
+            `${getSpotTypeIcon(s.spot_type)} ${s.spot_type || "other"}`,
+    },
+    {
+        key: "overnight_allowed",
+        label: "Overnight allowed",
+        format: (s) => yesNo(s.overnight_allowed),
+    },
+    {
+        key: "safety_rating",
+        label: "Safety",
+        format: (s) => `${s.safety_rating ?? 0}/5`,
+    },
+    {
+        key: "cell_signal",
+        label: "Cell signal",
+        format: (s) => `${s.cell_signal ?? 0}/5`,
+    },
+    {
+        key: "noise_level",
+        label: "Noise",
+        format: (s) => formatNoiseLevel(s.noise_level),
+    },
+    {
+        key: "status",
+        label: "Status",
+        format: (s) =>
+            `${formatSpotStatus(s.status ?? "open", s.open_months)}${s.closure_reason ? ` (${s.closure_reason})` : ""
+            }`,
+    },
+    {
+        key: "has_bathroom",
+        label: "Bathrooms",
+        format: (s) => yesNo(s.has_bathroom),
+    },
+    {
+        key: "description",
+        label: "Description",
+        format: (s) => s.description || "—",
+    },
+];
+
+export async function fetchSpotRevisions(spotId) {
+    const { data, error } = await supabase
+        .from("spot_revisions")
+        .select("id, spot_id, action, snapshot, edited_by, created_at")
+        .eq("spot_id", spotId)
+        .order("created_at", { ascending: false });
+
+    if (error) return { data: [], error };
+    return { data: data ?? [], error: null };
+}
+
+// Field-level changes going from `before` to `after` (both snapshots).
+// Photos come back as added / removed URL lists instead of before / after.
+export function diffSnapshots(before, after) {
+    const changes = [];
+
+    for (const field of HISTORY_FIELDS) {
+        const from = field.format(before);
+        const to = field.format(after);
+        if (from !== to) {
+            changes.push({ key: field.key, label: field.label, from, to });
+        }
+    }
+
+    const beforePhotos = normalizePhotoUrls(before.photo_urls);
+    const afterPhotos = normalizePhotoUrls(after.photo_urls);
+    const added = afterPhotos.filter((url) => !beforePhotos.includes(url));
+    const removed = beforePhotos.filter((url) => !afterPhotos.includes(url));
+    if (added.length > 0 || removed.length > 0) {
+        changes.push({ key: "photo_urls", label: "Photos", added, removed });
+    }
+
+    return changes;
+}
+
+export function snapshotToSpotPayload(snapshot) {
+    const payload = {};
+    for (const key of EDITABLE_FIELDS) payload[key] = snapshot[key];
+    payload.photo_urls = normalizePhotoUrls(snapshot.photo_urls);
+    return payload;
+}
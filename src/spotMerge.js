@@ -0,0 +1,15 @@
+// Moderator tool: fold a duplicate spot into the one we keep. The merge
+// runs server-side in one transaction (merge_spots), so it can't be left
+// half done.
+import { normalizeSpot, SPOT_COLUMNS } from "./spotData";
+import { supabase } from "./supabaseClient";
+
+export async function mergeSpots(keep, duplicate) {
+    const { data, error } = await supabase
+        .rpc("merge_spots", { keep_id: keep.id, duplicate_id: duplicate.id })
+        .select(SPOT_COLUMNS)
+        .single();
+    if (error) return { data: null, error };
+
+    return { data: normalizeSpot(data), error: null };
+}
@@ -0,0 +1,166 @@
+// Text search over spots: server-side full-text for anything outside the
+// loaded area, then ranking + highlighting on the client.
+import { fetchReviewsForSpots, normalizeSpot, SPOT_COLUMNS } from "./spotData";
+import { supabase } from "./supabaseClient";
+
+const REMOTE_LIMIT = 25;
+const FIELD_WEIGHTS = { name: 6, description: 2, review: 1 };
+
+export function searchTerms(query) {
+    return query
+        .toLowerCase()
+        .split(/\s+/)
+        .map((t) => t.replace(/[^\p{L}\p{N}'-]/gu, ""))
+        .filter((t) => t.length > 1);
+}
+
+function countMatches(text, term) {
+    if (!text) return 0;
+    const haystack = text.toLowerCase();
+    let count = 0;
+    let idx = haystack.indexOf(term);
+    while (idx !== -1) {
+        count += 1;
+        idx = haystack.indexOf(term, idx + term.length);
+    }
+    return count;
+}
+
+// Short excerpt centred on the first matching term
+export function snippetAround(text, terms, radius = 45) {
+    if (!text) return "";
+    const lower = text.toLowerCase();
+    const hit = terms
+        .map((t) => lower.indexOf(t))
+        .filter((i) => i !== -1)
+        .sort((a, b) => a - b)[0];
+    if (hit == null || text.length <= radius * 2) return text;
+
+    const start = Math.max(hit - radius, 0);
+    const end = Math.min(hit + radius, text.length);
+    const prefix = start > 0 ? "…" : "";
+    const suffix = end < text.length ? "…" : "";
+    return `${prefix}${text.slice(start, end)}${suffix}`;
+}
+
+// Splits text into [{ text, match }] pieces for rendering <mark>s
+export function highlightParts(text, terms) {
+    if (!text || terms.length === 0) {
+        return [{ text: text ?? "", match: false }];
+    }
+    const escaped = terms.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    const re = new RegExp(`(${escaped.join("|")})`, "gi");
+    return text
+        .split(re)
+        .filter(Boolean)
+        .map((piece) => ({
+            text: piece,
+            match: terms.includes(piece.toLowerCase()),
+        }));
+}
+
+// Every term has to appear somewhere (name, description or a review).
+// Name hits weigh most, a name starting with the query gets a bonus.
+export function rankSpots(spots, reviewsBySpotId, query) {
+    const terms = searchTerms(query);
+    if (terms.length === 0) return [];
+
+    const results = [];
+    for (const spot of spots) {
+        const reviews = reviewsBySpotId.get(spot.id) ?? [];
+        let score = 0;
+        let allTermsFound = true;
+        let matchedReview = null;
+
+        for (const term of terms) {
+            const inName = countMatches(spot.name, term);
+            const inDescription = countMatches(spot.description, term);
+            let inReviews = 0;
+            for (const review of reviews) {
+                const n = countMatches(review.comment, term);
+                if (n > 0 && !matchedReview) matchedReview = review;
+                inReviews += n;
+            }
+
+            if (inName + inDescription + inReviews === 0) {
+                allTermsFound = false;
+                break;
+            }
+            score +=
+                inName * FIELD_WEIGHTS.name +
+                inDescription * FIELD_WEIGHTS.description +
+                Math.min(inReviews, 5) * FIELD_WEIGHTS.review;
+        }
+
+        if (!allTermsFound) continue;
+        if ((spot.name || "").toLowerCase().startsWith(terms[0])) score += 4;
+
+        const descriptionHit = terms.some(
+            (t) => countMatches(spot.description, t) > 0
+        );
+        results.push({
+            spot,
+            score,
+            terms,
+            snippet: descriptionHit
+                ? snippetAround(spot.description, terms)
+                : matchedReview
+                    ? `“${snippetAround(matchedReview.comment, terms)}”`
+                    : "",
+        });
+    }
+
+    return results.sort(
+        (a, b) =>
+            b.score - a.score ||
+            (a.spot.distanceKm ?? Infinity) - (b.spot.distanceKm ?? Infinity)
+    );
+}
+
+// Spots matching the query anywhere (not just the loaded map area)
+export async function searchSpotsRemote(query) {
+    const options = { type: "websearch", config: "english" };
+
+    const [spotsRes, reviewsRes] = await Promise.all([
+        supabase
+            .from("spots")
+            .select(SPOT_COLUMNS)
+            .textSearch("search_tsv", query, options)
+            .limit(REMOTE_LIMIT),
+        supabase
+            .from("reviews")
+            .select("spot_id")
+            .textSearch("search_tsv", query, options)
+            .limit(REMOTE_LIMIT),
+    ]);
+
+    if (spotsRes.error) {
+        return { spots: [], reviews: [], error: spotsRes.error };
+    }
+    if (reviewsRes.error) {
+        return { spots: [], reviews: [], error: reviewsRes.error };
+    }
+
+    const spots = (spotsRes.data ?? []).map(normalizeSpot);
+    const knownIds = new Set(spots.map((s) => s.id));
+    const extraIds = [
+        ...new Set((reviewsRes.data ?? []).map((r) => r.spot_id)),
+    ].filter((id) => !knownIds.has(id));
+
+    if (extraIds.length > 0) {
+        const extraRes = await supabase
+            .from("spots")
+            .select(SPOT_COLUMNS)
+            .in("id", extraIds);
+        if (extraRes.error) {
+            return { spots: [], reviews: [], error: extraRes.error };
+        }
+        spots.push(...(extraRes.data ?? []).map(normalizeSpot));
+    }
+
+    // Reviews are needed for stats and for matching comments locally
+    const { reviews, error } = await fetchReviewsForSpots(
+        spots.map((s) => s.id)
+    );
+    return { spots, reviews, error };
+}
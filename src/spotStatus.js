@@ -0,0 +1,112 @@
+// Spot lifecycle: open, seasonal (open only in some months), temporarily
+// or permanently closed. Changes are proposed through reviews and reports
+// and applied by a moderator or by enough matching reports.
+
+export const SPOT_STATUSES = [
+    { key: "open", label: "Open", icon: "✅" },
+    { key: "seasonal", label: "Seasonal", icon: "🍂" },
+    { key: "temporarily_closed", label: "Temporarily closed", icon: "🚧" },
+    { key: "permanently_closed", label: "Permanently closed", icon: "⛔" },
+];
+
+export const MONTH_LABELS = [
+    "Jan",
+    "Feb",
+    "Mar",
+    "Apr",
+    "May",
+    "Jun",
+    "Jul",
+    "Aug",
+    "Sep",
+    "Oct",
+    "Nov",
+    "Dec",
+];
+
+// Matches the trigger in the spot_status migration
+export const STATUS_CONFIRMATIONS = 3;
+
+export function spotStatusInfo(key) {
+    return SPOT_STATUSES.find((s) => s.key === key) ?? SPOT_STATUSES[0];
+}
+
+// Validates status fields from a form. An empty status means "no change"
+// (reviews and reports). Returns { fields: { status, open_months,
+// closure_reason } } or { error }.
+export function buildStatusFields({ status, openMonths, closureReason }) {
+    if (status === "seasonal" && !(openMonths?.length > 0)) {
+        return { error: "Pick the months this spot is open." };
+    }
+    return {
+        fields: {
+            status: status || null,
+            open_months:
+                status === "seasonal"
+                    ? [...openMonths].sort((a, b) => a - b)
+                    : null,
+            closure_reason:
+                status && status !== "open"
+                    ? closureReason?.trim() || null
+                    : null,
+        },
+    };
+}
+
+// Closed right now: closed outright, or seasonal and out of season.
+// A seasonal spot without months listed is treated as open.
+export function isClosedNow(spot, date = new Date()) {
+    switch (spot.status) {
+        case "temporarily_closed":
+        case "permanently_closed":
+            return true;
+        case "seasonal":
+            return (
+                (spot.open_months ?? []).length > 0 &&
+                !spot.open_months.includes(date.getMonth() + 1)
+            );
+        default:
+            return false;
+    }
+}
+
+// [5, 6, 7, 8, 9, 10] -> "May–Oct"; [11, 12, 1, 2] -> "Nov–Feb"
+export function formatOpenMonths(months) {
+    if (!months || months.length === 0) return "";
+    const set = new Set(months);
+    if (set.size === 12) return "all year";
+
+    // Walk the calendar from a closed month so wrapped ranges stay whole
+    const start = [...Array(12).keys()].find((i) => !set.has(i + 1));
+    const ranges = [];
+    let run = null;
+    for (let step = 1; step <= 12; step += 1) {
+        const month = ((start + step) % 12) + 1;
+        if (set.has(month)) {
+            if (run) run.end = month;
+            else run = { start: month, end: month };
+        } else if (run) {
+            ranges.push(run);
+            run = null;
+        }
+    }
+    if (run) ranges.push(run);
+
+    // Calendar order, with a range that wraps the new year first
+    const sortKey = (r) => (r.start > r.end ? r.start - 12 : r.start);
+    return ranges
+        .sort((a, b) => sortKey(a) - sortKey(b))
+        .map(({ start: from, end }) =>
+            from === end
+                ? MONTH_LABELS[from - 1]
+                : `${MONTH_LABELS[from - 1]}–${MONTH_LABELS[end - 1]}`
+        )
+        .join(", ");
+}
+
+// "🍂 Seasonal · open May–Oct", "⛔ Permanently closed"
+export function formatSpotStatus(status, openMonths) {
+    const info = spotStatusInfo(status);
+    const months = status === "seasonal" ? formatOpenMonths(openMonths) : "";
+    return `${info.icon} ${info.label}${months ? ` · open ${months}` : ""}`;
+}
@@ -0,0 +1,284 @@
+// Spot import/export as GeoJSON, GPX waypoints and KML placemarks
+import { hasValidCoordinates, toCoordinate } from "./geo";
+import { NOISE_LEVELS } from "./spotFilters";
+import { formatNoiseLevel, SPOT_TYPES } from "./spotFormat";
+
+export const EXPORT_FORMATS = {
+    geojson: { label: "GeoJSON", ext: "geojson", mime: "application/geo+json" },
+    gpx: { label: "GPX", ext: "gpx", mime: "application/gpx+xml" },
+    kml: {
+        label: "KML",
+        ext: "kml",
+        mime: "application/vnd.google-earth.kml+xml",
+    },
+};
+
+// Fields we write as properties / ExtendedData and read back on import
+function spotProperties(spot) {
+    return {
+        id: spot.id,
+        name: spot.name,
+        description: spot.description ?? "",
+        spot_type: spot.spot_type,
+        overnight_allowed: !!spot.overnight_allowed,
+        has_bathroom: !!spot.has_bathroom,
+        cell_signal: spot.cell_signal,
+        safety_rating: spot.safety_rating,
+        noise_level: spot.noise_level,
+        avg_rating:
+            spot.avgRating != null ? Number(spot.avgRating.toFixed(2)) : null,
+        review_count: spot.reviewCount ?? 0,
+    };
+}
+
+// One-line human summary for formats without structured fields
+function spotSummary(spot) {
+    const parts = [
+        spot.overnight_allowed ? "Overnight OK" : "Overnight unclear",
+        `Safety ${spot.safety_rating ?? "?"}/5`,
+        `Cell ${spot.cell_signal ?? "?"}/5`,
+        `Noise: ${formatNoiseLevel(spot.noise_level)}`,
+    ];
+    if (spot.avgRating != null) {
+        parts.push(`★ ${spot.avgRating.toFixed(1)} (${spot.reviewCount})`);
+    }
+    return parts.join(" · ");
+}
+
+function escapeXml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function toGeoJson(spots) {
+    return JSON.stringify(
+        {
+            type: "FeatureCollection",
+            features: spots.map((spot) => ({
+                type: "Feature",
+                geometry: { type: "Point", coordinates: [spot.lng, spot.lat] },
+                properties: spotProperties(spot),
+            })),
+        },
+        null,
+        2
+    );
+}
+
+// <desc> stays the plain description so it round-trips; the summary
+// goes in <cmt> and the structured fields in <extensions>
+const GPX_EXTENSIONS_NS = "urn:nomad-safe-spots:gpx";
+
+function toGpx(spots) {
+    const waypoints = spots.map((spot) => {
+        const fields = Object.entries(spotProperties(spot))
+            .filter(
+                ([key, value]) =>
+                    key !== "name" && key !== "description" && value != null
+            )
+            .map(
+                ([key, value]) =>
+                    `      <nss:${key}>${escapeXml(value)}</nss:${key}>`
+            );
+        return `  <wpt lat="${spot.lat}" lon="${spot.lng}">
+    <name>${escapeXml(spot.name)}</name>
+    <cmt>${escapeXml(spotSummary(spot))}</cmt>
+    <desc>${escapeXml(spot.description ?? "")}</desc>
+    <type>${escapeXml(spot.spot_type)}</type>
+    <extensions>
+${fields.join("\n")}
+    </extensions>
+  </wpt>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Nomad Safe Spots" xmlns="http://www.topografix.com/GPX/1/1" xmlns:nss="${GPX_EXTENSIONS_NS}">
+${waypoints.join("\n")}
+</gpx>
+`;
+}
+
+function toKml(spots, title) {
+    const placemarks = spots.map((spot) => {
+        const data = Object.entries(spotProperties(spot))
+            .filter(([key, value]) => key !== "name" && value != null)
+            .map(
+                ([key, value]) =>
+                    `        <Data name="${key}"><value>${escapeXml(
+                        value
+                    )}</value></Data>`
+            );
+        return `    <Placemark>
+      <name>${escapeXml(spot.name)}</name>
+      <description>${escapeXml(
+        [spot.description, spotSummary(spot)].filter(Boolean).join("\n\n")
+    )}</description>
+      <ExtendedData>
+${data.join("\n")}
+      </ExtendedData>
+      <Point><coordinates>${spot.lng},${spot.lat}</coordinates></Point>
+    </Placemark>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(title)}</name>
+${placemarks.join("\n")}
+  </Document>
+</kml>
+`;
+}
+
+export function exportSpots(spots, format, title = "Nomad Safe Spots") {
+    switch (format) {
+        case "gpx":
+            return toGpx(spots);
+        case "kml":
+            return toKml(spots, title);
+        case "geojson":
+        default:
+            return toGeoJson(spots);
+    }
+}
+
+export function downloadTextFile(filename, content, mime) {
+    const blob = new Blob([content], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function toBool(value) {
+    return value === true || value === "true" || value === "1";
+}
+
+// Map whatever a file gave us onto the add-spot form's field names.
+// Missing fields are left out so the form defaults apply.
+function formFieldsFromProperties(props) {
+    const fields = {};
+    if (props.description) fields.description = String(props.description);
+    if (SPOT_TYPES.includes(props.spot_type ?? props.type)) {
+        fields.spotType = props.spot_type ?? props.type;
+    } else if (props.spot_type ?? props.type) {
+        fields.spotType = "other";
+    }
+    if (props.overnight_allowed != null) {
+        fields.overnightAllowed = toBool(props.overnight_allowed);
+    }
+    if (props.has_bathroom != null) {
+        fields.hasBathroom = toBool(props.has_bathroom);
+    }
+    if (props.cell_signal != null) fields.cellSignal = props.cell_signal;
+    if (props.safety_rating != null) {
+        fields.safetyRating = props.safety_rating;
+    }
+    if (NOISE_LEVELS.includes(props.noise_level)) {
+        fields.noiseLevel = props.noise_level;
+    }
+    return fields;
+}
+
+function childText(el, tag) {
+    return el.getElementsByTagName(tag)[0]?.textContent?.trim() ?? "";
+}
+
+function parseGeoJson(data) {
+    const features =
+        data.type === "FeatureCollection"
+            ? data.features
+            : data.type === "Feature"
+                ? [data]
+                : [];
+    return features
+        .filter((f) => f?.geometry?.type === "Point")
+        .map((f) => {
+            const [lng, lat] = f.geometry.coordinates ?? [];
+            const props = f.properties ?? {};
+            return {
+                name: String(props.name ?? props.title ?? ""),
+                lat: toCoordinate(lat),
+                lng: toCoordinate(lng),
+                ...formFieldsFromProperties(props),
+            };
+        });
+}
+
+function parseGpx(doc) {
+    return [...doc.getElementsByTagName("wpt")].map((wpt) => {
+        const props = {
+            description: childText(wpt, "desc"),
+            type: childText(wpt, "type"),
+        };
+        // Our own export's fields; other apps' extensions are ignored
+        for (const field of wpt.getElementsByTagNameNS(
+            GPX_EXTENSIONS_NS,
+            "*"
+        )) {
+            props[field.localName] = field.textContent.trim();
+        }
+        return {
+            name: childText(wpt, "name"),
+            lat: toCoordinate(wpt.getAttribute("lat")),
+            lng: toCoordinate(wpt.getAttribute("lon")),
+            ...formFieldsFromProperties(props),
+        };
+    });
+}
+
+function parseKml(doc) {
+    return [...doc.getElementsByTagName("Placemark")]
+        .map((placemark) => {
+            const point = placemark.getElementsByTagName("Point")[0];
+            if (!point) return null;
+            const [lng, lat] = childText(point, "coordinates")
+                .split(",")
+                .map(toCoordinate);
+
+            const props = { description: childText(placemark, "description") };
+            for (const data of placemark.getElementsByTagName("Data")) {
+                props[data.getAttribute("name")] = childText(data, "value");
+            }
+            return {
+                name: childText(placemark, "name"),
+                lat,
+                lng,
+                ...formFieldsFromProperties(props),
+            };
+        })
+        .filter(Boolean);
+}
+
+// Returns { points: [{ name, lat, lng, ...form fields }], skipped } or
+// throws. `skipped` counts points without usable coordinates.
+export function parseSpotsFile(text) {
+    const trimmed = text.trim();
+    let points;
+
+    if (trimmed.startsWith("{")) {
+        points = parseGeoJson(JSON.parse(trimmed));
+    } else if (trimmed.startsWith("<")) {
+        const doc = new DOMParser().parseFromString(trimmed, "application/xml");
+        if (doc.getElementsByTagName("parsererror").length > 0) {
+            throw new Error("That file isn't valid XML.");
+        }
+        points = doc.getElementsByTagName("kml").length
+            ? parseKml(doc)
+            : parseGpx(doc);
+    } else {
+        throw new Error("Use a GeoJSON, GPX or KML file.");
+    }
+
+    if (points.length === 0) throw new Error("No points found in that file.");
+    const valid = points.filter(hasValidCoordinates);
+    if (valid.length === 0) {
+        throw new Error(
+            "None of the points in that file have valid coordinates."
+        );
+    }
+    return { points: valid, skipped: points.length - valid.length };
+}
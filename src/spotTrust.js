@@ -0,0 +1,69 @@
+// Trust score: a recency-weighted mix of review ratings and the spot's
+// own safety_rating, plus when the spot was last confirmed by anyone
+// (added, reviewed or checked in at).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A review counts half as much every HALF_LIFE_DAYS
+const HALF_LIFE_DAYS = 180;
+// Old input never drops out entirely, so a spot with only old reviews
+// still gets a score
+const MIN_WEIGHT = 0.05;
+// The poster's safety_rating counts like one review from the day the spot
+// was added
+const SAFETY_RATING_WEIGHT = 1;
+
+// Not confirmed for this long and the spot is flagged stale
+export const STALE_AFTER_DAYS = 365;
+
+export function recencyWeight(iso, now = Date.now()) {
+    if (!iso) return MIN_WEIGHT;
+    const ageDays = Math.max(0, (now - new Date(iso).getTime()) / DAY_MS);
+    return Math.max(0.5 ** (ageDays / HALF_LIFE_DAYS), MIN_WEIGHT);
+}
+
+function latestDate(dates) {
+    return dates.reduce(
+        (latest, date) => (date && (!latest || date > latest) ? date : latest),
+        null
+    );
+}
+
+// `reviews` are the spot's visible reviews (with an optional authorWeight
+// from the author's reputation), `checkins` its check-in stats.
+// Returns { trustScore (1–5 or null when there's nothing to go on),
+// lastConfirmedAt, stale }.
+export function spotTrust(spot, reviews, checkins = null, now = Date.now()) {
+    let total = 0;
+    let weights = 0;
+
+    for (const review of reviews) {
+        if (!review.rating) continue;
+        const weight =
+            recencyWeight(review.created_at, now) * (review.authorWeight ?? 1);
+        total += review.rating * weight;
+        weights += weight;
+    }
+
+    if (spot.safety_rating >= 1) {
+        const weight =
+            SAFETY_RATING_WEIGHT * recencyWeight(spot.created_at, now);
+        total += spot.safety_rating * weight;
+        weights += weight;
+    }
+
+    const lastConfirmedAt = latestDate([
+        spot.created_at,
+        ...reviews.map((r) => r.created_at),
+        checkins?.lastConfirmedOn && `${checkins.lastConfirmedOn}T12:00:00`,
+    ]);
+    const stale =
+        !lastConfirmedAt ||
+        now - new Date(lastConfirmedAt).getTime() > STALE_AFTER_DAYS * DAY_MS;
+
+    return {
+        trustScore: weights > 0 ? total / weights : null,
+        lastConfirmedAt,
+        stale,
+    };
+}
@@ -0,0 +1,197 @@
+// Trips: ordered spot stops with a planned night each. Stored in
+// localStorage for everyone (per account, see accountStorage) and
+// mirrored to Supabase when signed in.
+import { accountStorageKey } from "./accountStorage";
+import { haversineDistanceKm } from "./geo";
+import { supabase } from "./supabaseClient";
+
+export const TRIPS_STORAGE_KEY = "nomad_safe_spots_trips";
+const KM_PER_MILE = 1.609344;
+
+export function kmToMiles(km) {
+    return km / KM_PER_MILE;
+}
+
+export function createTrip(name) {
+    return {
+        id: crypto.randomUUID(),
+        name,
+        stops: [],
+        updated_at: new Date().toISOString(),
+    };
+}
+
+export function stopFromSpot(spot, nightDate = "") {
+    return {
+        spotId: spot.id,
+        name: spot.name,
+        lat: spot.lat,
+        lng: spot.lng,
+        spotType: spot.spot_type,
+        nightDate,
+    };
+}
+
+// The night after the last dated stop, so new stops fill in in order
+function nextNightDate(stops) {
+    const last = [...stops].reverse().find((stop) => stop.nightDate);
+    if (!last) return "";
+    const date = new Date(`${last.nightDate}T12:00:00`);
+    date.setDate(date.getDate() + 1);
+    return date.toISOString().slice(0, 10);
+}
+
+export function appendStop(trip, spot) {
+    return {
+        ...trip,
+        stops: [...trip.stops, stopFromSpot(spot, nextNightDate(trip.stops))],
+    };
+}
+
+export function loadLocalTrips(userId = null) {
+    try {
+        const raw = window.localStorage.getItem(
+            accountStorageKey(TRIPS_STORAGE_KEY, userId)
+        );
+        return raw ? JSON.parse(raw) : [];
+    } catch {
+        return [];
+    }
+}
+
+export function saveLocalTrips(trips, userId = null) {
+    try {
+        window.localStorage.setItem(
+            accountStorageKey(TRIPS_STORAGE_KEY, userId),
+            JSON.stringify(trips)
+        );
+    } catch (err) {
+        console.warn("Error saving trips:", err);
+    }
+}
+
+export async function fetchTrips(userId) {
+    const { data, error } = await supabase
+        .from("trips")
+        .select("id, name, stops, updated_at")
+        .eq("user_id", userId)
+        .order("created_at", { ascending: true });
+
+    if (error) return { data: [], error };
+    return { data: data ?? [], error: null };
+}
+
+export async function upsertTrips(trips, userId) {
+    if (trips.length === 0) return { error: null };
+    const { error } = await supabase.from("trips").upsert(
+        trips.map((trip) => ({
+            id: trip.id,
+            user_id: userId,
+            name: trip.name,
+            stops: trip.stops,
+            updated_at: trip.updated_at,
+        }))
+    );
+    return { error };
+}
+
+export async function deleteRemoteTrip(id) {
+    const { error } = await supabase.from("trips").delete().eq("id", id);
+    return { error };
+}
+
+// Newest copy of each trip wins. A local trip the server doesn't have is
+// only kept if it never reached it (`unsyncedIds`; null when merging in
+// signed-out trips, which are all new) – otherwise it was deleted on
+// another device. `toUpload` are the local trips the server needs.
+export function mergeTrips(localTrips, remoteTrips, unsyncedIds = null) {
+    const byId = new Map(remoteTrips.map((t) => [t.id, t]));
+    const toUpload = [];
+    for (const trip of localTrips) {
+        const remote = byId.get(trip.id);
+        const keep = remote
+            ? trip.updated_at > remote.updated_at
+            : !unsyncedIds || unsyncedIds.has(trip.id);
+        if (keep) {
+            byId.set(trip.id, trip);
+            toUpload.push(trip);
+        }
+    }
+    return { trips: Array.from(byId.values()), toUpload };
+}
+
+export function tripLegs(trip) {
+    const legs = [];
+    for (let i = 1; i < trip.stops.length; i++) {
+        legs.push(haversineDistanceKm(trip.stops[i - 1], trip.stops[i]));
+    }
+    return {
+        legs,
+        totalKm: legs.reduce((sum, km) => sum + km, 0),
+    };
+}
+
+function escapeHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function formatNight(nightDate) {
+    if (!nightDate) return "Date not set";
+    return new Date(`${nightDate}T12:00:00`).toLocaleDateString(undefined, {
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+    });
+}
+
+// Self-contained HTML page: print it, or save it for offline reference
+export function tripSummaryHtml(trip) {
+    const { legs, totalKm } = tripLegs(trip);
+    const rows = trip.stops
+        .map((stop, i) => {
+            const leg =
+                i > 0
+                    ? `${legs[i - 1].toFixed(0)} km / ${kmToMiles(
+                        legs[i - 1]
+                    ).toFixed(0)} mi from previous`
+                    : "Start";
+            return `<tr>
+<td>${i + 1}</td>
+<td>${escapeHtml(formatNight(stop.nightDate))}</td>
+<td><strong>${escapeHtml(stop.name)}</strong><br><small>${stop.lat.toFixed(5)}, ${stop.lng.toFixed(5)}</small></td>
+<td>${leg}</td>
+</tr>`;
+        })
+        .join("\n");
+
+    return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(trip.name)} – Nomad Safe Spots</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #111827; }
+table { border-collapse: collapse; width: 100%; }
+td, th { border-bottom: 1px solid #e5e7eb; padding: 0.5rem; text-align: left; vertical-align: top; }
+small { color: #6b7280; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(trip.name)}</h1>
+<p>${trip.stops.length} nights · ${totalKm.toFixed(0)} km (${kmToMiles(
+        totalKm
+    ).toFixed(0)} mi) straight-line total</p>
+<table>
+<thead><tr><th>#</th><th>Night</th><th>Spot</th><th>Leg</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+<p><small>Exported ${escapeHtml(new Date().toLocaleString())} from Nomad Safe Spots.</small></p>
+</body>
+</html>`;
+}
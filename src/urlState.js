@@ -0,0 +1,56 @@
+// Shareable view state in the query string:
+// ?spot=<id>&lat=..&lng=..&z=..&type=..&overnight=1&layer=streets
+const MAP_LAYERS = ["satellite", "streets"];
+const DEFAULT_LAYER = "satellite";
+
+export function readUrlState(search = window.location.search) {
+    const params = new URLSearchParams(search);
+
+    const lat = parseFloat(params.get("lat"));
+    const lng = parseFloat(params.get("lng"));
+    const zoom = parseInt(params.get("z"), 10);
+    const hasView =
+        Number.isFinite(lat) &&
+        Number.isFinite(lng) &&
+        Math.abs(lat) <= 90 &&
+        Math.abs(lng) <= 180;
+
+    const layer = params.get("layer");
+
+    return {
+        spotId: params.get("spot") || null,
+        view: hasView
+            ? { lat, lng, zoom: Number.isFinite(zoom) ? zoom : 12 }
+            : null,
+        filterType: params.get("type") || "any",
+        filterOvernightOnly: params.get("overnight") === "1",
+        mapLayer: MAP_LAYERS.includes(layer) ? layer : DEFAULT_LAYER,
+    };
+}
+
+// Defaults are left out so plain links stay short
+export function buildUrlSearch({
+    spotId,
+    view,
+    filterType,
+    filterOvernightOnly,
+    mapLayer,
+}) {
+    const params = new URLSearchParams();
+    if (spotId) params.set("spot", spotId);
+    if (view) {
+        params.set("lat", view.lat.toFixed(5));
+        params.set("lng", view.lng.toFixed(5));
+        params.set("z", String(Math.round(view.zoom)));
+    }
+    if (filterType && filterType !== "any") params.set("type", filterType);
+    if (filterOvernightOnly) params.set("overnight", "1");
+    if (mapLayer && mapLayer !== DEFAULT_LAYER) params.set("layer", mapLayer);
+
+    const query = params.toString();
+    return query ? `?${query}` : "";
+}
+
+export function urlWithSearch(search) {
+    return `${window.location.origin}${window.location.pathname}${search}`;
+}
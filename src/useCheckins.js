@@ -0,0 +1,82 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+import {
+    EMPTY_CHECKIN_STATS,
+    fetchCheckinStats,
+    fetchMyCheckins,
+} from "./checkins";
+
+// Check-in totals for the spots we have loaded, plus the signed-in user's
+// own check-ins (their travel log). Stats are fetched once per spot id.
+export function useCheckins(userId, spotIds) {
+    const [stats, setStats] = useState(() => new Map());
+    const [log, setLog] = useState({ userId: null, checkins: [] });
+    const [error, setError] = useState("");
+    const requestedRef = useRef(new Set());
+
+    const loadStats = useCallback(async (ids) => {
+        const { data, error: statsError } = await fetchCheckinStats(ids);
+        if (statsError) {
+            console.error(statsError);
+            // let the next viewport load try again
+            for (const id of ids) requestedRef.current.delete(id);
+            return;
+        }
+        setStats((prev) => {
+            const next = new Map(prev);
+            for (const id of ids) {
+                next.set(id, data.get(id) ?? EMPTY_CHECKIN_STATS);
+            }
+            return next;
+        });
+    }, []);
+
+    useEffect(() => {
+        const missing = spotIds.filter((id) => !requestedRef.current.has(id));
+        if (missing.length === 0) return;
+        for (const id of missing) requestedRef.current.add(id);
+        loadStats(missing);
+    }, [spotIds, loadStats]);
+
+    useEffect(() => {
+        if (!userId) return;
+        let cancelled = false;
+
+        fetchMyCheckins(userId).then(({ data, error: logError }) => {
+            if (cancelled) return;
+            if (logError) {
+                console.error(logError);
+                setError("Couldn't load your travel log.");
+                return;
+            }
+            setError("");
+            setLog({ userId, checkins: data });
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [userId]);
+
+    // A check-in was saved (directly or from the offline outbox)
+    const addCheckin = useCallback(
+        (saved) => {
+            setLog((prev) => ({
+                ...prev,
+                checkins: [
+                    saved,
+                    ...prev.checkins.filter((c) => c.id !== saved.id),
+                ].sort((a, b) => b.stayed_on.localeCompare(a.stayed_on)),
+            }));
+            loadStats([saved.spot_id]);
+        },
+        [loadStats]
+    );
+
+    return {
+        checkinStats: stats,
+        myCheckins: log.userId === userId ? log.checkins : [],
+        addCheckin,
+        checkinError: error,
+    };
+}
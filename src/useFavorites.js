@@ -0,0 +1,182 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+
+import {
+    clearAccountStorage,
+    loadUnsyncedIds,
+    markSynced,
+} from "./accountStorage";
+import {
+    deleteRemoteFavorite,
+    FAVORITES_STORAGE_KEY,
+    fetchFavorites,
+    isUploadableFavorite,
+    loadLocalFavorites,
+    mergeFavorites,
+    saveLocalFavorites,
+    upsertFavorites,
+} from "./favorites";
+
+// Favorites (spotId -> { note }) kept in localStorage and, for signed-in
+// users, synced with their account. Each account has its own local copy;
+// favorites saved while signed out move into the first account that signs
+// in.
+export function useFavorites(userId) {
+    const [state, setState] = useState(() => ({
+        userId,
+        favorites: loadLocalFavorites(userId),
+    }));
+    const [syncError, setSyncError] = useState("");
+    const { favorites } = state;
+
+    // Signing in, out or switching accounts swaps in that account's list
+    if (state.userId !== userId) {
+        setState({ userId, favorites: loadLocalFavorites(userId) });
+    }
+
+    useEffect(() => {
+        saveLocalFavorites(state.favorites, state.userId);
+    }, [state]);
+
+    // Ignores updates that land after the account changed
+    const updateFavorites = useCallback(
+        (update) =>
+            setState((prev) =>
+                prev.userId === userId
+                    ? { ...prev, favorites: update(prev.favorites) }
+                    : prev
+            ),
+        [userId]
+    );
+
+    useEffect(() => {
+        if (!userId) return;
+        let cancelled = false;
+
+        async function syncOnLogin() {
+            const { data, error } = await fetchFavorites(userId);
+            if (cancelled) return;
+            if (error) {
+                console.error(error);
+                setSyncError("Couldn't load favorites from your account.");
+                return;
+            }
+
+            const own = mergeFavorites(
+                loadLocalFavorites(userId),
+                data,
+                loadUnsyncedIds(FAVORITES_STORAGE_KEY, userId)
+            );
+            const signedOut = mergeFavorites(
+                loadLocalFavorites(),
+                own.favorites
+            );
+            const toUpload = [...own.toUpload, ...signedOut.toUpload];
+            const ids = toUpload.map((fav) => fav.spotId);
+
+            // The signed-out favorites now live in this account's copy,
+            // marked unsynced until the upload goes through
+            markSynced(FAVORITES_STORAGE_KEY, userId, ids, false);
+            clearAccountStorage(FAVORITES_STORAGE_KEY, null);
+            updateFavorites(() => signedOut.favorites);
+
+            const { error: uploadError } = await upsertFavorites(
+                toUpload,
+                userId
+            );
+            if (uploadError) {
+                console.error(uploadError);
+                setSyncError(
+                    "Some favorites couldn't be saved to your account."
+                );
+                return;
+            }
+            markSynced(
+                FAVORITES_STORAGE_KEY,
+                userId,
+                toUpload
+                    .filter(isUploadableFavorite)
+                    .map((fav) => fav.spotId),
+                true
+            );
+            if (!cancelled) setSyncError("");
+        }
+
+        syncOnLogin();
+        return () => {
+            cancelled = true;
+        };
+    }, [userId, updateFavorites]);
+
+    const favoriteIds = useMemo(() => new Set(favorites.keys()), [favorites]);
+
+    const saveFavorite = useCallback(
+        async (fav) => {
+            updateFavorites((prev) => new Map(prev).set(fav.spotId, fav));
+            if (!userId) return;
+            const { error } = await upsertFavorites([fav], userId);
+            markSynced(
+                FAVORITES_STORAGE_KEY,
+                userId,
+                [fav.spotId],
+                !error && isUploadableFavorite(fav)
+            );
+            if (error) {
+                console.error(error);
+                setSyncError(
+                    "Favorite saved on this device only – sync failed."
+                );
+            }
+        },
+        [userId, updateFavorites]
+    );
+
+    const toggleFavorite = useCallback(
+        async (spotId) => {
+            if (!favorites.has(spotId)) {
+                saveFavorite({
+                    spotId,
+                    note: "",
+                    updated_at: new Date().toISOString(),
+                });
+                return;
+            }
+
+            updateFavorites((prev) => {
+                const next = new Map(prev);
+                next.delete(spotId);
+                return next;
+            });
+            if (!userId) return;
+            markSynced(FAVORITES_STORAGE_KEY, userId, [spotId], true);
+            const { error } = await deleteRemoteFavorite(spotId, userId);
+            if (error) {
+                console.error(error);
+                setSyncError(
+                    "Couldn't remove that favorite from your account."
+                );
+            }
+        },
+        [favorites, saveFavorite, userId, updateFavorites]
+    );
+
+    const setFavoriteNote = useCallback(
+        (spotId, note) => {
+            const current = favorites.get(spotId);
+            if (!current || current.note === note) return;
+            saveFavorite({
+                ...current,
+                note,
+                updated_at: new Date().toISOString(),
+            });
+        },
+        [favorites, saveFavorite]
+    );
+
+    return {
+        favorites,
+        favoriteIds,
+        toggleFavorite,
+        setFavoriteNote,
+        syncError,
+    };
+}
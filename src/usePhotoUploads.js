@@ -0,0 +1,182 @@
+import { useCallback, useState } from "react";
+
+import { MAX_PHOTOS, validatePhotoFiles } from "./photoProcessing";
+import {
+    newPhotoMeta,
+    removeUploadedPhotos,
+    uploadPhoto,
+} from "./photoUpload";
+
+// Photo list for the spot and review forms. Items are existing photos (url) or new
+// files that move through queued -> uploading -> uploaded (or failed).
+// Uploaded-but-unsaved photos are removed from storage on discard.
+
+function itemFromFile(file) {
+    return {
+        key: crypto.randomUUID(),
+        file,
+        url: null,
+        previewUrl: URL.createObjectURL(file),
+        caption: "",
+        status: "queued",
+        progress: 0,
+        error: "",
+        meta: null,
+    };
+}
+
+function itemsFromSpot(spot) {
+    return (spot?.photo_urls ?? []).map((url) => ({
+        key: `existing-${url}`,
+        file: null,
+        url,
+        previewUrl: null,
+        caption: spot.photo_meta?.[url]?.caption ?? "",
+        status: "existing",
+        progress: 1,
+        error: "",
+        meta: spot.photo_meta?.[url] ?? null,
+    }));
+}
+
+function revokePreviews(items) {
+    for (const item of items) {
+        if (item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+    }
+}
+
+// photo_urls (in list order) + photo_meta for everything that has a URL
+export function photoFields(items, userId) {
+    const photo_urls = [];
+    const photo_meta = {};
+    for (const item of items) {
+        if (!item.url) continue;
+        photo_urls.push(item.url);
+        photo_meta[item.url] = item.meta
+            ? { ...item.meta, caption: item.caption.trim() }
+            : newPhotoMeta(item.caption, userId);
+    }
+    return { photo_urls, photo_meta };
+}
+
+// Files not uploaded yet, in the shape the offline outbox stores
+export function queuedPhotos(items) {
+    return items
+        .filter((item) => !item.url)
+        .map((item) => ({ file: item.file, caption: item.caption.trim() }));
+}
+
+export function usePhotoUploads({ maxPhotos = MAX_PHOTOS } = {}) {
+    const [items, setItems] = useState([]);
+
+    const updateItem = useCallback((key, changes) => {
+        setItems((prev) =>
+            prev.map((item) =>
+                item.key === key ? { ...item, ...changes } : item
+            )
+        );
+    }, []);
+
+    function reset(spot = null) {
+        revokePreviews(items);
+        setItems(itemsFromSpot(spot));
+    }
+
+    // Returns an error message, or "" when the files were added
+    function addFiles(files, extraCount = 0) {
+        const invalid = validatePhotoFiles(
+            files,
+            items.length + extraCount,
+            maxPhotos
+        );
+        if (invalid) return invalid;
+        setItems((prev) => [...prev, ...files.map(itemFromFile)]);
+        return "";
+    }
+
+    function remove(key) {
+        const item = items.find((i) => i.key === key);
+        if (!item) return;
+        // Uploaded for this form but never saved: nothing else points at it.
+        // Removed existing photos stay in storage so history can revert.
+        if (item.status === "uploaded") removeUploadedPhotos([item.url]);
+        revokePreviews([item]);
+        setItems((prev) => prev.filter((i) => i.key !== key));
+    }
+
+    function move(key, delta) {
+        setItems((prev) => {
+            const index = prev.findIndex((i) => i.key === key);
+            const target = index + delta;
+            if (index < 0 || target < 0 || target >= prev.length) return prev;
+            const next = [...prev];
+            const [item] = next.splice(index, 1);
+            next.splice(target, 0, item);
+            return next;
+        });
+    }
+
+    function setCaption(key, caption) {
+        updateItem(key, { caption });
+    }
+
+    async function uploadOne(item) {
+        updateItem(item.key, { status: "uploading", progress: 0, error: "" });
+        const { url, error } = await uploadPhoto(item.file, {
+            onProgress: (progress) => updateItem(item.key, { progress }),
+        });
+        if (error) {
+            console.error(error);
+            const changes = { status: "failed", error: error.message };
+            updateItem(item.key, changes);
+            return { ...item, ...changes };
+        }
+        const changes = { status: "uploaded", url, progress: 1 };
+        updateItem(item.key, changes);
+        return { ...item, ...changes };
+    }
+
+    async function retry(key) {
+        const item = items.find((i) => i.key === key);
+        if (item) await uploadOne(item);
+    }
+
+    // Uploads everything not uploaded yet, one at a time (one bar of
+    // signal). Resolves to the updated list and whether any failed.
+    async function uploadPending() {
+        const result = [];
+        for (const item of items) {
+            result.push(item.url ? item : await uploadOne(item));
+        }
+        return {
+            items: result,
+            failed: result.some((item) => item.status === "failed"),
+        };
+    }
+
+    // Save failed or was cancelled: delete what we uploaded for it
+    async function discardUploads(list = items) {
+        const uploaded = list.filter((item) => item.status === "uploaded");
+        if (uploaded.length === 0) return;
+        await removeUploadedPhotos(uploaded.map((item) => item.url));
+        setItems((prev) =>
+            prev.map((item) =>
+                uploaded.some((u) => u.key === item.key)
+                    ? { ...item, status: "queued", url: null, progress: 0 }
+                    : item
+            )
+        );
+    }
+
+    return {
+        items,
+        reset,
+        addFiles,
+        remove,
+        move,
+        setCaption,
+        retry,
+        uploadPending,
+        discardUploads,
+    };
+}
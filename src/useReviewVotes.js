@@ -0,0 +1,86 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+import {
+    fetchMyReviewVotes,
+    fetchReviewerReputation,
+    saveReviewVote,
+} from "./reviewVotes";
+
+const EMPTY_VOTES = new Map();
+
+// The signed-in user's review votes plus reputation for the authors of
+// the reviews we have loaded. Reputation is fetched once per author.
+export function useReviewVotes(userId, authorIds) {
+    const [reputation, setReputation] = useState(() => new Map());
+    const [votes, setVotes] = useState({ userId: null, byReview: new Map() });
+    const [error, setError] = useState("");
+    const requestedRef = useRef(new Set());
+
+    useEffect(() => {
+        const missing = authorIds.filter(
+            (id) => !requestedRef.current.has(id)
+        );
+        if (missing.length === 0) return;
+        for (const id of missing) requestedRef.current.add(id);
+
+        fetchReviewerReputation(missing).then(({ data, error: repError }) => {
+            if (repError) {
+                console.error(repError);
+                // let the next load try again
+                for (const id of missing) requestedRef.current.delete(id);
+                return;
+            }
+            setReputation((prev) => new Map([...prev, ...data]));
+        });
+    }, [authorIds]);
+
+    useEffect(() => {
+        if (!userId) return;
+        let cancelled = false;
+
+        fetchMyReviewVotes(userId).then(({ data, error: votesError }) => {
+            if (cancelled) return;
+            if (votesError) {
+                console.error(votesError);
+                setError("Couldn't load your review votes.");
+                return;
+            }
+            setError("");
+            setVotes({ userId, byReview: data });
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [userId]);
+
+    // helpful: true / false, or null to take the vote back. Resolves with
+    // { error } once saved.
+    const vote = useCallback(
+        async (reviewId, helpful) => {
+            const { error: voteError } = await saveReviewVote(
+                reviewId,
+                userId,
+                helpful
+            );
+            if (voteError) return { error: voteError };
+
+            setVotes((prev) => {
+                const byReview = new Map(prev.byReview);
+                if (helpful === null) byReview.delete(reviewId);
+                else byReview.set(reviewId, helpful);
+                return { ...prev, byReview };
+            });
+            return { error: null };
+        },
+        [userId]
+    );
+
+    return {
+        myReviewVotes:
+            votes.userId === userId ? votes.byReview : EMPTY_VOTES,
+        reviewerReputation: reputation,
+        voteOnReview: vote,
+        reviewVoteError: error,
+    };
+}
@@ -0,0 +1,135 @@
+import { useCallback, useEffect, useState } from "react";
+
+import {
+    clearAccountStorage,
+    loadUnsyncedIds,
+    markSynced,
+} from "./accountStorage";
+import {
+    deleteRemoteTrip,
+    fetchTrips,
+    loadLocalTrips,
+    mergeTrips,
+    saveLocalTrips,
+    TRIPS_STORAGE_KEY,
+    upsertTrips,
+} from "./trips";
+
+// Trip list kept in localStorage and, for signed-in users, synced with
+// their account. Each account has its own local copy; trips planned while
+// signed out move into the first account that signs in.
+export function useTrips(userId) {
+    const [state, setState] = useState(() => ({
+        userId,
+        trips: loadLocalTrips(userId),
+    }));
+    const [syncError, setSyncError] = useState("");
+
+    // Signing in, out or switching accounts swaps in that account's trips
+    if (state.userId !== userId) {
+        setState({ userId, trips: loadLocalTrips(userId) });
+    }
+
+    useEffect(() => {
+        saveLocalTrips(state.trips, state.userId);
+    }, [state]);
+
+    // Ignores updates that land after the account changed
+    const updateTrips = useCallback(
+        (update) =>
+            setState((prev) =>
+                prev.userId === userId
+                    ? { ...prev, trips: update(prev.trips) }
+                    : prev
+            ),
+        [userId]
+    );
+
+    useEffect(() => {
+        if (!userId) return;
+        let cancelled = false;
+
+        async function syncOnLogin() {
+            const { data, error } = await fetchTrips(userId);
+            if (cancelled) return;
+            if (error) {
+                console.error(error);
+                setSyncError("Couldn't load trips from your account.");
+                return;
+            }
+
+            const own = mergeTrips(
+                loadLocalTrips(userId),
+                data,
+                loadUnsyncedIds(TRIPS_STORAGE_KEY, userId)
+            );
+            const signedOut = mergeTrips(loadLocalTrips(), own.trips);
+            const toUpload = [...own.toUpload, ...signedOut.toUpload];
+
+            // The signed-out trips now live in this account's copy, marked
+            // unsynced until the upload goes through
+            markSynced(
+                TRIPS_STORAGE_KEY,
+                userId,
+                toUpload.map((trip) => trip.id),
+                false
+            );
+            clearAccountStorage(TRIPS_STORAGE_KEY, null);
+            updateTrips(() => signedOut.trips);
+
+            const { error: uploadError } = await upsertTrips(toUpload, userId);
+            if (uploadError) {
+                console.error(uploadError);
+                setSyncError("Some trips couldn't be saved to your account.");
+                return;
+            }
+            markSynced(
+                TRIPS_STORAGE_KEY,
+                userId,
+                toUpload.map((trip) => trip.id),
+                true
+            );
+            if (!cancelled) setSyncError("");
+        }
+
+        syncOnLogin();
+        return () => {
+            cancelled = true;
+        };
+    }, [userId, updateTrips]);
+
+    const saveTrip = useCallback(
+        async (trip) => {
+            const next = { ...trip, updated_at: new Date().toISOString() };
+            updateTrips((prev) =>
+                prev.some((t) => t.id === next.id)
+                    ? prev.map((t) => (t.id === next.id ? next : t))
+                    : [...prev, next]
+            );
+            if (!userId) return;
+            const { error } = await upsertTrips([next], userId);
+            markSynced(TRIPS_STORAGE_KEY, userId, [next.id], !error);
+            if (error) {
+                console.error(error);
+                setSyncError("Trip saved on this device only – sync failed.");
+            }
+        },
+        [userId, updateTrips]
+    );
+
+    const removeTrip = useCallback(
+        async (id) => {
+            updateTrips((prev) => prev.filter((t) => t.id !== id));
+            if (!userId) return;
+            markSynced(TRIPS_STORAGE_KEY, userId, [id], true);
+            const { error } = await deleteRemoteTrip(id);
+            if (error) {
+                console.error(error);
+                setSyncError("Couldn't delete that trip from your account.");
+            }
+        },
+        [userId, updateTrips]
+    );
+
+    return { trips: state.trips, saveTrip, removeTrip, syncError };
+}
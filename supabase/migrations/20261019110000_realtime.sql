@@ -0,0 +1,22 @@
+-- Broadcast spot and review changes to the app's realtime subscription
+-- (src/realtime.js). Tables aren't in the supabase_realtime publication
+-- by default, and adding one twice is an error, so check first.
+
+do $$
+declare
+    t text;
+begin
+    foreach t in array array['spots', 'reviews'] loop
+        if not exists (
+            select 1 from pg_publication_tables
+            where pubname = 'supabase_realtime'
+                and schemaname = 'public'
+                and tablename = t
+        ) then
+            execute format(
+                'alter publication supabase_realtime add table public.%I', t
+            );
+        end if;
+    end loop;
+end;
+$$;
@@ -0,0 +1,81 @@
+-- Spots record who created them. Only signed-in users can add spots, and
+-- only the creator or a moderator can change or delete one.
+
+alter table public.spots
+    add column if not exists created_by uuid
+        references auth.users (id) on delete set null
+        default auth.uid();
+
+create index if not exists spots_created_by_idx on public.spots (created_by);
+
+-- Roles ----------------------------------------------------------------
+
+create table if not exists public.user_roles (
+    user_id uuid primary key references auth.users (id) on delete cascade,
+    role text not null check (role in ('moderator')),
+    created_at timestamptz not null default now()
+);
+
+alter table public.user_roles enable row level security;
+
+drop policy if exists "Users can read their own role" on public.user_roles;
+create policy "Users can read their own role"
+    on public.user_roles for select
+    using (auth.uid() = user_id);
+
+create or replace function public.is_moderator()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1 from public.user_roles
+        where user_id = auth.uid() and role = 'moderator'
+    );
+$$;
+
+-- Spot policies --------------------------------------------------------
+
+alter table public.spots enable row level security;
+
+drop policy if exists "Spots are readable by everyone" on public.spots;
+create policy "Spots are readable by everyone"
+    on public.spots for select
+    using (true);
+
+drop policy if exists "Signed-in users can add spots" on public.spots;
+create policy "Signed-in users can add spots"
+    on public.spots for insert
+    to authenticated
+    with check (created_by = auth.uid());
+
+drop policy if exists "Owners and moderators can edit spots" on public.spots;
+create policy "Owners and moderators can edit spots"
+    on public.spots for update
+    to authenticated
+    using (created_by = auth.uid() or public.is_moderator())
+    with check (created_by = auth.uid() or public.is_moderator());
+
+drop policy if exists "Owners and moderators can delete spots" on public.spots;
+create policy "Owners and moderators can delete spots"
+    on public.spots for delete
+    to authenticated
+    using (created_by = auth.uid() or public.is_moderator());
+
+-- Ownership can't be reassigned through an edit
+create or replace function public.keep_spot_owner()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.created_by := old.created_by;
+    return new;
+end;
+$$;
+
+drop trigger if exists spots_keep_owner on public.spots;
+create trigger spots_keep_owner
+    before update on public.spots
+    for each row execute function public.keep_spot_owner();
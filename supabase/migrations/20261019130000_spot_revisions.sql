@@ -0,0 +1,58 @@
+-- Every insert / update of a spot is snapshotted into spot_revisions by a
+-- trigger, so bad edits can be inspected and reverted.
+
+create table if not exists public.spot_revisions (
+    id bigint generated always as identity primary key,
+    spot_id uuid not null references public.spots (id) on delete cascade,
+    action text not null check (action in ('create', 'update')),
+    snapshot jsonb not null,
+    edited_by uuid references auth.users (id) on delete set null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists spot_revisions_spot_id_idx
+    on public.spot_revisions (spot_id, created_at desc);
+
+alter table public.spot_revisions enable row level security;
+
+-- Anyone can read history; rows are only ever written by the trigger
+drop policy if exists "Spot history is readable by everyone"
+    on public.spot_revisions;
+create policy "Spot history is readable by everyone"
+    on public.spot_revisions for select
+    using (true);
+
+create or replace function public.record_spot_revision()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if tg_op = 'UPDATE' and to_jsonb(new) = to_jsonb(old) then
+        return new;
+    end if;
+
+    insert into public.spot_revisions (spot_id, action, snapshot, edited_by)
+    values (
+        new.id,
+        case when tg_op = 'INSERT' then 'create' else 'update' end,
+        to_jsonb(new),
+        auth.uid()
+    );
+    return new;
+end;
+$$;
+
+drop trigger if exists spots_record_revision on public.spots;
+create trigger spots_record_revision
+    after insert or update on public.spots
+    for each row execute function public.record_spot_revision();
+
+-- Give existing spots a starting revision
+insert into public.spot_revisions (spot_id, action, snapshot, edited_by, created_at)
+select s.id, 'create', to_jsonb(s), s.created_by, s.created_at
+from public.spots s
+where not exists (
+    select 1 from public.spot_revisions r where r.spot_id = s.id
+);
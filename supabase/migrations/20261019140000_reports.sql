@@ -0,0 +1,133 @@
+-- Reports on spots and reviews, resolved by moderators from an in-app
+-- queue. Hidden content stays in the table but is only visible to
+-- moderators (and, for spots, their owner).
+
+alter table public.spots
+    add column if not exists hidden boolean not null default false;
+
+alter table public.reviews
+    add column if not exists hidden boolean not null default false;
+
+create table if not exists public.reports (
+    id bigint generated always as identity primary key,
+    target_type text not null check (target_type in ('spot', 'review')),
+    target_id uuid not null,
+    reason text not null check (
+        reason in (
+            'unsafe', 'closed', 'fake', 'wrong_location',
+            'abusive', 'spam', 'off_topic', 'other'
+        )
+    ),
+    note text,
+    reporter uuid references auth.users (id) on delete set null
+        default auth.uid(),
+    status text not null default 'open'
+        check (status in ('open', 'dismissed', 'hidden', 'deleted')),
+    resolved_by uuid references auth.users (id) on delete set null,
+    resolved_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists reports_open_idx
+    on public.reports (created_at)
+    where status = 'open';
+
+alter table public.reports enable row level security;
+
+drop policy if exists "Anyone can file a report" on public.reports;
+create policy "Anyone can file a report"
+    on public.reports for insert
+    to anon, authenticated
+    with check (
+        status = 'open'
+        and resolved_by is null
+        -- nobody files reports in someone else's name
+        and (reporter is null or reporter = auth.uid())
+    );
+
+drop policy if exists "Moderators can read reports" on public.reports;
+create policy "Moderators can read reports"
+    on public.reports for select
+    using (public.is_moderator());
+
+drop policy if exists "Moderators can resolve reports" on public.reports;
+create policy "Moderators can resolve reports"
+    on public.reports for update
+    to authenticated
+    using (public.is_moderator())
+    with check (public.is_moderator());
+
+-- Hidden spots drop out of the public read policy
+drop policy if exists "Spots are readable by everyone" on public.spots;
+create policy "Spots are readable by everyone"
+    on public.spots for select
+    using (
+        not hidden
+        or public.is_moderator()
+        or created_by = auth.uid()
+    );
+
+-- History snapshots carry the whole spot, so they follow the same rule
+drop policy if exists "Spot history is readable by everyone"
+    on public.spot_revisions;
+drop policy if exists "Spot history follows spot visibility"
+    on public.spot_revisions;
+create policy "Spot history follows spot visibility"
+    on public.spot_revisions for select
+    using (
+        exists (
+            select 1 from public.spots s
+            where s.id = spot_revisions.spot_id
+                and (
+                    not s.hidden
+                    or public.is_moderator()
+                    or s.created_by = auth.uid()
+                )
+        )
+    );
+
+-- Only moderators may flip `hidden`
+create or replace function public.guard_hidden_flag()
+returns trigger
+language plpgsql
+as $$
+begin
+    if new.hidden is distinct from old.hidden and not public.is_moderator() then
+        new.hidden := old.hidden;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists spots_guard_hidden on public.spots;
+create trigger spots_guard_hidden
+    before update on public.spots
+    for each row execute function public.guard_hidden_flag();
+
+-- Review policies ------------------------------------------------------
+
+alter table public.reviews enable row level security;
+
+drop policy if exists "Reviews are readable by everyone" on public.reviews;
+create policy "Reviews are readable by everyone"
+    on public.reviews for select
+    using (not hidden or public.is_moderator());
+
+drop policy if exists "Anyone can post a review" on public.reviews;
+create policy "Anyone can post a review"
+    on public.reviews for insert
+    to anon, authenticated
+    with check (not hidden);
+
+drop policy if exists "Moderators can update reviews" on public.reviews;
+create policy "Moderators can update reviews"
+    on public.reviews for update
+    to authenticated
+    using (public.is_moderator())
+    with check (public.is_moderator());
+
+drop policy if exists "Moderators can delete reviews" on public.reviews;
+create policy "Moderators can delete reviews"
+    on public.reviews for delete
+    to authenticated
+    using (public.is_moderator());
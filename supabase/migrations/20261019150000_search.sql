@@ -0,0 +1,20 @@
+-- Full-text search over spot names / descriptions and review comments
+
+alter table public.spots
+    add column if not exists search_tsv tsvector
+        generated always as (
+            setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+            setweight(to_tsvector('english', coalesce(description, '')), 'B')
+        ) stored;
+
+create index if not exists spots_search_tsv_idx
+    on public.spots using gin (search_tsv);
+
+alter table public.reviews
+    add column if not exists search_tsv tsvector
+        generated always as (
+            to_tsvector('english', coalesce(comment, ''))
+        ) stored;
+
+create index if not exists reviews_search_tsv_idx
+    on public.reviews using gin (search_tsv);
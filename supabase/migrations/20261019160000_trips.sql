@@ -0,0 +1,24 @@
+-- Named multi-night trips. Stops are kept as an ordered jsonb array of
+-- { spotId, name, lat, lng, nightDate } so a trip still renders when its
+-- spots aren't loaded (or the device is offline).
+
+create table if not exists public.trips (
+    id uuid primary key,
+    user_id uuid not null references auth.users (id) on delete cascade
+        default auth.uid(),
+    name text not null,
+    stops jsonb not null default '[]'::jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists trips_user_id_idx on public.trips (user_id);
+
+alter table public.trips enable row level security;
+
+drop policy if exists "Users manage their own trips" on public.trips;
+create policy "Users manage their own trips"
+    on public.trips for all
+    to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
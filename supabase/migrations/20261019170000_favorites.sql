@@ -0,0 +1,20 @@
+-- Per-user favorites with an optional private note ("gate closes at 10pm").
+
+create table if not exists public.favorites (
+    user_id uuid not null references auth.users (id) on delete cascade
+        default auth.uid(),
+    spot_id uuid not null references public.spots (id) on delete cascade,
+    note text not null default '',
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    primary key (user_id, spot_id)
+);
+
+alter table public.favorites enable row level security;
+
+drop policy if exists "Users manage their own favorites" on public.favorites;
+create policy "Users manage their own favorites"
+    on public.favorites for all
+    to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
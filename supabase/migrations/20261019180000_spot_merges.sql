@@ -0,0 +1,7 @@
+-- Moderators merge duplicate spots from the app: reviews move to the
+-- spot that's kept, photos are combined, and the duplicate is hidden with
+-- a pointer to where it went (history and reports stay attached).
+
+alter table public.spots
+    add column if not exists merged_into uuid
+        references public.spots (id) on delete set null;
@@ -0,0 +1,14 @@
+-- Per-photo details for spot photos, keyed by photo URL:
+-- { "<url>": { "caption": "...", "uploaded_by": "<uuid>", "uploaded_at": "..." } }
+-- photo_urls keeps the display order; URLs without an entry are legacy.
+
+alter table public.spots
+    add column if not exists photo_meta jsonb not null default '{}'::jsonb;
+
+-- Let uploaders delete their own objects, so photos from a failed or
+-- cancelled save can be cleaned up from the app.
+drop policy if exists "Uploaders can delete their spot photos" on storage.objects;
+create policy "Uploaders can delete their spot photos"
+    on storage.objects for delete
+    to authenticated
+    using (bucket_id = 'spot-photos' and owner = auth.uid());
@@ -0,0 +1,64 @@
+-- Individual photos can be reported from the gallery. A photo report
+-- points at the spot (target_id) plus the photo's URL; moderators hide a
+-- photo by flagging it in spots.photo_meta or delete it outright.
+
+alter table public.reports
+    add column if not exists photo_url text;
+
+alter table public.reports drop constraint if exists reports_target_type_check;
+alter table public.reports add constraint reports_target_type_check
+    check (target_type in ('spot', 'review', 'spot_photo'));
+
+alter table public.reports drop constraint if exists reports_reason_check;
+alter table public.reports add constraint reports_reason_check
+    check (
+        reason in (
+            'unsafe', 'closed', 'fake', 'wrong_location',
+            'abusive', 'spam', 'off_topic', 'other',
+            'inappropriate', 'privacy'
+        )
+    );
+
+alter table public.reports drop constraint if exists reports_photo_url_check;
+alter table public.reports add constraint reports_photo_url_check
+    check ((target_type = 'spot_photo') = (photo_url is not null));
+
+-- Hiding a photo is moderation too: for everyone but moderators a hidden
+-- flag sticks, even if the photo is removed and later added back
+create or replace function public.guard_hidden_photos()
+returns trigger
+language plpgsql
+as $$
+declare
+    url text;
+begin
+    if public.is_moderator() then
+        return new;
+    end if;
+    for url in
+        select key
+        from jsonb_each(coalesce(old.photo_meta, '{}'::jsonb))
+        where (value ->> 'hidden')::boolean is true
+    loop
+        new.photo_meta := jsonb_set(
+            coalesce(new.photo_meta, '{}'::jsonb),
+            array[url],
+            coalesce(new.photo_meta -> url, old.photo_meta -> url)
+                || '{"hidden": true}'::jsonb
+        );
+    end loop;
+    return new;
+end;
+$$;
+
+drop trigger if exists spots_guard_hidden_photos on public.spots;
+create trigger spots_guard_hidden_photos
+    before update on public.spots
+    for each row execute function public.guard_hidden_photos();
+
+-- Deleting a reported photo removes the file too, not just the link
+drop policy if exists "Moderators can delete spot photos" on storage.objects;
+create policy "Moderators can delete spot photos"
+    on storage.objects for delete
+    to authenticated
+    using (bucket_id = 'spot-photos' and public.is_moderator());
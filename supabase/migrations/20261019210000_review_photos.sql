@@ -0,0 +1,22 @@
+-- Reviews can carry a few photos, uploaded through the same spot-photos
+-- bucket as spot photos. Same shape as the spot columns: photo_urls in
+-- display order, photo_meta keyed by URL (caption, uploader, date, hidden).
+
+alter table public.reviews
+    add column if not exists photo_urls text[] not null default '{}',
+    add column if not exists photo_meta jsonb not null default '{}'::jsonb;
+
+alter table public.reviews drop constraint if exists reviews_photo_count_check;
+alter table public.reviews add constraint reviews_photo_count_check
+    check (coalesce(array_length(photo_urls, 1), 0) <= 3);
+
+-- Review photos are reported and moderated like spot photos
+alter table public.reports drop constraint if exists reports_target_type_check;
+alter table public.reports add constraint reports_target_type_check
+    check (target_type in ('spot', 'review', 'spot_photo', 'review_photo'));
+
+alter table public.reports drop constraint if exists reports_photo_url_check;
+alter table public.reports add constraint reports_photo_url_check
+    check (
+        (target_type in ('spot_photo', 'review_photo')) = (photo_url is not null)
+    );
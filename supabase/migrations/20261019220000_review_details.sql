@@ -0,0 +1,28 @@
+-- Reviews report the same structured fields as spots, plus the night of
+-- the stay and anything that happened. The app blends recent reviews into
+-- the spot's displayed safety / cell / noise instead of trusting only the
+-- values entered when the spot was added. All fields are optional.
+
+alter table public.reviews
+    add column if not exists safety_rating smallint
+        check (safety_rating between 1 and 5),
+    add column if not exists cell_signal smallint
+        check (cell_signal between 0 and 5),
+    add column if not exists noise_level text,
+    add column if not exists stayed_on date,
+    add column if not exists incidents text[] not null default '{}';
+
+alter table public.reviews drop constraint if exists reviews_incidents_check;
+alter table public.reviews add constraint reviews_incidents_check
+    check (
+        incidents <@ array[
+            'asked_to_leave', 'police_knock', 'break_in',
+            'harassment', 'ticket'
+        ]::text[]
+    );
+
+-- No nights in the future (a day of slack for time zones ahead of UTC);
+-- a future date would keep the review looking fresh for ever
+alter table public.reviews drop constraint if exists reviews_stayed_on_check;
+alter table public.reviews add constraint reviews_stayed_on_check
+    check (stayed_on <= current_date + 1);
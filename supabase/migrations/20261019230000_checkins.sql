@@ -0,0 +1,46 @@
+-- One-tap "I stayed here" check-ins: the night and an optional outcome.
+-- Rows are private to their author (they add up to a travel history);
+-- everyone else only sees per-spot totals through spot_checkin_stats.
+
+create table if not exists public.checkins (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade
+        default auth.uid(),
+    spot_id uuid not null references public.spots (id) on delete cascade,
+    -- no future nights (a day of slack for time zones ahead of UTC), or
+    -- the spot would look confirmed until then
+    stayed_on date not null default current_date
+        check (stayed_on <= current_date + 1),
+    outcome text check (outcome in ('fine', 'moved_on', 'asked_to_leave')),
+    created_at timestamptz not null default now(),
+    -- tapping again for the same night updates the outcome
+    unique (user_id, spot_id, stayed_on)
+);
+
+create index if not exists checkins_spot_id_idx
+    on public.checkins (spot_id, stayed_on desc);
+
+alter table public.checkins enable row level security;
+
+drop policy if exists "Users manage their own check-ins" on public.checkins;
+create policy "Users manage their own check-ins"
+    on public.checkins for all
+    to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
+
+-- Runs with the owner's rights, so it sees every check-in but exposes
+-- no user ids. Being asked to leave doesn't count as confirming a spot.
+create or replace view public.spot_checkin_stats as
+select
+    spot_id,
+    max(stayed_on) filter (
+        where outcome is distinct from 'asked_to_leave'
+    ) as last_confirmed_on,
+    count(*) filter (
+        where stayed_on >= date_trunc('month', current_date)
+    ) as stays_this_month
+from public.checkins
+group by spot_id;
+
+grant select on public.spot_checkin_stats to anon, authenticated;
@@ -0,0 +1,193 @@
+-- Spot lifecycle. A spot is open, seasonal (open only in open_months),
+-- temporarily closed or permanently closed, with an optional reason.
+-- Travellers propose changes through reviews or reports; a moderator
+-- applies them, or three signed-in travellers reporting the same status
+-- within 60 days applies it automatically.
+
+alter table public.spots
+    add column if not exists status text not null default 'open'
+        check (
+            status in (
+                'open', 'seasonal', 'temporarily_closed', 'permanently_closed'
+            )
+        ),
+    add column if not exists open_months smallint[]
+        check (open_months <@ array[1,2,3,4,5,6,7,8,9,10,11,12]::smallint[]),
+    add column if not exists closure_reason text,
+    add column if not exists status_changed_at timestamptz;
+
+-- Proposals ride on reports: reason 'closed' plus the proposed status
+alter table public.reports
+    add column if not exists proposed_status text
+        check (
+            proposed_status in (
+                'open', 'seasonal', 'temporarily_closed', 'permanently_closed'
+            )
+        ),
+    add column if not exists proposed_open_months smallint[]
+        check (
+            proposed_open_months
+                <@ array[1,2,3,4,5,6,7,8,9,10,11,12]::smallint[]
+        );
+
+alter table public.reports drop constraint if exists reports_proposal_check;
+alter table public.reports add constraint reports_proposal_check
+    check (
+        proposed_status is null
+        or (target_type = 'spot' and reason = 'closed')
+    );
+
+-- Proposals count towards automatic changes, so only signed-in
+-- travellers may file them, and always under their own id
+drop policy if exists "Anyone can file a report" on public.reports;
+create policy "Anyone can file a report"
+    on public.reports for insert
+    to anon, authenticated
+    with check (
+        status = 'open'
+        and resolved_by is null
+        and (reporter is null or reporter = auth.uid())
+        and (
+            proposed_status is null
+            or (auth.uid() is not null and reporter = auth.uid())
+        )
+    );
+
+alter table public.reports drop constraint if exists reports_status_check;
+alter table public.reports add constraint reports_status_check
+    check (status in ('open', 'dismissed', 'hidden', 'deleted', 'applied'));
+
+alter table public.reviews
+    add column if not exists proposed_status text
+        check (
+            proposed_status in (
+                'open', 'seasonal', 'temporarily_closed', 'permanently_closed'
+            )
+        ),
+    add column if not exists proposed_open_months smallint[]
+        check (
+            proposed_open_months
+                <@ array[1,2,3,4,5,6,7,8,9,10,11,12]::smallint[]
+        ),
+    add column if not exists closure_reason text;
+
+-- Only moderators (or the repeated-report trigger below) change status.
+-- Spot owners can still set it when they first add the spot.
+create or replace function public.guard_spot_status()
+returns trigger
+language plpgsql
+as $$
+begin
+    if (new.status, new.open_months, new.closure_reason)
+        is distinct from (old.status, old.open_months, old.closure_reason)
+        and not public.is_moderator()
+        and coalesce(current_setting('app.applying_status', true), '') <> 'on'
+    then
+        new.status := old.status;
+        new.open_months := old.open_months;
+        new.closure_reason := old.closure_reason;
+    end if;
+    if new.status is distinct from old.status then
+        new.status_changed_at := now();
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists spots_guard_status on public.spots;
+create trigger spots_guard_status
+    before update on public.spots
+    for each row execute function public.guard_spot_status();
+
+-- A review that says the spot changed files a proposal for it. Anonymous
+-- reviews file one without a reporter, which never counts towards the
+-- automatic change below.
+create or replace function public.propose_status_from_review()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.proposed_status is not null then
+        insert into public.reports (
+            target_type, target_id, reason, note, reporter,
+            proposed_status, proposed_open_months
+        )
+        values (
+            'spot', new.spot_id, 'closed',
+            coalesce(
+                nullif(trim(new.closure_reason), ''),
+                'From a review: ' || left(new.comment, 200)
+            ),
+            auth.uid(),
+            new.proposed_status, new.proposed_open_months
+        );
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists reviews_propose_status on public.reviews;
+create trigger reviews_propose_status
+    after insert on public.reviews
+    for each row execute function public.propose_status_from_review();
+
+-- Three signed-in travellers agreeing is enough to apply a proposal
+create or replace function public.apply_repeated_status_reports()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    confirmations integer;
+begin
+    if new.proposed_status is null then
+        return new;
+    end if;
+
+    -- reporter is always auth.uid() for proposals (see the insert policy
+    -- and the review trigger), so this counts real signed-in accounts
+    select count(distinct reporter) into confirmations
+    from public.reports
+    where target_type = 'spot'
+        and target_id = new.target_id
+        and status = 'open'
+        and reporter is not null
+        and proposed_status = new.proposed_status
+        and created_at > now() - interval '60 days';
+
+    if confirmations < 3 then
+        return new;
+    end if;
+
+    perform set_config('app.applying_status', 'on', true);
+    update public.spots
+    set status = new.proposed_status,
+        open_months = case
+            when new.proposed_status = 'seasonal'
+                then new.proposed_open_months
+        end,
+        closure_reason = case
+            when new.proposed_status <> 'open'
+                then nullif(trim(new.note), '')
+        end
+    where id = new.target_id;
+    perform set_config('app.applying_status', 'off', true);
+
+    update public.reports
+    set status = 'applied', resolved_at = now()
+    where target_type = 'spot'
+        and target_id = new.target_id
+        and status = 'open'
+        and proposed_status = new.proposed_status;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists reports_apply_status on public.reports;
+create trigger reports_apply_status
+    after insert on public.reports
+    for each row execute function public.apply_repeated_status_reports();
@@ -0,0 +1,135 @@
+-- Helpful / not helpful votes on reviews, one per signed-in user. Vote
+-- totals are kept on the review row; reviewer_reputation adds them up per
+-- author so the app can weight trusted reviewers' input more.
+
+-- Reviews remember who wrote them when the author is signed in
+alter table public.reviews
+    add column if not exists user_id uuid
+        references auth.users (id) on delete set null default auth.uid(),
+    add column if not exists helpful_count integer not null default 0,
+    add column if not exists not_helpful_count integer not null default 0;
+
+create index if not exists reviews_user_id_idx
+    on public.reviews (user_id)
+    where user_id is not null;
+
+-- Nobody posts a review in someone else's name
+drop policy if exists "Anyone can post a review" on public.reviews;
+create policy "Anyone can post a review"
+    on public.reviews for insert
+    to anon, authenticated
+    with check (
+        not hidden
+        and helpful_count = 0
+        and not_helpful_count = 0
+        and (user_id is null or user_id = auth.uid())
+    );
+
+create table if not exists public.review_votes (
+    review_id uuid not null references public.reviews (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade
+        default auth.uid(),
+    helpful boolean not null,
+    created_at timestamptz not null default now(),
+    -- voting again changes the vote
+    primary key (review_id, user_id)
+);
+
+create index if not exists review_votes_user_id_idx
+    on public.review_votes (user_id);
+
+alter table public.review_votes enable row level security;
+
+drop policy if exists "Users read their own votes" on public.review_votes;
+create policy "Users read their own votes"
+    on public.review_votes for select
+    to authenticated
+    using (user_id = auth.uid());
+
+-- No voting on your own reviews
+drop policy if exists "Users vote on others' reviews" on public.review_votes;
+create policy "Users vote on others' reviews"
+    on public.review_votes for insert
+    to authenticated
+    with check (
+        user_id = auth.uid()
+        and not exists (
+            select 1 from public.reviews r
+            where r.id = review_id and r.user_id = auth.uid()
+        )
+    );
+
+drop policy if exists "Users change their own votes" on public.review_votes;
+create policy "Users change their own votes"
+    on public.review_votes for update
+    to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
+
+drop policy if exists "Users take back their own votes" on public.review_votes;
+create policy "Users take back their own votes"
+    on public.review_votes for delete
+    to authenticated
+    using (user_id = auth.uid());
+
+-- Changing a vote means flipping `helpful`; moving it to another review
+-- or another user would leave the old review's totals stale
+create or replace function public.guard_review_vote_update()
+returns trigger
+language plpgsql
+as $$
+begin
+    if new.review_id <> old.review_id or new.user_id <> old.user_id then
+        raise exception 'Only helpful can change on a review vote'
+            using errcode = '42501';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists review_votes_guard_update on public.review_votes;
+create trigger review_votes_guard_update
+    before update on public.review_votes
+    for each row execute function public.guard_review_vote_update();
+
+-- Keeps the totals on the review in step with its votes
+create or replace function public.count_review_votes()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target uuid := coalesce(new.review_id, old.review_id);
+begin
+    update public.reviews
+    set helpful_count = (
+            select count(*) from public.review_votes
+            where review_id = target and helpful
+        ),
+        not_helpful_count = (
+            select count(*) from public.review_votes
+            where review_id = target and not helpful
+        )
+    where id = target;
+    return null;
+end;
+$$;
+
+drop trigger if exists review_votes_count on public.review_votes;
+create trigger review_votes_count
+    after insert or update or delete on public.review_votes
+    for each row execute function public.count_review_votes();
+
+-- Runs with the owner's rights; hidden reviews don't earn reputation
+create or replace view public.reviewer_reputation as
+select
+    user_id,
+    count(*)::integer as review_count,
+    sum(helpful_count)::integer as helpful_count,
+    sum(not_helpful_count)::integer as not_helpful_count
+from public.reviews
+where user_id is not null and not hidden
+group by user_id;
+
+grant select on public.reviewer_reputation to anon, authenticated;
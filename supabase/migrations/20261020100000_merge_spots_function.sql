@@ -0,0 +1,104 @@
+-- Merging duplicate spots in one transaction: reviews, favorites and
+-- check-ins move to the spot that's kept, photos (and their details) are
+-- combined, and the duplicate is hidden with a pointer to where it went.
+-- Either all of it happens or none of it does.
+
+create or replace function public.merge_spots(keep_id uuid, duplicate_id uuid)
+returns setof public.spots
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    keep public.spots;
+    duplicate public.spots;
+    photo_count integer;
+begin
+    if not public.is_moderator() then
+        raise exception 'Only moderators can merge spots'
+            using errcode = '42501';
+    end if;
+    if keep_id = duplicate_id then
+        raise exception 'A spot can''t be merged into itself';
+    end if;
+
+    select * into keep from public.spots where id = keep_id for update;
+    select * into duplicate from public.spots where id = duplicate_id for update;
+    if keep.id is null or duplicate.id is null then
+        raise exception 'Spot not found' using errcode = 'P0002';
+    end if;
+
+    -- Same limit as spots_photo_count_check (photo_limits migration)
+    select count(distinct url) into photo_count
+    from unnest(
+        coalesce(keep.photo_urls, '{}') || coalesce(duplicate.photo_urls, '{}')
+    ) as photos (url);
+    if photo_count > 6 then
+        raise exception
+            'Together these spots have % photos; remove some so there are at most 6 before merging',
+            photo_count;
+    end if;
+
+    update public.reviews
+    set spot_id = keep_id
+    where spot_id = duplicate_id;
+
+    -- Someone who saved both keeps one favorite; a note on the duplicate
+    -- fills in an empty one on the kept spot
+    update public.favorites f
+    set note = d.note
+    from public.favorites d
+    where f.spot_id = keep_id
+        and d.spot_id = duplicate_id
+        and d.user_id = f.user_id
+        and f.note = ''
+        and d.note <> '';
+    delete from public.favorites d
+    where d.spot_id = duplicate_id
+        and exists (
+            select 1 from public.favorites f
+            where f.spot_id = keep_id and f.user_id = d.user_id
+        );
+    update public.favorites
+    set spot_id = keep_id
+    where spot_id = duplicate_id;
+
+    -- One check-in per person per night: the kept spot's wins
+    delete from public.checkins d
+    where d.spot_id = duplicate_id
+        and exists (
+            select 1 from public.checkins c
+            where c.spot_id = keep_id
+                and c.user_id = d.user_id
+                and c.stayed_on = d.stayed_on
+        );
+    update public.checkins
+    set spot_id = keep_id
+    where spot_id = duplicate_id;
+
+    -- Kept spot's photos first, then the duplicate's, without repeats;
+    -- the kept spot's details win for a photo on both
+    update public.spots
+    set photo_urls = array(
+            select url
+            from unnest(
+                coalesce(keep.photo_urls, '{}') ||
+                coalesce(duplicate.photo_urls, '{}')
+            ) with ordinality as photos (url, position)
+            group by url
+            order by min(position)
+        ),
+        photo_meta = coalesce(duplicate.photo_meta, '{}'::jsonb) ||
+            coalesce(keep.photo_meta, '{}'::jsonb)
+    where id = keep_id;
+
+    update public.spots
+    set hidden = true, merged_into = keep_id
+    where id = duplicate_id;
+
+    return query select * from public.spots where id = keep_id;
+end;
+$$;
+
+revoke execute on function public.merge_spots(uuid, uuid) from public, anon;
+grant execute on function public.merge_spots(uuid, uuid) to authenticated;
@@ -0,0 +1,17 @@
+-- Server-side photo limits, matching src/photoProcessing.js: at most 6
+-- photos per spot (MAX_PHOTOS; reviews have their own limit of 3), and
+-- the bucket only takes the processed JPEGs the app uploads.
+
+-- Not validated against existing rows: a spot that already has more
+-- keeps them, but can't gain any
+alter table public.spots drop constraint if exists spots_photo_count_check;
+alter table public.spots add constraint spots_photo_count_check
+    check (coalesce(array_length(photo_urls, 1), 0) <= 6) not valid;
+
+-- Processed photos aim for ~1 MB; 5 MB leaves room for the fallback
+-- when a photo won't compress that far
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('spot-photos', 'spot-photos', true, 5242880, array['image/jpeg'])
+on conflict (id) do update
+set file_size_limit = excluded.file_size_limit,
+    allowed_mime_types = excluded.allowed_mime_types;